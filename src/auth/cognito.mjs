@@ -9,6 +9,9 @@ import cognitoSrpHelper from "cognito-srp-helper";
 import { cognitoClient, COGNITO_CONFIG } from "../config/aws.mjs";
 import { loadUser } from "../services/user.mjs";
 import { getCookieMap } from "./cookie.mjs";
+import { logger } from "../utils/logger.mjs";
+import { metrics, recordAuthOutcome } from "../utils/metrics.mjs";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.mjs";
 
 // Platform-wide cookie names
 export const COGNITO_ID_TOKEN_COOKIE = "tgl_web";
@@ -22,6 +25,15 @@ const idTokenVerifier = CognitoJwtVerifier.create({
   clientId: COGNITO_CONFIG.CLIENT_ID || null,
 });
 
+/**
+ * Preload the user pool JWKS so ID tokens verify without fetching it
+ * (local runs and tests sign tokens with their own key pair)
+ * @param {Object} jwks - JSON Web Key Set ({ keys: [...] })
+ */
+export function cacheCognitoJwks(jwks) {
+  idTokenVerifier.cacheJwks(jwks);
+}
+
 // Token expiration buffer (refresh if expiring within 5 minutes)
 const TOKEN_REFRESH_BUFFER_SEC = 5 * 60;
 
@@ -74,7 +86,9 @@ export async function authenticateUser(username, password) {
     // Create command from wrapped input
     const initiateCommand = new InitiateAuthCommand(wrappedInput);
 
-    const initiateResponse = await cognitoClient.send(initiateCommand);
+    const initiateResponse = await metrics.time("Cognito", () =>
+      cognitoClient.send(initiateCommand)
+    );
 
     if (
       !initiateResponse.ChallengeName ||
@@ -83,10 +97,8 @@ export async function authenticateUser(username, password) {
       return { ok: false, error: "Unexpected challenge from Cognito" };
     }
 
-    // Debug: Check what we received
-    console.log("Initiate response:", {
-      ChallengeName: initiateResponse.ChallengeName,
-      hasChallengeParameters: !!initiateResponse.ChallengeParameters,
+    logger.debug("Cognito SRP challenge received", {
+      challengeName: initiateResponse.ChallengeName,
       challengeParamsKeys: initiateResponse.ChallengeParameters
         ? Object.keys(initiateResponse.ChallengeParameters)
         : [],
@@ -115,7 +127,9 @@ export async function authenticateUser(username, password) {
       Session: initiateResponse.Session,
     });
 
-    const respondResponse = await cognitoClient.send(respondCommand);
+    const respondResponse = await metrics.time("Cognito", () =>
+      cognitoClient.send(respondCommand)
+    );
 
     if (respondResponse.AuthenticationResult) {
       return {
@@ -129,8 +143,10 @@ export async function authenticateUser(username, password) {
 
     return { ok: false, error: "Authentication failed" };
   } catch (error) {
-    console.error("Cognito SRP authentication error:", error.message);
-    console.error("Error details:", error);
+    logger.warn("Cognito SRP authentication failed", {
+      errorName: error.name,
+      error: error.message,
+    });
 
     // Handle common Cognito errors
     if (error.name === "NotAuthorizedException") {
@@ -166,7 +182,9 @@ export async function refreshCognitoTokens(refreshToken) {
       },
     });
 
-    const response = await cognitoClient.send(command);
+    const response = await metrics.time("Cognito", () =>
+      cognitoClient.send(command)
+    );
 
     if (response.AuthenticationResult) {
       return {
@@ -180,7 +198,7 @@ export async function refreshCognitoTokens(refreshToken) {
 
     return { ok: false, error: "Token refresh failed" };
   } catch (error) {
-    console.error("Cognito token refresh error:", error.message);
+    logger.warn("Cognito token refresh failed", { error: error.message });
     return { ok: false, error: "Session expired. Please log in again." };
   }
 }
@@ -195,7 +213,7 @@ export async function verifyCognitoToken(idToken) {
     const payload = await idTokenVerifier.verify(idToken);
     return { ok: true, payload };
   } catch (error) {
-    console.error("Cognito token verification error:", error.message);
+    logger.info("Cognito token verification failed", { error: error.message });
     return { ok: false, error: "Invalid token" };
   }
 }
@@ -233,99 +251,125 @@ export function extractCognitoTokens(event) {
 }
 
 /**
- * Verify Cognito authentication and check user authorization for instance
+ * Verify the Cognito session in the request cookies and load its user,
+ * refreshing the ID token when it is invalid or expiring soon
  * @param {Object} event - Lambda event object
- * @param {Object} instance - Webhook instance object
- * @param {Object} webhook - Webhook object (contains ClientID)
- * @returns {Promise<Object>} { ok: boolean, authenticated: boolean, authorized: boolean, user?: Object, error?: string }
+ * @returns {Promise<Object>} { ok: boolean, authenticated: boolean, user?: Object, payload?: Object, tokens?: Object, requireLogin?: boolean, error?: string }
+ *   tokens: refreshed { idToken, refreshToken } to set as cookies
  */
-export async function verifyCognitoAuthAndAuthorization(
-  event,
-  instance,
-  webhook
-) {
+export async function verifyCognitoSession(event) {
   // Extract tokens from cookies
   const { idToken, refreshToken } = extractCognitoTokens(event);
 
   // No tokens - not authenticated
   if (!idToken) {
-    return { ok: false, authenticated: false, authorized: false };
+    return { ok: false, authenticated: false };
   }
 
   // Verify ID token
   const verifyResult = await verifyCognitoToken(idToken);
+  let payload = verifyResult.payload;
+  let tokens;
 
-  if (!verifyResult.ok) {
-    // Token invalid - try refresh if refresh token available
-    if (refreshToken) {
-      const refreshResult = await refreshCognitoTokens(refreshToken);
-      if (refreshResult.ok) {
-        // Token refreshed - verify new token
-        const newVerifyResult = await verifyCognitoToken(
-          refreshResult.tokens.idToken
-        );
-        if (newVerifyResult.ok) {
-          // Use refreshed token
-          return {
-            ok: true,
-            authenticated: true,
-            tokens: refreshResult.tokens,
-            payload: newVerifyResult.payload,
-          };
-        }
-      }
-    }
-    // Refresh failed or no refresh token - require re-login
-    return {
-      ok: false,
-      authenticated: false,
-      authorized: false,
-      requireLogin: true,
-    };
-  }
-
-  const payload = verifyResult.payload;
-
-  // Check if token is expiring soon and refresh proactively
-  if (refreshToken && isTokenExpiringSoon(payload)) {
+  // Refresh an invalid token, or one expiring soon, when the refresh token
+  // allows; a refreshed session is authorized like any other
+  if (refreshToken && (!verifyResult.ok || isTokenExpiringSoon(payload))) {
     const refreshResult = await refreshCognitoTokens(refreshToken);
     if (refreshResult.ok) {
       const newVerifyResult = await verifyCognitoToken(
         refreshResult.tokens.idToken
       );
       if (newVerifyResult.ok) {
-        return {
-          ok: true,
-          authenticated: true,
-          tokens: refreshResult.tokens,
-          payload: newVerifyResult.payload,
-        };
+        payload = newVerifyResult.payload;
+        tokens = refreshResult.tokens;
       }
     }
   }
 
-  // Token is valid - check authorization
-  const userId = payload.sub;
-  const user = await loadUser(userId);
+  if (!verifyResult.ok && !tokens) {
+    // Refresh failed or no refresh token - require re-login
+    return { ok: false, authenticated: false, requireLogin: true };
+  }
 
+  // Token is valid - load the user it names
+  const user = await loadUser(payload.sub);
   if (!user) {
     return {
       ok: false,
       authenticated: true,
-      authorized: false,
       error: "User not found",
+      ...(tokens && { tokens }),
     };
   }
-
-  // Check authorization: admin OR matching ClientID
-  const isAuthorized =
-    user.type === "admin" || user.ClientID === webhook.ClientID;
-
   return {
-    ok: isAuthorized,
+    ok: true,
     authenticated: true,
-    authorized: isAuthorized,
     user,
     payload,
+    ...(tokens && { tokens }),
   };
 }
+
+// Admins may act for every client, other users for their own
+function canAccessClient(user, clientID) {
+  return user.type === "admin" || user.ClientID === clientID;
+}
+
+/**
+ * Verify Cognito authentication and check user authorization for instance
+ * @param {Object} event - Lambda event object
+ * @param {Object} instance - Webhook instance object
+ * @param {Object} webhook - Webhook object (contains ClientID)
+ * @returns {Promise<Object>} { ok: boolean, authenticated: boolean, authorized: boolean, user?: Object, tokens?: Object, error?: string }
+ *   tokens: refreshed { idToken, refreshToken } to set as cookies
+ */
+export async function verifyCognitoAuthAndAuthorization(
+  event,
+  instance,
+  webhook
+) {
+  const session = await verifyCognitoSession(event);
+  if (!session.user) return { ...session, authorized: false };
+
+  // Check authorization: admin OR matching ClientID
+  const isAuthorized = canAccessClient(session.user, webhook.ClientID);
+  return { ...session, ok: isAuthorized, authorized: isAuthorized };
+}
+
+/**
+ * Require a Cognito session for the template tooling routes (no instance
+ * involved). Called before the webhook is looked up, so callers without a
+ * session cannot tell which webhooks exist; requireClientAccess() then
+ * checks the user against the webhook.
+ * @throws {UnauthorizedError} No valid session
+ * @throws {ForbiddenError} Signed in, but not a known user
+ * @returns {Promise<{ user: Object, tokens?: Object }>} The verified user,
+ *   and the tokens when the session was refreshed (cognitoSessionCookies())
+ */
+export async function requireCognitoUser(event) {
+  const session = await verifyCognitoSession(event);
+  if (!session.authenticated) {
+    recordAuthOutcome("cognito", false);
+    throw new UnauthorizedError("Authentication required");
+  }
+  if (!session.user) {
+    recordAuthOutcome("cognito", false);
+    throw new ForbiddenError("Access denied");
+  }
+  return { user: session.user, tokens: session.tokens };
+}
+
+/**
+ * Require the user from requireCognitoUser() to be an admin or a user of the
+ * webhook's client.
+ * @param {Object} user
+ * @param {Object} webhook
+ * @throws {ForbiddenError} Not allowed for this client
+ */
+export function requireClientAccess(user, webhook) {
+  if (!canAccessClient(user, webhook.ClientID)) {
+    recordAuthOutcome("cognito", false);
+    throw new ForbiddenError("Access denied");
+  }
+  recordAuthOutcome("cognito", true);
+}
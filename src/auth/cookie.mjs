@@ -10,6 +10,11 @@ export const COGNITO_COOKIE_TTL_SEC = 60 * 60 * 24 * 30; // 30 days for refresh
 
 export const cookieNameFor = (instanceId) => `${COOKIE_NAME}.${instanceId}`;
 
+// One-time notice for the page a classic form post redirects to
+export const FLASH_COOKIE = "tgl_flash";
+export const FLASH_TTL_SEC = 60;
+export const FLASH_SUBMITTED = "submitted";
+
 // Compute a cookie Path from the incoming request (minus trailing /auth)
 export function cookiePathFromEvent(event) {
   const p = (event.rawPath || event.path || "/").replace(/\/auth$/, "");
@@ -36,6 +41,14 @@ export function getCookieMap(cookieHeader = "") {
   return map;
 }
 
+// A request cookie, from the v2 cookies array or the Cookie header
+export function requestCookie(event, name) {
+  const cookieSource = event.cookies
+    ? event.cookies.join("; ")
+    : event.headers?.cookie || event.headers?.Cookie || "";
+  return getCookieMap(cookieSource)[name];
+}
+
 // Build an HTTP cookie string with security settings
 export function buildAuthCookie({
   name,
@@ -72,6 +85,21 @@ export function buildCognitoCookie({
   ].join("; ");
 }
 
+// Cookies for a Cognito session, e.g. after a refresh; none without tokens
+export function cognitoSessionCookies(tokens) {
+  if (!tokens) return undefined;
+  return [
+    buildCognitoCookie({
+      name: COGNITO_ID_TOKEN_COOKIE,
+      token: tokens.idToken,
+    }),
+    buildCognitoCookie({
+      name: COGNITO_REFRESH_TOKEN_COOKIE,
+      token: tokens.refreshToken,
+    }),
+  ];
+}
+
 // Build cookie deletion header (expires in past)
 export function buildCookieDeletionCookie(name, path = "/") {
   return [
@@ -84,3 +112,17 @@ export function buildCookieDeletionCookie(name, path = "/") {
     `SameSite=Strict`,
   ].join("; ");
 }
+
+// Build the flash cookie, scoped to the instance path. Lax, since it is set
+// by a POST and read by the GET the browser is redirected to.
+export function buildFlashCookie({ value, path, maxAgeSec = FLASH_TTL_SEC }) {
+  return [
+    `${FLASH_COOKIE}=${encodeURIComponent(value)}`,
+    `Max-Age=${maxAgeSec}`,
+    `Path=${path}`,
+    `Domain=.thegraphitelab.com`,
+    `HttpOnly`,
+    `Secure`,
+    `SameSite=Lax`,
+  ].join("; ");
+}
@@ -9,6 +9,7 @@ import { getClientSecret } from "../helperToken/clientSecret.mjs";
 import { getCookieMap, cookieNameFor } from "./cookie.mjs";
 import { loadInstance } from "../services/instance.mjs";
 import { loadWebhook } from "../services/webhook.mjs";
+import { logger, addLogContext } from "../utils/logger.mjs";
 
 /**
  * Verify JWT from cookie header for API endpoints
@@ -32,6 +33,12 @@ export async function verifyJWTForAPI(event, instanceId) {
       return { ok: false, error: "Webhook not found" };
     }
 
+    addLogContext({
+      instanceId: instance.id,
+      webhookId: webhook.id,
+      clientId: webhook.ClientID,
+    });
+
     // Get client secret
     const clientSecret = await getClientSecret(webhook.ClientID);
     if (!clientSecret) {
@@ -49,9 +56,8 @@ export async function verifyJWTForAPI(event, instanceId) {
     const cookieName = cookieNameFor(instanceId);
     const token = cookieMap[cookieName];
 
-    // Authentication debugging removed
-
     if (!token) {
+      logger.info("API authentication missing cookie");
       return { ok: false, error: "Authentication required" };
     }
 
@@ -65,16 +71,13 @@ export async function verifyJWTForAPI(event, instanceId) {
       now: nowSec(),
       clockSkewSec: 60, // Allow 60 seconds clock skew
     });
-    // JWT verification result logging removed
-
     if (!result.ok) {
+      logger.info("API JWT verification failed", { reason: result.reason });
       return { ok: false, error: "Invalid authentication token" };
     }
 
     const payload = result.payload || {};
 
-    // Payload debugging removed
-
     // Verify claims (matching authorizer logic)
     if (payload.iid !== instanceId) {
       return { ok: false, error: "Instance ID mismatch" };
@@ -84,13 +87,15 @@ export async function verifyJWTForAPI(event, instanceId) {
     const payloadVersion = parseInt(payload.tv);
     const expectedVersion = parseInt(instance.tokenVersion || 0);
 
-    // Version debugging removed
     if (payloadVersion !== expectedVersion) {
+      logger.info("API JWT revoked by token version", {
+        payloadVersion,
+        expectedVersion,
+      });
       return { ok: false, error: "Token has been revoked" };
     }
 
     // Check expiration (already checked in verifyJwtHs256, but being explicit)
-    // Expiration debugging removed
     if (payload.exp && payload.exp < nowSec()) {
       return { ok: false, error: "Token expired" };
     }
@@ -102,7 +107,7 @@ export async function verifyJWTForAPI(event, instanceId) {
       jwtPayload: payload,
     };
   } catch (error) {
-    // JWT verification error
+    logger.error("API JWT verification error", { error });
     return { ok: false, error: "Internal error" };
   }
 }
@@ -14,6 +14,11 @@ import {
 import { getClientSecret } from "../helperToken/clientSecret.mjs";
 import { getCookieMap, cookieNameFor } from "./cookie.mjs";
 import { verifyCognitoAuthAndAuthorization } from "./cognito.mjs";
+import { renderTemplate } from "../template/render.mjs";
+import { negotiateLocale } from "../utils/locale.mjs";
+import { withClientTheme } from "../utils/theme.mjs";
+import { logger } from "../utils/logger.mjs";
+import { recordAuthOutcome } from "../utils/metrics.mjs";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 export const PASSWORD_PAGE_HTML = readFileSync(
@@ -29,6 +34,51 @@ export const ACCESS_DENIED_PAGE_HTML = readFileSync(
   "utf8"
 );
 
+// The gate pages' {{t "key"}} strings, by locale
+const GATE_STRINGS = JSON.parse(
+  readFileSync(join(__dirname, "../pages/strings.json"), "utf8")
+);
+const GATE_DEFAULT_LOCALE = "en";
+export const GATE_PAGE_LOCALES = Object.keys(GATE_STRINGS);
+
+/**
+ * Translate a gate page into the best supported locale and brand it.
+ * @param {string} html - One of the *_PAGE_HTML pages above
+ * @param {Object} options
+ * @param {Object|null} options.client - From loadClient()
+ * @param {string[]} [options.locales] - Preferred locales, most preferred first
+ * @returns {string}
+ */
+export function renderGatePage(html, { client, locales = [] }) {
+  const locale = negotiateLocale(
+    locales,
+    GATE_PAGE_LOCALES,
+    GATE_DEFAULT_LOCALE
+  );
+  const localized = renderTemplate(
+    html,
+    { locale },
+    {
+      strings: {
+        ...GATE_STRINGS[GATE_DEFAULT_LOCALE],
+        ...GATE_STRINGS[locale],
+      },
+    }
+  );
+  return withClientTheme(localized, client);
+}
+
+// One gate-page string in the best supported locale, e.g. the notice shown
+// after a classic form post
+export function translateGateString(key, locales = []) {
+  const locale = negotiateLocale(
+    locales,
+    GATE_PAGE_LOCALES,
+    GATE_DEFAULT_LOCALE
+  );
+  return GATE_STRINGS[locale]?.[key] ?? GATE_STRINGS[GATE_DEFAULT_LOCALE][key];
+}
+
 // Verify access via query token or JWT cookie, or return password page
 export async function verifyAccessOrPasswordPage(instance, webhook, event) {
   // NEW: Check for Cognito user authentication first
@@ -49,6 +99,7 @@ export async function verifyAccessOrPasswordPage(instance, webhook, event) {
     }
 
     if (cognitoResult.authenticated && !cognitoResult.authorized) {
+      recordAuthOutcome("cognito", false);
       // User is authenticated but not authorized - show access denied page
       return {
         ok: false,
@@ -89,16 +140,25 @@ export async function verifyAccessOrPasswordPage(instance, webhook, event) {
         nowSec: nowSec(),
       });
 
-      if (res.ok) return { ok: true };
+      if (res.ok) {
+        recordAuthOutcome("token", true);
+        return { ok: true };
+      }
     } catch (e) {
-      // verifyAccess (?token legacy) error
+      logger.warn("Query token verification error", { error: e.message });
     }
+    logger.info("Query token rejected");
+    recordAuthOutcome("token", false);
     // If qs token provided but invalid, show password page immediately
     return { ok: false, html: PASSWORD_PAGE_HTML };
   }
 
   // 2) Else, try JWT cookie (does NOT require instance.authKey)
   if (cookieToken) {
+    const rejectSession = () => {
+      recordAuthOutcome("password", false);
+      return { ok: false, html: PASSWORD_PAGE_HTML };
+    };
     try {
       const clientSecret = await getClientSecret(webhook.ClientID);
       const cookieKey = deriveCookieSigningKey(clientSecret, instance.id); // per-instance key
@@ -112,18 +172,22 @@ export async function verifyAccessOrPasswordPage(instance, webhook, event) {
         clockSkewSec: 60,
       });
       if (!v.ok) {
-        console.warn("JWT cookie verify failed:", v.reason);
-        return { ok: false, html: PASSWORD_PAGE_HTML };
+        logger.info("JWT cookie verify failed", { reason: v.reason });
+        return rejectSession();
       }
       const p = v.payload || {};
-      if (p.iid !== instance.id) return { ok: false, html: PASSWORD_PAGE_HTML };
+      if (p.iid !== instance.id) {
+        logger.info("JWT cookie instance mismatch");
+        return rejectSession();
+      }
       if (p.tv >>> 0 !== instance.tokenVersion >>> 0) {
-        return { ok: false, html: PASSWORD_PAGE_HTML }; // revoked
+        logger.info("JWT cookie revoked by token version");
+        return rejectSession(); // revoked
       }
       return { ok: true };
     } catch (e) {
-      // verifyAccess (cookie) error
-      return { ok: false, html: PASSWORD_PAGE_HTML };
+      logger.warn("JWT cookie verification error", { error: e.message });
+      return rejectSession();
     }
   }
 
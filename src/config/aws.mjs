@@ -4,6 +4,7 @@ import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { S3Client } from "@aws-sdk/client-s3";
 import { CognitoIdentityProviderClient } from "@aws-sdk/client-cognito-identity-provider";
+import { SecretsManagerClient } from "@aws-sdk/client-secrets-manager";
 
 // Get region from environment variable or default to us-east-2
 const region = process.env.AWS_REGION || process.env.REGION || "us-east-2";
@@ -13,6 +14,8 @@ const dynamoClient = new DynamoDBClient({ region });
 export const docClient = DynamoDBDocumentClient.from(dynamoClient);
 export const s3Client = new S3Client({ region });
 export const cognitoClient = new CognitoIdentityProviderClient({ region });
+// Client secrets always live in us-east-2
+export const secretsClient = new SecretsManagerClient({ region: "us-east-2" });
 
 // Table names from environment variables
 export const TABLES = {
@@ -29,6 +32,10 @@ export const TABLES = {
   CLIENTS:
     process.env.CLIENTS_TABLE || "Clients-bm44urfj6bcajm63ohamnsj4au-staging",
   USERS: process.env.USERS_TABLE || "Users-bm44urfj6bcajm63ohamnsj4au-staging",
+  // Created by serverless.yml, with DynamoDB TTL on `ttl`
+  SUBMIT_IDEMPOTENCY:
+    process.env.SUBMIT_IDEMPOTENCY_TABLE ||
+    "toolbox-webhook-server-v2-dev-submit-idempotency",
 };
 
 // S3 configuration from environment variables
@@ -42,6 +49,64 @@ export const S3_CONFIG = {
   ), // 3 hours default
 };
 
+// Submit bodies (utils/parser.mjs). Lambda takes at most 6 MB of request,
+// which base64 encoding leaves at about 4.5 MB of upload; larger files go
+// through the presigned upload URL instead.
+export const UPLOAD_LIMITS = {
+  MAX_BODY_BYTES: parseInt(process.env.UPLOAD_MAX_BODY_BYTES || "4500000", 10),
+  MAX_FILE_BYTES: parseInt(process.env.UPLOAD_MAX_FILE_BYTES || "4500000", 10),
+  MAX_FIELD_BYTES: 1024 * 1024,
+  MAX_PARTS: 100,
+};
+
+// Submit idempotency keys (services/idempotency.mjs). A repeat within the
+// window replays the first result; a key whose submit is still running is
+// held until well after the Lambda timeout (serverless.yml), so a submit that
+// runs to the timeout has finished or been stopped before a retry can claim
+// the key again.
+const FUNCTION_TIMEOUT_SEC = parseInt(
+  process.env.FUNCTION_TIMEOUT_SEC || "30",
+  10
+);
+
+export const IDEMPOTENCY_CONFIG = {
+  WINDOW_SEC: parseInt(
+    process.env.SUBMIT_IDEMPOTENCY_WINDOW_SEC || "86400",
+    10
+  ),
+  PENDING_SEC: FUNCTION_TIMEOUT_SEC + 60,
+  MAX_KEY_LENGTH: 255,
+};
+
+// Webhook pages (usesS3) and client partials live in the Toolbox user-files
+// bucket: public/clients/{clientID}/tooldata/{TOOL_ID}/webpages/{webhookID}/
+// and .../tooldata/{TOOL_ID}/partials/{name}.html. A webhook's
+// templateSource { toolId } overrides the tool for its pages. Published
+// versions sit in webpages/{webhookID}/v{n}/, picked by published.json.
+// Unpublished drafts sit next to the page in webpages/{webhookID}/draft/
+// (uploaded by authors) and webpages/{webhookID}/drafts/{draftID}/ (sent
+// when minting a preview link).
+export const TEMPLATE_CONFIG = {
+  BUCKET: process.env.TEMPLATE_BUCKET || "tgltoolboxuserfiles210135-staging",
+  TOOL_ID:
+    process.env.TEMPLATE_TOOL_ID || "e8ff58cb-9d86-45d6-b564-6ca938b5ad34",
+  PARTIAL_CACHE_TTL_SEC: parseInt(
+    process.env.TEMPLATE_PARTIAL_CACHE_TTL_SEC || "300",
+    10
+  ),
+  // Preview links: default and maximum lifetime
+  PREVIEW_TTL_SEC: parseInt(process.env.TEMPLATE_PREVIEW_TTL_SEC || "900", 10),
+  PREVIEW_MAX_TTL_SEC: 60 * 60,
+};
+
+// Warm-container caches (utils/cache.mjs) for records that rarely change:
+// webhooks, clients and S3 template files, and client signing secrets.
+// Edits show up within the TTL; 0 turns a cache off.
+export const CACHE_CONFIG = {
+  RECORD_TTL_SEC: parseInt(process.env.CACHE_TTL_SEC || "60", 10),
+  SECRET_TTL_SEC: parseInt(process.env.SECRET_CACHE_TTL_SEC || "300", 10),
+};
+
 // Cognito configuration from environment variables
 export const COGNITO_CONFIG = {
   USER_POOL_ID: process.env.COGNITO_USER_POOL_ID || "us-east-2_QUpKtOof0",
@@ -0,0 +1,10 @@
+// config/storage.mjs - Storage backend selection
+
+// STORAGE_DRIVER=aws (default) uses DynamoDB + S3.
+// STORAGE_DRIVER=local uses in-memory tables seeded from LOCAL_DATA_FILE and
+// stores blobs under LOCAL_BLOB_DIR (in memory when unset) - no AWS calls.
+export const STORAGE_CONFIG = {
+  DRIVER: process.env.STORAGE_DRIVER || "aws",
+  LOCAL_DATA_FILE: process.env.LOCAL_DATA_FILE || "",
+  LOCAL_BLOB_DIR: process.env.LOCAL_BLOB_DIR || "",
+};
@@ -0,0 +1,378 @@
+// forms/render.mjs - Render a webhook form (forms/schema.mjs) as HTML
+//
+// The form posts multipart data to the instance, so it works without
+// JavaScript; its script submits with fetch instead and shows the 422 field
+// errors next to the fields. Styling uses the client theme variables
+// (utils/theme.mjs) and can be overridden by the webhook CSS, which follows
+// FORM_CSS. Element IDs are tgl-f-{field}, with -help and -error suffixes.
+// Each rendering carries a new token, sent as the submit's idempotency key
+// (services/idempotency.mjs) so a double tap or retry is stored only once.
+
+import { randomUUID } from "crypto";
+import { escapeHtml } from "../template/escape.mjs";
+import { formSections, fieldLabel, isFileProperty } from "./schema.mjs";
+
+// Where the form goes in the webhook template (services/page.mjs)
+export const FORM_TAG = "{{form}}";
+
+// Hidden field holding the form token
+export const FORM_TOKEN_FIELD = "tgl_form_token";
+
+// Selects are used for longer option lists unless a widget is given
+const MAX_RADIO_OPTIONS = 4;
+
+export const FORM_CSS = `.tgl-form { display: grid; gap: 1.25rem; max-width: 40rem; }
+.tgl-form-section { display: grid; gap: 1rem; margin: 0; padding: 0; border: 0; }
+.tgl-form-section > legend { margin-bottom: 0.25rem; padding: 0; font-size: 1.15rem; font-weight: 600; }
+.tgl-form-description { margin: 0; color: #5b6670; }
+.tgl-field { display: grid; gap: 0.35rem; margin: 0; padding: 0; border: 0; }
+.tgl-field > label, .tgl-field > legend { padding: 0; font-weight: 600; }
+.tgl-required { margin-left: 0.15em; color: #b91c1c; }
+.tgl-field input:not([type="checkbox"]):not([type="radio"]), .tgl-field select, .tgl-field textarea { box-sizing: border-box; width: 100%; padding: 0.6rem 0.75rem; border: 1px solid #c5ccd3; border-radius: 6px; background: #fff; color: inherit; font: inherit; }
+.tgl-field input:focus-visible, .tgl-field select:focus-visible, .tgl-field textarea:focus-visible { outline: none; border-color: var(--tgl-primary); box-shadow: 0 0 0 3px var(--tgl-primary-ring); }
+.tgl-field [aria-invalid="true"] { border-color: #b91c1c; }
+.tgl-option, .tgl-field-checkbox { display: flex; gap: 0.5rem; align-items: center; font-weight: 400; }
+.tgl-field input[type="checkbox"], .tgl-field input[type="radio"] { accent-color: var(--tgl-primary); }
+.tgl-field-help { margin: 0; color: #5b6670; font-size: 0.9em; }
+.tgl-field-error { margin: 0; color: #b91c1c; font-size: 0.9em; }
+.tgl-form-status { padding: 0.75rem 1rem; border-radius: 6px; background: #fef2f2; color: #7f1d1d; }
+.tgl-form-status.tgl-success { background: #f0fdf4; color: #14532d; }
+.tgl-form-submit { justify-self: start; padding: 0.7rem 1.4rem; border: 0; border-radius: 6px; background: var(--tgl-primary); color: var(--tgl-primary-text); font: inherit; font-weight: 600; cursor: pointer; }
+.tgl-form-submit:hover { background: var(--tgl-primary-hover); }
+.tgl-form-submit:disabled { opacity: 0.6; cursor: progress; }`;
+
+const MESSAGES = {
+  submit: "Submit",
+  working: "Sending…",
+  choose: "Choose…",
+  saved: "Thank you! Your response has been saved.",
+  invalid: "Please correct the fields marked below.",
+  failed: "Something went wrong. Please try again.",
+  preview: "Submitting is turned off in previews.",
+};
+
+// Form field names may hold characters that do not belong in an ID
+export function fieldId(name) {
+  return `tgl-f-${String(name).replace(/[^\w-]/g, "_")}`;
+}
+
+// JSON for an inline script
+const scriptJson = (value) =>
+  JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026");
+
+const attr = (name, value) =>
+  value === undefined || value === null || value === false
+    ? ""
+    : value === true
+      ? ` ${name}`
+      : ` ${name}="${escapeHtml(String(value))}"`;
+
+// Which control a field gets
+function widgetFor({ property, ui }) {
+  if (ui.widget) return ui.widget;
+  if (isFileProperty(property)) return "file";
+  if (property.type === "boolean") return "checkbox";
+  if (property.type === "array") return "checkboxes";
+  if (Array.isArray(property.enum)) {
+    return property.enum.length > MAX_RADIO_OPTIONS ? "select" : "radio";
+  }
+  if (property.type === "number" || property.type === "integer") {
+    return "number";
+  }
+  if (property.maxLength > 200) return "textarea";
+  const formats = { email: "email", uri: "url", date: "date" };
+  return formats[property.format] || "text";
+}
+
+function optionLabel(ui, value) {
+  const labels = ui.optionLabels || {};
+  return Object.hasOwn(labels, value) ? labels[value] : String(value);
+}
+
+// Attributes the browser uses for its own validation
+function constraintAttrs({ property, required }, widget) {
+  return [
+    attr("required", required && widget !== "checkboxes"),
+    attr("minlength", property.minLength),
+    attr("maxlength", property.maxLength),
+    attr("pattern", widget === "textarea" ? undefined : property.pattern),
+    attr("min", property.minimum),
+    attr("max", property.maximum),
+    attr("step", { integer: 1, number: "any" }[property.type]),
+  ].join("");
+}
+
+function renderControl(field, widget, value, describedBy, invalid) {
+  const { name, property, ui } = field;
+  const id = fieldId(name);
+  const common =
+    attr("id", id) +
+    attr("name", name) +
+    attr("aria-describedby", describedBy) +
+    attr("aria-invalid", invalid ? "true" : undefined);
+
+  switch (widget) {
+    case "textarea":
+      return `<textarea${common}${attr("rows", ui.rows ?? 4)}${attr(
+        "placeholder",
+        ui.placeholder
+      )}${constraintAttrs(field, widget)}>${escapeHtml(
+        String(value ?? "")
+      )}</textarea>`;
+    case "select": {
+      const options = (property.enum || []).map(
+        (option) =>
+          `<option${attr("value", option)}${attr(
+            "selected",
+            String(option) === String(value)
+          )}>${escapeHtml(optionLabel(ui, option))}</option>`
+      );
+      const prompt = escapeHtml(ui.placeholder ?? MESSAGES.choose);
+      return `<select${common}${constraintAttrs(
+        field,
+        widget
+      )}><option value="">${prompt}</option>${options.join("")}</select>`;
+    }
+    case "file":
+      return `<input type="file"${common}${attr("accept", ui.accept)}${attr(
+        "multiple",
+        property.type === "array"
+      )}${attr("required", field.required)}>`;
+    case "hidden":
+      return `<input type="hidden"${attr("name", name)}${attr(
+        "value",
+        value ?? ""
+      )}>`;
+    default:
+      return `<input type="${escapeHtml(widget)}"${common}${attr(
+        "value",
+        value ?? ""
+      )}${attr("placeholder", ui.placeholder)}${attr(
+        "autocomplete",
+        ui.autocomplete
+      )}${constraintAttrs(field, widget)}>`;
+  }
+}
+
+// Radio buttons and checkbox groups: a fieldset with one label per option
+function renderChoices(field, widget, value, label, describedBy, invalid) {
+  const { name, property, ui, required } = field;
+  const options =
+    widget === "checkboxes" ? property.items?.enum || [] : property.enum || [];
+  const chosen = new Set(
+    (Array.isArray(value) ? value : value === undefined ? [] : [value]).map(
+      String
+    )
+  );
+  const type = widget === "checkboxes" ? "checkbox" : "radio";
+  const inputs = options.map(
+    (option, index) =>
+      `<label class="tgl-option"><input type="${type}"${attr(
+        "id",
+        index === 0 ? fieldId(name) : undefined
+      )}${attr("name", name)}${attr("value", option)}${attr(
+        "checked",
+        chosen.has(String(option))
+      )}${attr("required", required && type === "radio")}${attr(
+        "aria-invalid",
+        invalid ? "true" : undefined
+      )}> ${escapeHtml(optionLabel(ui, option))}</label>`
+  );
+  return `<fieldset class="tgl-field" data-field="${escapeHtml(name)}"${attr(
+    "aria-describedby",
+    describedBy
+  )}><legend>${label}</legend>${inputs.join("")}`;
+}
+
+function renderField(field, values, errors) {
+  const { name, property, ui, required } = field;
+  const widget = widgetFor(field);
+  const value = values[name];
+  if (widget === "hidden") return renderControl(field, widget, value);
+
+  const id = fieldId(name);
+  const fieldErrors = errors.filter((e) => e.field === name);
+  const invalid = fieldErrors.length > 0;
+  const help = ui.help ?? property.description;
+  const describedBy = [help && `${id}-help`, `${id}-error`]
+    .filter(Boolean)
+    .join(" ");
+  const label = `${escapeHtml(fieldLabel(field))}${
+    required ? '<span class="tgl-required" aria-hidden="true">*</span>' : ""
+  }`;
+  const helpHtml = help
+    ? `<p class="tgl-field-help" id="${id}-help">${escapeHtml(help)}</p>`
+    : "";
+  const errorHtml = `<p class="tgl-field-error" id="${id}-error"${
+    invalid ? "" : " hidden"
+  }>${escapeHtml(fieldErrors.map((e) => e.message).join(" "))}</p>`;
+
+  if (widget === "radio" || widget === "checkboxes") {
+    return `${renderChoices(
+      field,
+      widget,
+      value,
+      label,
+      describedBy,
+      invalid
+    )}${helpHtml}${errorHtml}</fieldset>`;
+  }
+  if (widget === "checkbox") {
+    const input =
+      `<input type="checkbox"${attr("id", id)}${attr("name", name)}` +
+      ` value="true"${attr("checked", value === true || value === "true")}` +
+      attr("required", required) +
+      attr("aria-describedby", describedBy) +
+      attr("aria-invalid", invalid ? "true" : undefined) +
+      ">";
+    return `<div class="tgl-field" data-field="${escapeHtml(
+      name
+    )}"><div class="tgl-field-checkbox">${input}<label for="${id}">${label}</label></div>${helpHtml}${errorHtml}</div>`;
+  }
+  return `<div class="tgl-field" data-field="${escapeHtml(
+    name
+  )}"><label for="${id}">${label}</label>${renderControl(
+    field,
+    widget,
+    value,
+    describedBy,
+    invalid
+  )}${helpHtml}${errorHtml}</div>`;
+}
+
+// Submits with fetch and maps 422 errors onto the fields
+function formScript(messages, nonce) {
+  return `<script${attr("nonce", nonce)}>
+(function () {
+  var form = document.getElementById("tgl-form");
+  if (!form || !window.fetch || !window.FormData) return;
+  var M = ${scriptJson(messages)};
+  var status = form.querySelector(".tgl-form-status");
+  var button = form.querySelector(".tgl-form-submit");
+  var token = form.elements[${scriptJson(FORM_TOKEN_FIELD)}];
+  // A new token after each saved submit, so the next one is not a repeat
+  function newToken() {
+    if (!token) return;
+    token.value = window.crypto && crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+  function idFor(name) { return "tgl-f-" + String(name).replace(/[^\\w-]/g, "_"); }
+  function setStatus(text, ok) {
+    status.textContent = text;
+    status.className = "tgl-form-status" + (ok ? " tgl-success" : "");
+    status.hidden = !text;
+  }
+  function clearErrors() {
+    form.querySelectorAll(".tgl-field-error").forEach(function (el) { el.textContent = ""; el.hidden = true; });
+    form.querySelectorAll("[aria-invalid]").forEach(function (el) { el.removeAttribute("aria-invalid"); });
+    setStatus("");
+  }
+  function showErrors(errors) {
+    var first = null;
+    errors.forEach(function (error) {
+      var el = document.getElementById(idFor(error.field) + "-error");
+      if (!el) return;
+      el.textContent = (el.textContent ? el.textContent + " " : "") + error.message;
+      el.hidden = false;
+      form.querySelectorAll('[name="' + String(error.field).replace(/["\\\\]/g, "\\\\$&") + '"]').forEach(function (input) {
+        input.setAttribute("aria-invalid", "true");
+        if (!first) first = input;
+      });
+    });
+    setStatus(M.invalid);
+    if (first) first.focus();
+  }
+  form.addEventListener("submit", function (event) {
+    event.preventDefault();
+    clearErrors();
+    if (window.InstanceMeta && InstanceMeta.preview) return setStatus(M.preview);
+    button.disabled = true;
+    button.textContent = M.working;
+    fetch(form.action, { method: "POST", body: new FormData(form), headers: { Accept: "application/json" }, credentials: "same-origin" })
+      .then(function (res) {
+        if (res.status === 422) return res.json().then(function (body) { showErrors(body.errors || []); });
+        if (!res.ok) throw new Error("HTTP " + res.status);
+        if (form.dataset.successUrl) { window.location.href = form.dataset.successUrl; return; }
+        newToken();
+        setStatus(M.saved, true);
+      })
+      .catch(function () { setStatus(M.failed); })
+      .then(function () { button.disabled = false; button.textContent = M.submit; });
+  });
+})();
+</script>`;
+}
+
+/**
+ * Render a webhook's form.
+ * @param {Object} form - webhook.form
+ * @param {Object} options
+ * @param {string} options.action - Instance path the form posts to
+ * @param {Object} [options.values] - Initial values (formValues())
+ * @param {Array<{ field: string, message: string }>} [options.errors] -
+ *   Field errors to show
+ * @param {string} [options.successUrl] - Page to open after submitting;
+ *   a thank-you message is shown in place otherwise
+ * @param {string} [options.nonce] - CSP nonce for the form's script
+ * @param {string} [options.token] - Form token; a new one by default
+ * @param {boolean} [options.preview] - Template preview: the form has no
+ *   method or action and its button is disabled, so nothing can be posted
+ *   to the live instance, with or without the script
+ * @returns {string}
+ */
+export function renderForm(
+  form,
+  {
+    action,
+    values = {},
+    errors = [],
+    successUrl,
+    nonce,
+    token = randomUUID(),
+    preview = false,
+  } = {}
+) {
+  const messages = {
+    ...MESSAGES,
+    submit: form.ui?.submitLabel ?? MESSAGES.submit,
+    saved: form.ui?.successMessage ?? MESSAGES.saved,
+  };
+  const sections = formSections(form).map((section) => {
+    const fields = section.fields
+      .map((field) => renderField(field, values, errors))
+      .join("");
+    const description = section.description
+      ? `<p class="tgl-form-description">${escapeHtml(section.description)}</p>`
+      : "";
+    return section.title
+      ? `<fieldset class="tgl-form-section"><legend>${escapeHtml(
+          section.title
+        )}</legend>${description}${fields}</fieldset>`
+      : `<div class="tgl-form-section">${description}${fields}</div>`;
+  });
+  const invalid = errors.length > 0;
+  const status = invalid ? messages.invalid : preview ? messages.preview : "";
+  const target = preview
+    ? ""
+    : ` method="post"${attr("action", action)} enctype="multipart/form-data"`;
+
+  return `<form class="tgl-form" id="tgl-form"${target}${attr(
+    "data-success-url",
+    successUrl
+  )}><input type="hidden"${attr("name", FORM_TOKEN_FIELD)}${attr(
+    "value",
+    token
+  )}><div class="tgl-form-status" role="alert"${
+    status ? "" : " hidden"
+  }>${escapeHtml(status)}</div>${sections.join(
+    ""
+  )}<button type="submit" class="tgl-form-submit"${attr(
+    "disabled",
+    preview
+  )}>${escapeHtml(messages.submit)}</button></form>${formScript(
+    messages,
+    nonce
+  )}`;
+}
@@ -0,0 +1,561 @@
+// forms/schema.mjs - Webhook form definitions and submission checks
+//
+// A webhook's optional `form` is a JSON Schema for the submission plus UI
+// hints:
+//   form: {
+//     schema: {
+//       type: "object",
+//       required: ["email"],
+//       properties: {
+//         email: { type: "string", format: "email", title: "Email" },
+//         plan: { type: "string", enum: ["basic", "pro"] },
+//         seats: { type: "integer", minimum: 1, maximum: 50 },
+//         topics: { type: "array", items: { enum: ["a", "b"] } },
+//         agree: { type: "boolean" },
+//         resume: { type: "string", format: "binary" },
+//       },
+//     },
+//     ui: {
+//       sections: [{ title, description?, fields: ["email", "plan"] }],
+//       fields: { plan: { label, help, placeholder, widget: "radio" } },
+//       submitLabel: "Send",
+//       successMessage: "Thanks!",
+//     },
+//   }
+// Supported keywords: type (string, number, integer, boolean, array),
+// title, description, default, enum, const, minLength, maxLength, pattern,
+// format (email, uri, date, binary), minimum, maximum, exclusiveMinimum,
+// exclusiveMaximum, minItems, maxItems, required and additionalProperties
+// (false rejects unknown fields). File fields are format "binary" strings,
+// or arrays of them for several files; ui accept (or contentMediaType on
+// the schema) lists the allowed types.
+//
+// Cross-field conditions: dependentRequired ({ a: ["b"] }: b is required
+// once a is given) and if/then/else, also inside allOf. An if matches when
+// its required fields are given and its property constraints hold; then and
+// else add required fields and property constraints.
+//
+// forms/render.mjs draws the form and validateFormSubmission() enforces the
+// same schema on the submit. A webhook's submissionSchema holds rules in the
+// same dialect for pages without a form; validateSubmission() applies both.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TRUE_VALUES = new Set(["true", "on", "1", "yes"]);
+const FALSE_VALUES = new Set(["false", "off", "0", "no", ""]);
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Whether a schema property takes file uploads.
+ * @param {Object} property
+ * @returns {boolean}
+ */
+export function isFileProperty(property) {
+  const item = property?.type === "array" ? property.items : property;
+  return item?.type === "string" && item?.format === "binary";
+}
+
+/**
+ * The form's fields in display order, grouped into sections.
+ * @param {Object} form - webhook.form
+ * @returns {Array<{ title: string|null, description: string|null,
+ *   fields: Array<{ name: string, property: Object, ui: Object,
+ *   required: boolean }> }>}
+ */
+export function formSections(form) {
+  const properties = isPlainObject(form?.schema?.properties)
+    ? form.schema.properties
+    : {};
+  const required = new Set(
+    Array.isArray(form?.schema?.required) ? form.schema.required : []
+  );
+  const uiFields = isPlainObject(form?.ui?.fields) ? form.ui.fields : {};
+  const field = (name) => ({
+    name,
+    property: isPlainObject(properties[name]) ? properties[name] : {},
+    ui: isPlainObject(uiFields[name]) ? uiFields[name] : {},
+    required: required.has(name),
+  });
+  const known = (name) => Object.hasOwn(properties, name);
+
+  const sections = [];
+  const placed = new Set();
+  const uiSections = Array.isArray(form?.ui?.sections) ? form.ui.sections : [];
+  for (const section of uiSections.filter(isPlainObject)) {
+    const listed = Array.isArray(section.fields) ? section.fields : [];
+    const names = listed.filter((name) => known(name) && !placed.has(name));
+    names.forEach((name) => placed.add(name));
+    sections.push({
+      title: section.title ?? null,
+      description: section.description ?? null,
+      fields: names.map(field),
+    });
+  }
+  const rest = Object.keys(properties).filter((name) => !placed.has(name));
+  if (rest.length) {
+    sections.push({ title: null, description: null, fields: rest.map(field) });
+  }
+  return sections;
+}
+
+// Label shown for a field and used in error messages
+export function fieldLabel({ name, property, ui }) {
+  return ui.label ?? property.title ?? name;
+}
+
+// A submitted value as the schema type (form posts send strings)
+function coerce(value, property) {
+  switch (property.type) {
+    case "number":
+    case "integer": {
+      if (typeof value !== "string") return value;
+      const trimmed = value.trim();
+      return trimmed === "" ? undefined : Number(trimmed);
+    }
+    case "boolean": {
+      if (typeof value !== "string") return value;
+      const lower = value.trim().toLowerCase();
+      if (TRUE_VALUES.has(lower)) return true;
+      if (FALSE_VALUES.has(lower)) return false;
+      return value;
+    }
+    case "array":
+      if (value === undefined || value === null || value === "") return [];
+      return (Array.isArray(value) ? value : [value]).map((item) =>
+        coerce(item, property.items || {})
+      );
+    default:
+      return value;
+  }
+}
+
+// Problems with one (non-file) value; message texts name the field
+function checkValue(value, property, label) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ code, message });
+  const type = property.type;
+
+  if (type === "number" || type === "integer") {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      fail("type", `${label} must be a number`);
+    } else if (type === "integer" && !Number.isInteger(value)) {
+      fail("type", `${label} must be a whole number`);
+    } else {
+      if (property.minimum !== undefined && value < property.minimum) {
+        fail("minimum", `${label} must be at least ${property.minimum}`);
+      }
+      if (property.maximum !== undefined && value > property.maximum) {
+        fail("maximum", `${label} must be at most ${property.maximum}`);
+      }
+      if (
+        property.exclusiveMinimum !== undefined &&
+        value <= property.exclusiveMinimum
+      ) {
+        fail(
+          "minimum",
+          `${label} must be more than ${property.exclusiveMinimum}`
+        );
+      }
+      if (
+        property.exclusiveMaximum !== undefined &&
+        value >= property.exclusiveMaximum
+      ) {
+        fail(
+          "maximum",
+          `${label} must be less than ${property.exclusiveMaximum}`
+        );
+      }
+    }
+  } else if (type === "boolean") {
+    if (typeof value !== "boolean") {
+      fail("type", `${label} must be true or false`);
+    }
+  } else if (type === "string" || (type === undefined && property.enum)) {
+    if (typeof value !== "string") {
+      fail("type", `${label} must be text`);
+    } else {
+      const length = [...value].length;
+      if (property.minLength !== undefined && length < property.minLength) {
+        fail(
+          "minLength",
+          `${label} must be at least ${property.minLength} characters`
+        );
+      }
+      if (property.maxLength !== undefined && length > property.maxLength) {
+        fail(
+          "maxLength",
+          `${label} must be at most ${property.maxLength} characters`
+        );
+      }
+      if (property.pattern !== undefined && !matches(property.pattern, value)) {
+        fail("pattern", `${label} is not in the expected format`);
+      }
+      const format = property.format;
+      if (
+        (format === "email" && !EMAIL.test(value)) ||
+        (format === "date" && !isDate(value)) ||
+        (format === "uri" && !isUrl(value))
+      ) {
+        fail("format", `${label} must be a valid ${FORMAT_NAMES[format]}`);
+      }
+    }
+  }
+  if (
+    Array.isArray(property.enum) &&
+    !errors.length &&
+    !property.enum.includes(value)
+  ) {
+    fail("enum", `${label} must be one of: ${property.enum.join(", ")}`);
+  }
+  if (property.const !== undefined && !errors.length) {
+    if (value !== property.const) {
+      fail("const", `${label} must be ${property.const}`);
+    }
+  }
+  return errors;
+}
+
+const FORMAT_NAMES = { email: "email address", date: "date", uri: "URL" };
+
+// A bad pattern in the schema never matches rather than failing the submit
+function matches(pattern, value) {
+  try {
+    return new RegExp(pattern, "u").test(value);
+  } catch {
+    return false;
+  }
+}
+
+function isDate(value) {
+  if (!DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function isUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Whether an upload matches an accept list ("image/*,.pdf,application/zip")
+export function acceptsFile(accept, file) {
+  if (!accept) return true;
+  const name = String(file.filename || "").toLowerCase();
+  const type = String(file.contentType || "").toLowerCase();
+  return String(accept)
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry.startsWith(".")) return name.endsWith(entry);
+      if (entry.endsWith("/*")) return type.startsWith(entry.slice(0, -1));
+      return type === entry;
+    });
+}
+
+function checkFiles(files, { property, ui, required }, label) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ code, message });
+  const multiple = property.type === "array";
+  const min = Math.max(
+    required ? 1 : 0,
+    multiple ? property.minItems ?? 0 : 0
+  );
+  const max = multiple ? property.maxItems ?? Infinity : 1;
+
+  if (files.length < min) {
+    fail(
+      "required",
+      min > 1 ? `${label} needs at least ${min} files` : `${label} is required`
+    );
+  }
+  if (files.length > max) {
+    fail(
+      "maxItems",
+      max === 1
+        ? `${label} takes one file`
+        : `${label} takes at most ${max} files`
+    );
+  }
+  const accept =
+    ui.accept ?? (multiple ? property.items : property).contentMediaType;
+  const rejected = files.filter((file) => !acceptsFile(accept, file));
+  if (rejected.length) {
+    fail(
+      "fileType",
+      `${label} does not accept ${rejected.map((f) => f.filename).join(", ")}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Check a submission against a webhook's form schema.
+ * @param {Object} form - webhook.form
+ * @param {Object} data - Parsed submission ({ field: value, files: [...] },
+ *   each file with the form field it came from as `field`)
+ * @returns {{ data: Object, errors: Array<{ field: string, code: string,
+ *   message: string }> }} data has values converted to their schema types
+ */
+export function validateFormSubmission(form, data) {
+  const out = { ...data };
+  const errors = [];
+  const files = Array.isArray(data.files) ? data.files : [];
+  const properties = isPlainObject(form?.schema?.properties)
+    ? form.schema.properties
+    : {};
+
+  for (const section of formSections(form)) {
+    for (const field of section.fields) {
+      const { name, property, required } = field;
+      const label = fieldLabel(field);
+      const report = (problems) =>
+        problems.forEach((problem) => errors.push({ field: name, ...problem }));
+
+      if (isFileProperty(property)) {
+        report(
+          checkFiles(
+            files.filter((file) => file.field === name),
+            field,
+            label
+          )
+        );
+        continue;
+      }
+
+      const value = coerce(out[name], property);
+      if (value === undefined) delete out[name];
+      else out[name] = value;
+
+      if (property.type === "boolean") {
+        // An unticked checkbox is not sent; required means it must be ticked
+        if (value === undefined) out[name] = false;
+        if (required && out[name] !== true) {
+          report([{ code: "required", message: `${label} is required` }]);
+          continue;
+        }
+      } else if (isBlank(value)) {
+        if (required) {
+          report([{ code: "required", message: `${label} is required` }]);
+        }
+        continue;
+      }
+
+      if (property.type === "array") {
+        const items = out[name];
+        const { minItems, maxItems } = property;
+        if (minItems !== undefined && items.length < minItems) {
+          report([
+            {
+              code: "minItems",
+              message: `Choose at least ${minItems} for ${label}`,
+            },
+          ]);
+        }
+        if (maxItems !== undefined && items.length > maxItems) {
+          report([
+            {
+              code: "maxItems",
+              message: `Choose at most ${maxItems} for ${label}`,
+            },
+          ]);
+        }
+        const itemProperty = isPlainObject(property.items)
+          ? property.items
+          : {};
+        items.forEach((item) =>
+          report(checkValue(item, itemProperty, label))
+        );
+        continue;
+      }
+      report(checkValue(out[name], property, label));
+    }
+  }
+
+  // Required names the schema has no property for
+  const required = Array.isArray(form?.schema?.required)
+    ? form.schema.required
+    : [];
+  for (const name of required) {
+    if (Object.hasOwn(properties, name) || !isBlank(out[name])) continue;
+    errors.push({
+      field: name,
+      code: "required",
+      message: `${name} is required`,
+    });
+  }
+
+  checkConditions(form, out, files, errors);
+
+  if (form?.schema?.additionalProperties === false) {
+    const names = new Set([
+      ...Object.keys(out),
+      ...files.map((file) => file.field).filter(Boolean),
+    ]);
+    for (const name of names) {
+      if (name === "files" || Object.hasOwn(properties, name)) continue;
+      errors.push({
+        field: name,
+        code: "unknown_field",
+        message: `${name} is not a field of this form`,
+      });
+    }
+  }
+  return { data: out, errors };
+}
+
+// The schema and its allOf entries, each of which may hold conditions
+function conditionRules(schema) {
+  if (!isPlainObject(schema)) return [];
+  const allOf = Array.isArray(schema.allOf) ? schema.allOf : [];
+  return [schema, ...allOf.filter(isPlainObject)];
+}
+
+// dependentRequired and if/then/else, checked on the typed values
+function checkConditions(form, data, files, errors) {
+  const fields = new Map(
+    formSections(form)
+      .flatMap((section) => section.fields)
+      .map((field) => [field.name, field])
+  );
+  const labelOf = (name) =>
+    fields.has(name) ? fieldLabel(fields.get(name)) : name;
+  const given = (name) => {
+    if (isFileProperty(fields.get(name)?.property)) {
+      return files.some((file) => file.field === name);
+    }
+    const value = data[name];
+    return typeof value === "boolean" ? value : !isBlank(value);
+  };
+  const reported = (name, code) =>
+    errors.some((error) => error.field === name && error.code === code);
+  // A condition's constraint on a field, typed like the field itself
+  const constraintFor = (name, constraint) => ({
+    type: fields.get(name)?.property.type,
+    ...(isPlainObject(constraint) ? constraint : {}),
+  });
+  const names = (list) => (Array.isArray(list) ? list : []);
+
+  const holds = (condition) =>
+    names(condition.required).every(given) &&
+    Object.entries(
+      isPlainObject(condition.properties) ? condition.properties : {}
+    ).every(([name, constraint]) => {
+      if (data[name] === undefined) return true;
+      const property = constraintFor(name, constraint);
+      if (property.type === "array") return true;
+      return checkValue(data[name], property, name).length === 0;
+    });
+
+  const apply = (branch) => {
+    if (!isPlainObject(branch)) return;
+    for (const name of names(branch.required)) {
+      if (given(name) || reported(name, "required")) continue;
+      errors.push({
+        field: name,
+        code: "required",
+        message: `${labelOf(name)} is required`,
+      });
+    }
+    const constraints = isPlainObject(branch.properties)
+      ? branch.properties
+      : {};
+    for (const [name, constraint] of Object.entries(constraints)) {
+      const field = fields.get(name);
+      if (!given(name) || isFileProperty(field?.property)) continue;
+      const property = {
+        ...(field?.property || {}),
+        ...constraintFor(name, constraint),
+      };
+      if (property.type === "array") continue;
+      for (const problem of checkValue(data[name], property, labelOf(name))) {
+        if (!reported(name, problem.code)) {
+          errors.push({ field: name, ...problem });
+        }
+      }
+    }
+  };
+
+  for (const rule of conditionRules(form?.schema)) {
+    const dependents = isPlainObject(rule.dependentRequired)
+      ? rule.dependentRequired
+      : {};
+    for (const [trigger, required] of Object.entries(dependents)) {
+      if (!given(trigger)) continue;
+      for (const name of names(required)) {
+        if (given(name) || reported(name, "required")) continue;
+        errors.push({
+          field: name,
+          code: "required",
+          message: `${labelOf(name)} is required when ${labelOf(
+            trigger
+          )} is given`,
+        });
+      }
+    }
+    if (isPlainObject(rule.if)) {
+      apply(holds(rule.if) ? rule.then : rule.else);
+    }
+  }
+}
+
+/**
+ * Check a submission against a webhook's form schema and submissionSchema.
+ * @param {Object} webhook
+ * @param {Object} data - Parsed submission (parseFormData())
+ * @returns {{ data: Object, errors: Array<{ field: string, code: string,
+ *   message: string }> }} data has values converted to their schema types;
+ *   no rules means no errors
+ */
+export function validateSubmission(webhook, data) {
+  const rules = [
+    webhook?.form,
+    webhook?.submissionSchema && { schema: webhook.submissionSchema },
+  ].filter(isPlainObject);
+  let checked = data;
+  const errors = [];
+  for (const rule of rules) {
+    const result = validateFormSubmission(rule, checked);
+    checked = result.data;
+    // The same problem found by both is listed once
+    for (const error of result.errors) {
+      const seen = errors.some(
+        (e) => e.field === error.field && e.code === error.code
+      );
+      if (!seen) errors.push(error);
+    }
+  }
+  return { data: checked, errors };
+}
+
+/**
+ * Initial form values: schema defaults, then instance inputs, then the
+ * latest submission.
+ * @param {Object} form - webhook.form
+ * @param {Object} inputs - Instance inputs
+ * @param {Object} [submission] - Latest submission (postEvent)
+ * @returns {Object}
+ */
+export function formValues(form, inputs = {}, submission = {}) {
+  const values = {};
+  for (const section of formSections(form)) {
+    for (const { name, property } of section.fields) {
+      if (isFileProperty(property)) continue;
+      for (const source of [{ [name]: property.default }, inputs, submission]) {
+        if (source && !isBlank(source[name])) values[name] = source[name];
+      }
+    }
+  }
+  return values;
+}
@@ -0,0 +1,45 @@
+// handlers/assets.mjs - Static assets of S3-backed pages
+//
+// GET /assets/:webhookId/:version/:path*
+//   version "v{n}" serves webpages/{webhookID}/v{n}/assets/{path} and may be
+//   cached forever (published versions never change); "live" serves the
+//   unversioned webpages/{webhookID}/assets/{path}. Templates link to them
+//   with {{asset "path"}}, which picks the published version.
+
+import { loadWebhook } from "../services/webhook.mjs";
+import { loadWebpageAsset, LIVE_VERSION } from "../services/webpage.mjs";
+import { addLogContext } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+// Assets share the origin of the auth cookies. Opened directly, an asset
+// (an SVG with a script, say) must not run: it is downloaded instead and
+// sandboxed without script if shown. Pages loading it as a subresource are
+// unaffected.
+const ASSET_CSP = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+
+export async function handleAssetRequest(event, params) {
+  const webhook = await loadWebhook(params.webhookId);
+  addLogContext({ webhookId: webhook.id, clientId: webhook.ClientID });
+
+  const { body, contentType } = await loadWebpageAsset(
+    webhook,
+    params.version,
+    params.path
+  );
+  metrics.count("AssetServed");
+  return {
+    statusCode: "200",
+    headers: {
+      "Content-Type": contentType,
+      "Cache-Control":
+        params.version === LIVE_VERSION
+          ? "public, max-age=300"
+          : "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": ASSET_CSP,
+      "Content-Disposition": "attachment",
+    },
+    isBase64Encoded: true,
+    body: body.toString("base64"),
+  };
+}
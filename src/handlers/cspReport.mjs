@@ -0,0 +1,91 @@
+// handlers/cspReport.mjs - Collect Content Security Policy violation reports
+//
+// POST /csp-report?webhook={id} (the report-uri in every page's policy).
+// Browsers send either application/csp-report
+//   { "csp-report": { "document-uri", "violated-directive", ... } }
+// or application/reports+json
+//   [{ "type": "csp-violation", "body": { "documentURL", ... } }]
+// Each violation is logged as a warning; the response is always 204, even
+// for truncated or malformed reports, which are logged at debug level.
+
+import { loadWebhook } from "../services/webhook.mjs";
+import { parseJsonBody } from "../utils/parser.mjs";
+import { logger, addLogContext } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+const MAX_REPORTS = 20;
+const MAX_FIELD_LENGTH = 300;
+
+// Drop query strings (preview tokens, presigned URL signatures) and cap size
+function cleanUrl(value) {
+  if (typeof value !== "string") return undefined;
+  return value.split(/[?#]/)[0].slice(0, MAX_FIELD_LENGTH);
+}
+
+function cleanText(value) {
+  if (value === undefined || value === null) return undefined;
+  return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+// Both report formats, as one list of violations
+function extractViolations(payload) {
+  if (Array.isArray(payload)) {
+    return payload
+      .filter((report) => report?.type === "csp-violation" && report.body)
+      .map(({ body }) => ({
+        documentUri: cleanUrl(body.documentURL),
+        directive: cleanText(body.effectiveDirective),
+        blockedUri: cleanUrl(body.blockedURL),
+        sourceFile: cleanUrl(body.sourceFile),
+        line: body.lineNumber,
+        column: body.columnNumber,
+        disposition: cleanText(body.disposition),
+        sample: cleanText(body.sample),
+      }));
+  }
+  const report = payload?.["csp-report"];
+  if (!report || typeof report !== "object") return [];
+  return [
+    {
+      documentUri: cleanUrl(report["document-uri"]),
+      directive: cleanText(
+        report["effective-directive"] || report["violated-directive"]
+      ),
+      blockedUri: cleanUrl(report["blocked-uri"]),
+      sourceFile: cleanUrl(report["source-file"]),
+      line: report["line-number"],
+      column: report["column-number"],
+      disposition: cleanText(report.disposition),
+      sample: cleanText(report["script-sample"]),
+    },
+  ];
+}
+
+export async function handleCspReportRequest(event) {
+  let payload;
+  try {
+    payload = parseJsonBody(event.body || "{}");
+  } catch {
+    logger.debug("Malformed CSP report");
+    payload = null;
+  }
+  const violations = extractViolations(payload);
+
+  // Label logs and metrics only with webhooks that exist
+  const webhookId = event.queryStringParameters?.webhook;
+  if (webhookId) {
+    try {
+      const webhook = await loadWebhook(webhookId);
+      addLogContext({ webhookId: webhook.id, clientId: webhook.ClientID });
+    } catch {
+      logger.debug("CSP report for unknown webhook", { webhookId });
+    }
+  }
+
+  for (const violation of violations.slice(0, MAX_REPORTS)) {
+    logger.warn("CSP violation", violation);
+    metrics.count("CspViolation");
+  }
+
+  return { statusCode: "204", headers: {}, body: "" };
+}
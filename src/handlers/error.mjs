@@ -0,0 +1,86 @@
+// handlers/error.mjs - Map thrown errors to HTML or JSON error responses
+
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { toHttpError } from "../utils/errors.mjs";
+import { escapeHtml } from "../utils/html.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ERROR_PAGE_HTML = readFileSync(
+  join(__dirname, "../pages/error.html"),
+  "utf8"
+);
+
+const ERROR_TITLES = {
+  400: "Bad Request",
+  401: "Sign-in Required",
+  403: "Access Denied",
+  404: "Page Not Found",
+  405: "Method Not Allowed",
+  406: "Not Acceptable",
+  409: "Already Submitting",
+  413: "Upload Too Large",
+  422: "Please Check Your Answers",
+  500: "Something Went Wrong",
+  502: "Service Unavailable",
+};
+
+// Browsers navigating to a page ask for text/html; API callers don't
+function wantsHtml(event) {
+  const accept = event?.headers?.accept || event?.headers?.Accept || "";
+  return accept.toLowerCase().includes("text/html");
+}
+
+/**
+ * Build the response for an error thrown while handling a request.
+ * Browsers get the branded error page, API callers a JSON envelope:
+ * { ok: false, error, code, requestId } (plus field `errors` for 422)
+ *
+ * @param {unknown} err - Anything thrown by a route handler
+ * @param {Object} event - Normalized Lambda event
+ * @param {string} requestId - Request ID echoed to the caller for support
+ * @returns {Object} { statusCode, headers, body }
+ */
+export function buildErrorResponse(err, event, requestId) {
+  const httpError = toHttpError(err);
+  const statusCode = httpError.statusCode;
+  const message = httpError.publicMessage;
+
+  const headers = { "X-Request-Id": requestId };
+  if (httpError.allowed?.length) headers.Allow = httpError.allowed.join(", ");
+
+  if (wantsHtml(event)) {
+    const values = {
+      statusCode,
+      title: ERROR_TITLES[statusCode] || "Error",
+      message,
+      requestId,
+    };
+    // Field errors of a rejected submission, for forms posted without script
+    const details = httpError.errors?.length
+      ? `<ul class="errors">${httpError.errors
+          .map((error) => `<li>${escapeHtml(error.message)}</li>`)
+          .join("")}</ul>`
+      : "";
+    return {
+      statusCode: String(statusCode),
+      headers: { ...headers, "Content-Type": "text/html" },
+      body: ERROR_PAGE_HTML.replace(/{{(\w+)}}/g, (match, key) =>
+        key === "details" ? details : escapeHtml(values[key])
+      ),
+    };
+  }
+
+  return {
+    statusCode: String(statusCode),
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      ok: false,
+      error: message,
+      code: httpError.code,
+      ...(httpError.errors && { errors: httpError.errors }),
+      requestId,
+    }),
+  };
+}
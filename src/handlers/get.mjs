@@ -1,30 +1,28 @@
 // handlers/get.mjs - GET request handler
 
 import {
+  instanceKeyFromEvent,
+  instancePathFromEvent,
   resolveInstanceId,
   loadInstance,
   updateWebhookInstance,
 } from "../services/instance.mjs";
 import { loadWebhook } from "../services/webhook.mjs";
-import { getMostRecentSubmitEvent } from "../services/event.mjs";
 import {
   verifyAccessOrPasswordPage,
+  renderGatePage,
+  translateGateString,
   PASSWORD_PAGE_HTML,
 } from "../auth/password.mjs";
-import {
-  replaceHtmlVariables,
-  replaceHtmlWithEvent,
-  buildHtmlDocument,
-} from "../utils/html.mjs";
-import { getSignedUrlsForFiles, readTextFileFromS3 } from "../utils/s3.mjs";
 import {
   buildAuthCookie,
-  buildCognitoCookie,
+  buildCookieDeletionCookie,
   cookieNameFor,
+  cognitoSessionCookies,
+  requestCookie,
   COOKIE_TTL_SEC,
-  COGNITO_ID_TOKEN_COOKIE,
-  COGNITO_REFRESH_TOKEN_COOKIE,
-  COGNITO_COOKIE_TTL_SEC,
+  FLASH_COOKIE,
+  FLASH_SUBMITTED,
 } from "../auth/cookie.mjs";
 import {
   createJwtHs256,
@@ -33,71 +31,130 @@ import {
 } from "../helperToken/token.mjs";
 import { getClientSecret } from "../helperToken/clientSecret.mjs";
 import { loadClient } from "../services/client.mjs";
+import { getMostRecentSubmitEvent } from "../services/event.mjs";
+import { loadWebhookTemplate } from "../services/template.mjs";
+import {
+  loadLatestSubmission,
+  prepareInstancePage,
+  selectInstancePage,
+  selectPageLocale,
+} from "../services/page.mjs";
+import { UnauthorizedError } from "../utils/errors.mjs";
+import { logger, addLogContext } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
 
-export async function handleGetRequest(event) {
-  // Check Accept header - be lenient for browser requests
-  // Allow if no Accept header (browser direct navigation), includes text/html, or accepts all
+// JSON is served only when the Accept header explicitly asks for JSON and
+// not for HTML or a wildcard. Everything else gets the HTML page:
+// - No Accept header (browser direct navigation)
+// - Accept: text/html (browser HTML request)
+// - Accept: */* (browser accepts all)
+// - Accept: text/html,application/xhtml+xml (browser HTML variants)
+function wantsJson(event) {
   const accept = event?.headers?.accept || event?.headers?.Accept || "";
   const acceptLower = accept.toLowerCase();
-
-  // Only reject if Accept header explicitly requests JSON only (no HTML, no wildcard)
-  // This allows:
-  // - No Accept header (browser direct navigation)
-  // - Accept: text/html (browser HTML request)
-  // - Accept: */* (browser accepts all)
-  // - Accept: text/html,application/xhtml+xml (browser HTML variants)
-  if (
-    accept &&
+  return (
+    !!accept &&
     acceptLower.includes("application/json") &&
     !acceptLower.includes("text/html") &&
     !acceptLower.includes("*/*")
-  ) {
-    throw new Error("webpage not accessible");
-  }
+  );
+}
 
-  let greedy = event.pathParameters?.instanceID;
+// If-None-Match lists the ETag (weak comparison; "*" matches anything)
+function isNotModified(event, etag) {
+  const header =
+    event?.headers?.["if-none-match"] || event?.headers?.["If-None-Match"];
+  if (!header) return false;
+  const weak = (tag) => tag.trim().replace(/^W\//, "");
+  return header
+    .split(",")
+    .some((tag) => tag.trim() === "*" || weak(tag) === weak(etag));
+}
 
-  if (typeof greedy === "string") {
-    try {
-      greedy = decodeURIComponent(greedy);
-    } catch {}
-  }
-  const instanceID = await resolveInstanceId(greedy);
+// Notice after a classic form post: the webhook's own message, else the
+// form's success message, else the translated default
+function submitNotice(webhook, locales) {
+  return (
+    webhook.submitMessage ??
+    webhook.form?.ui?.successMessage ??
+    translateGateString("submit.saved", locales)
+  );
+}
+
+// Machine-readable view of an instance for Accept: application/json
+async function buildInstanceJson({ instance, webhook, client }) {
+  const { submitEvent, postEvent } = await loadLatestSubmission(instance.id);
+  return {
+    instance: {
+      id: instance.id,
+      webhookId: instance.WebhookID,
+      externalId: instance.externalID ?? null,
+      inputs: JSON.parse(instance.inputs || "{}"),
+    },
+    webhook: {
+      id: webhook.id,
+      title: webhook.title ?? null,
+    },
+    client: client || null,
+    latestSubmission: submitEvent
+      ? {
+          id: submitEvent.id,
+          createdAt: submitEvent.createdAt,
+          data: postEvent,
+        }
+      : null,
+  };
+}
+
+export async function handleGetRequest(event, params = {}) {
+  const json = wantsJson(event);
+
+  const instanceID = await resolveInstanceId(
+    instanceKeyFromEvent(event, params)
+  );
   const instance = await loadInstance(instanceID);
   const webhook = await loadWebhook(instance.WebhookID);
+  addLogContext({
+    instanceId: instance.id,
+    webhookId: webhook.id,
+    clientId: webhook.ClientID,
+  });
 
-  // Load client data if available
-  const client = await loadClient(webhook.ClientID);
-
-  const gate = await verifyAccessOrPasswordPage(instance, webhook, event);
+  // Client data (if any) and the access check are independent
+  const [client, gate] = await Promise.all([
+    loadClient(webhook.ClientID),
+    verifyAccessOrPasswordPage(instance, webhook, event),
+  ]);
+  const { locale, requested } = selectPageLocale(webhook, instance, event);
 
   if (!gate.ok) {
+    if (json) {
+      throw new UnauthorizedError(
+        gate.reason === "unauthorized" ? "Access denied" : "Authentication required"
+      );
+    }
+    // In the page's language when it is localized, else the visitor's
     return {
       statusCode: "200",
-      headers: { "Content-Type": "text/html" },
-      body: gate.html || PASSWORD_PAGE_HTML,
+      headers: {
+        "Content-Type": "text/html",
+        Vary: "Accept, Accept-Language",
+      },
+      body: renderGatePage(gate.html || PASSWORD_PAGE_HTML, {
+        client,
+        locales: [locale, ...requested].filter(Boolean),
+      }),
     };
   }
 
   // Set cookies based on authentication type
-  let headers = { "Content-Type": "text/html" };
+  let headers = { "Content-Type": "text/html", Vary: "Accept" };
 
   // If Cognito tokens were refreshed, set them in cookies
   // API Gateway v2: cookies should be returned as an array
   let responseCookies = undefined;
   if (gate.cognitoTokens) {
-    responseCookies = [
-      buildCognitoCookie({
-        name: COGNITO_ID_TOKEN_COOKIE,
-        token: gate.cognitoTokens.idToken,
-        maxAgeSec: COGNITO_COOKIE_TTL_SEC,
-      }),
-      buildCognitoCookie({
-        name: COGNITO_REFRESH_TOKEN_COOKIE,
-        token: gate.cognitoTokens.refreshToken,
-        maxAgeSec: COGNITO_COOKIE_TTL_SEC,
-      }),
-    ];
+    responseCookies = cognitoSessionCookies(gate.cognitoTokens);
   } else if (webhook?.authenticationType !== "user") {
     // Legacy password auth - mint/refresh session cookie for this instance
     try {
@@ -119,78 +176,84 @@ export async function handleGetRequest(event) {
       });
       headers = { ...headers, "Set-Cookie": setCookie };
     } catch (e) {
-      // cookie mint (GET) failed
       // Do not break the page; gating already passed
+      logger.warn("Session cookie mint failed", { error: e.message });
     }
   }
 
-  await updateWebhookInstance(instanceID);
-
-  const inputs = JSON.parse(instance.inputs || "{}");
-  const recentSubmitEvent = await getMostRecentSubmitEvent(instanceID);
-  let postEvent = {};
-  if (recentSubmitEvent) {
-    postEvent = JSON.parse(recentSubmitEvent.body);
-    if (postEvent.files?.length)
-      postEvent.files = await getSignedUrlsForFiles(postEvent.files);
+  if (json) {
+    metrics.count("JsonView");
+    return {
+      statusCode: "200",
+      headers: {
+        ...headers,
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store", // file URLs are presigned
+      },
+      cookies: responseCookies,
+      body: JSON.stringify(
+        await buildInstanceJson({ instance, webhook, client })
+      ),
+    };
   }
 
-  // Load HTML and CSS from S3 if usesS3 is true, otherwise use DynamoDB values
-  let htmlString;
-  let cssString;
-  
-  if (webhook.usesS3 === true) {
-    // Construct S3 paths for HTML and CSS files
-    const clientID = webhook.ClientID;
-    const webpageID = webhook.id;
-    const s3Bucket = "tgltoolboxuserfiles210135-staging";
-    const basePath = `public/clients/${clientID}/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages/${webpageID}`;
-    const htmlKey = `${basePath}/index.html`;
-    const cssKey = `${basePath}/styles.css`;
-    
-    try {
-      // Fetch HTML and CSS from S3
-      htmlString = await readTextFileFromS3(s3Bucket, htmlKey);
-      cssString = await readTextFileFromS3(s3Bucket, cssKey);
-    } catch (error) {
-      // If S3 files are not found, fall back to DynamoDB values
-      console.error(`Failed to load files from S3: ${error.message}`);
-      htmlString = webhook.html || "";
-      cssString = webhook.style || "";
-    }
-  } else {
-    // Use DynamoDB values as before
-    htmlString = webhook.html;
-    cssString = webhook.style;
+  // A classic form post redirected here: show its notice once
+  const pageBase = instancePathFromEvent(event, params);
+  let flash = null;
+  if (requestCookie(event, FLASH_COOKIE) === FLASH_SUBMITTED) {
+    flash = submitNotice(webhook, [locale, ...requested].filter(Boolean));
+    responseCookies = [
+      ...(responseCookies || []),
+      buildCookieDeletionCookie(FLASH_COOKIE, pageBase),
+    ];
   }
-  
-  const title = webhook.title;
-  const favicon = webhook?.favicon;
-
-  // Merge inputs with client data for variable replacement
-  const templateData = {
-    ...inputs,
-    client: client || {},
-  };
-
-  htmlString = replaceHtmlVariables(htmlString, templateData);
-  if (postEvent) htmlString = await replaceHtmlWithEvent(htmlString, postEvent);
 
-  const body = buildHtmlDocument({
-    title,
-    favicon,
-    cssString,
-    htmlString,
-    instanceId: instance.id,
-    webhookId: instance.WebhookID,
+  // Load the HTML and CSS (S3 when usesS3, else DynamoDB) of the page to show
+  const submitEvent = await getMostRecentSubmitEvent(instance.id);
+  const pageName = selectInstancePage(webhook, submitEvent, params.page);
+  const template = await loadWebhookTemplate(webhook, locale, pageName);
+  const page = await prepareInstancePage({
+    instance,
+    webhook,
     client,
-    values: inputs,
-    postEvent,
+    template,
+    locale,
+    page: pageName,
+    pageBase,
+    flash,
+    submitEvent,
   });
 
+  // Browsers keep the page and revalidate it on every visit
+  headers = {
+    ...headers,
+    ...(locale && { Vary: "Accept, Accept-Language" }),
+    ETag: page.etag,
+    "Cache-Control": "private, no-cache",
+  };
+
+  // Unchanged: the browser's copy keeps the CSP header sent with it, which
+  // matches the nonce in its body. Browsers revalidate on every navigation,
+  // so a 304 is not a visit
+  if (isNotModified(event, page.etag)) {
+    metrics.count("PageNotModified");
+    return {
+      statusCode: "304",
+      headers,
+      cookies: responseCookies,
+      body: "",
+    };
+  }
+
+  // Count the page visit (JSON reads and 304s are not visits) while rendering
+  const [{ body, headers: cspHeaders }] = await Promise.all([
+    page.render(),
+    updateWebhookInstance(instanceID),
+  ]);
+  metrics.count("PageView");
   return {
     statusCode: "200",
-    headers,
+    headers: { ...headers, ...cspHeaders },
     cookies: responseCookies,
     body,
   };
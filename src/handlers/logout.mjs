@@ -0,0 +1,22 @@
+// handlers/logout.mjs - Clear platform-wide Cognito session cookies
+
+import {
+  buildCookieDeletionCookie,
+  COGNITO_ID_TOKEN_COOKIE,
+  COGNITO_REFRESH_TOKEN_COOKIE,
+} from "../auth/cookie.mjs";
+
+export async function handleLogoutRequest() {
+  const cookies = [
+    buildCookieDeletionCookie(COGNITO_ID_TOKEN_COOKIE),
+    buildCookieDeletionCookie(COGNITO_REFRESH_TOKEN_COOKIE),
+  ];
+  return {
+    statusCode: "200",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    cookies: cookies, // API Gateway v2 uses cookies array
+    body: JSON.stringify({ ok: true }),
+  };
+}
@@ -1,27 +1,47 @@
 // handlers/post.mjs - POST request handler
 
-import { resolveInstanceId, loadInstance } from "../services/instance.mjs";
+import {
+  instanceKeyFromEvent,
+  instancePathFromEvent,
+  resolveInstanceId,
+  loadInstance,
+} from "../services/instance.mjs";
 import { loadWebhook } from "../services/webhook.mjs";
+import { loadClient } from "../services/client.mjs";
 import { createInstanceEvent } from "../services/event.mjs";
+import {
+  submitIdempotencyKey,
+  claimSubmitKey,
+  completeSubmitKey,
+  releaseSubmitKey,
+  REPLAYED_HEADER,
+} from "../services/idempotency.mjs";
 import {
   querySubscriptions,
   sendInstanceData,
 } from "../services/subscription.mjs";
 import {
   verifyAccessOrPasswordPage,
+  renderGatePage,
   PASSWORD_PAGE_HTML,
 } from "../auth/password.mjs";
-import { parseFormData } from "../utils/parser.mjs";
+import { selectPageLocale } from "../services/page.mjs";
+import { hasWebhookPage } from "../services/template.mjs";
+import { parseFormData, requestBodyBytes } from "../utils/parser.mjs";
+import { validateSubmission } from "../forms/schema.mjs";
+import { FORM_TOKEN_FIELD } from "../forms/render.mjs";
 import { uploadFileToS3, generatePresignedUrl } from "../utils/s3.mjs";
 import { S3_CONFIG } from "../config/aws.mjs";
 import {
   buildAuthCookie,
   buildCognitoCookie,
+  buildFlashCookie,
   cookieNameFor,
   COOKIE_TTL_SEC,
   COGNITO_ID_TOKEN_COOKIE,
   COGNITO_REFRESH_TOKEN_COOKIE,
   COGNITO_COOKIE_TTL_SEC,
+  FLASH_SUBMITTED,
 } from "../auth/cookie.mjs";
 import { authenticateUser } from "../auth/cognito.mjs";
 import {
@@ -31,152 +51,248 @@ import {
 } from "../helperToken/token.mjs";
 import { getClientSecret } from "../helperToken/clientSecret.mjs";
 import {
-  handleUploadUrlRequest,
-  handleUploadCompleteRequest,
-} from "./uploadUrl.mjs";
-
-export async function handlePostRequest(event) {
-  // Check if this is an upload URL request
-  if (event.path?.includes("/upload-url")) {
-    return await handleUploadUrlRequest(event);
-  }
+  BadRequestError,
+  UnprocessableEntityError,
+} from "../utils/errors.mjs";
+import { addLogContext } from "../utils/logger.mjs";
+import { metrics, recordAuthOutcome } from "../utils/metrics.mjs";
 
-  // Check if this is an upload complete notification
-  if (event.path?.includes("/upload-complete")) {
-    return await handleUploadCompleteRequest(event);
-  }
-  const rawPath = event.path || "";
-  const isAuthExchange =
-    rawPath.endsWith("/auth") || event.queryStringParameters?.auth === "1";
-
-  let greedy = event.pathParameters?.instanceID;
-  if (typeof greedy === "string") {
-    try {
-      greedy = decodeURIComponent(greedy);
-    } catch {}
-  }
-  const instanceID = await resolveInstanceId(greedy);
+// Resolve and load the instance + webhook addressed by the route
+async function loadRouteInstance(event, params) {
+  const instanceID = await resolveInstanceId(
+    instanceKeyFromEvent(event, params)
+  );
   const instance = await loadInstance(instanceID);
   const webhook = await loadWebhook(instance.WebhookID);
+  addLogContext({
+    instanceId: instance.id,
+    webhookId: webhook.id,
+    clientId: webhook.ClientID,
+  });
+  return { instanceID, instance, webhook };
+}
 
-  // Handle authentication exchange
-  if (isAuthExchange) {
-    const payload = event.body ? JSON.parse(event.body) : {};
-
-    // Cognito authentication
-    if (webhook?.authenticationType === "user") {
-      const username = payload?.username || "";
-      const password = payload?.password || "";
-
-      if (!username || !password) {
-        return {
-          statusCode: "401",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            ok: false,
-            error: "Username and password required",
-          }),
-        };
-      }
-
-      const authResult = await authenticateUser(username, password);
-
-      if (!authResult.ok) {
-        return {
-          statusCode: "401",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            ok: false,
-            error: authResult.error || "Authentication failed",
-          }),
-        };
-      }
-
-      // Set Cognito cookies
-      // API Gateway v2: cookies should be returned as an array in the response
-      const cookies = [
-        buildCognitoCookie({
-          name: COGNITO_ID_TOKEN_COOKIE,
-          token: authResult.tokens.idToken,
-          maxAgeSec: COGNITO_COOKIE_TTL_SEC,
-        }),
-        buildCognitoCookie({
-          name: COGNITO_REFRESH_TOKEN_COOKIE,
-          token: authResult.tokens.refreshToken,
-          maxAgeSec: COGNITO_COOKIE_TTL_SEC,
+// Authentication exchange: POST /instance/{id}/auth (or ?auth=1)
+export async function handleAuthRequest(event, params = {}) {
+  const { instance, webhook } = await loadRouteInstance(event, params);
+  return await exchangeCredentials(event, instance, webhook);
+}
+
+async function exchangeCredentials(event, instance, webhook) {
+  let payload = {};
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    throw new BadRequestError("Invalid JSON body", { cause: e });
+  }
+
+  // Cognito authentication
+  if (webhook?.authenticationType === "user") {
+    const username = payload?.username || "";
+    const password = payload?.password || "";
+
+    if (!username || !password) {
+      recordAuthOutcome("cognito", false);
+      return {
+        statusCode: "401",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ok: false,
+          error: "Username and password required",
         }),
-      ];
+      };
+    }
 
+    const authResult = await authenticateUser(username, password);
+
+    recordAuthOutcome("cognito", authResult.ok);
+    if (!authResult.ok) {
       return {
-        statusCode: "200",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        cookies: cookies, // API Gateway v2 uses cookies array
-        body: JSON.stringify({ ok: true }),
+        statusCode: "401",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ok: false,
+          error: authResult.error || "Authentication failed",
+        }),
       };
     }
 
-    // Legacy password authentication
-    if (webhook.passwordProtected) {
-      const provided = payload?.password || "";
-      const expected = instance?.password || "";
-
-      if (!provided || provided !== expected) {
-        return {
-          statusCode: "401",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ ok: false, error: "Invalid password" }),
-        };
-      }
-
-      // Derive cookie key (NO authKey required)
-      const clientSecret = await getClientSecret(webhook.ClientID);
-      const cookieKey = deriveCookieSigningKey(clientSecret, instance.id);
-
-      // Issue JWT cookie bound to instance
-      const jwtCookie = createJwtHs256({
-        key: cookieKey,
-        payload: { iid: instance.id, tv: instance.tokenVersion >>> 0 },
-        ttlSec: COOKIE_TTL_SEC,
-        iss: "tgl",
-        aud: `wi:${instance.id}`,
-        iat: nowSec(),
-      });
+    // Set Cognito cookies
+    // API Gateway v2: cookies should be returned as an array in the response
+    const cookies = [
+      buildCognitoCookie({
+        name: COGNITO_ID_TOKEN_COOKIE,
+        token: authResult.tokens.idToken,
+        maxAgeSec: COGNITO_COOKIE_TTL_SEC,
+      }),
+      buildCognitoCookie({
+        name: COGNITO_REFRESH_TOKEN_COOKIE,
+        token: authResult.tokens.refreshToken,
+        maxAgeSec: COGNITO_COOKIE_TTL_SEC,
+      }),
+    ];
 
-      const setCookie = buildAuthCookie({
-        name: cookieNameFor(instance.id),
-        token: jwtCookie,
-        maxAgeSec: COOKIE_TTL_SEC,
-        path: "/instance/",
-      });
+    return {
+      statusCode: "200",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      cookies: cookies, // API Gateway v2 uses cookies array
+      body: JSON.stringify({ ok: true }),
+    };
+  }
+
+  // Legacy password authentication
+  if (webhook.passwordProtected) {
+    const provided = payload?.password || "";
+    const expected = instance?.password || "";
 
+    if (!provided || provided !== expected) {
+      recordAuthOutcome("password", false);
       return {
-        statusCode: "200",
-        headers: {
-          "Content-Type": "application/json",
-          "Set-Cookie": setCookie,
-        },
-        body: JSON.stringify({ ok: true }),
+        statusCode: "401",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ok: false, error: "Invalid password" }),
       };
     }
+
+    recordAuthOutcome("password", true);
+
+    // Derive cookie key (NO authKey required)
+    const clientSecret = await getClientSecret(webhook.ClientID);
+    const cookieKey = deriveCookieSigningKey(clientSecret, instance.id);
+
+    // Issue JWT cookie bound to instance
+    const jwtCookie = createJwtHs256({
+      key: cookieKey,
+      payload: { iid: instance.id, tv: instance.tokenVersion >>> 0 },
+      ttlSec: COOKIE_TTL_SEC,
+      iss: "tgl",
+      aud: `wi:${instance.id}`,
+      iat: nowSec(),
+    });
+
+    const setCookie = buildAuthCookie({
+      name: cookieNameFor(instance.id),
+      token: jwtCookie,
+      maxAgeSec: COOKIE_TTL_SEC,
+      path: "/instance/",
+    });
+
+    return {
+      statusCode: "200",
+      headers: {
+        "Content-Type": "application/json",
+        "Set-Cookie": setCookie,
+      },
+      body: JSON.stringify({ ok: true }),
+    };
+  }
+
+  // Public instance - nothing to exchange
+  return {
+    statusCode: "200",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ok: true }),
+  };
+}
+
+// Form submit: POST /instance/{id} (JSON, multipart or urlencoded)
+export async function handlePostRequest(event, params = {}) {
+  const { instanceID, instance, webhook } = await loadRouteInstance(
+    event,
+    params
+  );
+
+  // Legacy query-flag form of the authentication exchange
+  if (event.queryStringParameters?.auth === "1") {
+    return await exchangeCredentials(event, instance, webhook);
   }
 
   // Normal submit (auth enforced if protected or Cognito auth required)
   if (webhook.passwordProtected || webhook?.authenticationType === "user") {
     const gate = await verifyAccessOrPasswordPage(instance, webhook, event);
     if (!gate.ok) {
+      const client = await loadClient(webhook.ClientID);
+      const { locale, requested } = selectPageLocale(webhook, instance, event);
       return {
         statusCode: "401",
-        headers: { "Content-Type": "text/html" },
-        body: gate.html || PASSWORD_PAGE_HTML,
+        headers: { "Content-Type": "text/html", Vary: "Accept-Language" },
+        body: renderGatePage(gate.html || PASSWORD_PAGE_HTML, {
+          client,
+          locales: [locale, ...requested].filter(Boolean),
+        }),
       };
     }
   }
 
-  let data = parseFormData(event.body);
+  let data = parseFormData(
+    requestBodyBytes(event),
+    event.headers?.["content-type"] || event.headers?.["Content-Type"]
+  );
+  const idempotencyKey = submitIdempotencyKey(event, data, FORM_TOKEN_FIELD);
+
+  // A webhook's form schema and submission rules are enforced before
+  // anything is stored or sent
+  if (webhook.form || webhook.submissionSchema) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new BadRequestError("Submission must be an object of fields");
+    }
+    const checked = validateSubmission(webhook, data);
+    if (checked.errors.length) {
+      metrics.count("SubmitRejected");
+      throw new UnprocessableEntityError("The submission has errors", {
+        errors: checked.errors,
+      });
+    }
+    data = checked.data;
+  }
+
+  // A repeated key gets the first submit's result: nothing is stored or
+  // delivered again
+  const claimed = idempotencyKey
+    ? await claimSubmitKey(instanceID, idempotencyKey)
+    : {};
+  if (claimed.eventId) {
+    metrics.count("SubmitReplayed");
+    return submitResponse(event, params, webhook, claimed.eventId, {
+      [REPLAYED_HEADER]: "true",
+    });
+  }
+
   let instanceEventResponse;
+  try {
+    instanceEventResponse = await storeSubmit(
+      event,
+      instance,
+      instanceID,
+      data
+    );
+  } catch (e) {
+    if (claimed.claim) await releaseSubmitKey(claimed.claim);
+    throw e;
+  }
+  const eventId = instanceEventResponse.Item.id;
+  if (claimed.claim) await completeSubmitKey(claimed.claim, eventId);
+
+  metrics.count("Submit");
+
+  const subscriptions = await querySubscriptions(instance.WebhookID);
+  for (const subscription of subscriptions) {
+    if (subscription.type === "submit") {
+      await sendInstanceData(subscription.url, {
+        ...instanceEventResponse.Item,
+        instance,
+        fileUrl: data.fileUrl,
+      });
+    }
+  }
+
+  return submitResponse(event, params, webhook, eventId);
+}
 
+// Upload the submit's files and store it as a "submit" event
+async function storeSubmit(event, instance, instanceID, data) {
   if (data.files?.length) {
     for (let i = 0; i < data.files.length; i++) {
       const file = data.files[i];
@@ -195,7 +311,7 @@ export async function handlePostRequest(event) {
       delete file.contentType;
     }
 
-    instanceEventResponse = await createInstanceEvent(
+    return await createInstanceEvent(
       instance.UserID,
       instanceID,
       "submit",
@@ -206,7 +322,7 @@ export async function handlePostRequest(event) {
       null // s3FilePath is handled within the file objects
     );
   } else {
-    instanceEventResponse = await createInstanceEvent(
+    return await createInstanceEvent(
       instance.UserID,
       instanceID,
       "submit",
@@ -217,21 +333,66 @@ export async function handlePostRequest(event) {
       null
     );
   }
+}
 
-  const subscriptions = await querySubscriptions(instance.WebhookID);
-  for (const subscription of subscriptions) {
-    if (subscription.type === "submit") {
-      await sendInstanceData(subscription.url, {
-        ...instanceEventResponse.Item,
-        instance,
-        fileUrl: data.fileUrl,
-      });
-    }
+// Classic form posts land on a page; scripts and API callers get JSON
+function submitResponse(event, params, webhook, eventId, headers = {}) {
+  if (isNavigation(event)) {
+    const redirect = submitRedirect(event, params, webhook);
+    return { ...redirect, headers: { ...redirect.headers, ...headers } };
   }
-
   return {
     statusCode: "200",
-    headers: { "Content-Type": "text/html" },
-    body: "success",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({ ok: true, eventId }),
   };
 }
+
+// A browser navigating with a form post, rather than fetch/XHR or an API
+// client. Sec-Fetch-Mode settles it where the browser sends it.
+function isNavigation(event) {
+  const headers = event.headers || {};
+  const mode = headers["sec-fetch-mode"] || headers["Sec-Fetch-Mode"];
+  if (mode) return mode === "navigate";
+  if (headers["x-requested-with"] || headers["X-Requested-With"]) return false;
+  const accept = headers.accept || headers.Accept || "";
+  return accept.toLowerCase().includes("text/html");
+}
+
+// Redirect-after-post: the webhook's thank-you URL, else its submitPage,
+// else the instance, with a one-time notice for pages on this server
+function submitRedirect(event, params, webhook) {
+  const headers = { "Cache-Control": "no-store" };
+  if (isHttpUrl(webhook.submitRedirectUrl)) {
+    return {
+      statusCode: "303",
+      headers: { ...headers, Location: webhook.submitRedirectUrl },
+      body: "",
+    };
+  }
+  const pageBase = instancePathFromEvent(event, params);
+  const location = hasWebhookPage(webhook, webhook.submitPage)
+    ? `${pageBase}/p/${encodeURIComponent(webhook.submitPage)}`
+    : pageBase;
+  return {
+    statusCode: "303",
+    headers: {
+      ...headers,
+      Location: location,
+      "Set-Cookie": buildFlashCookie({
+        value: FLASH_SUBMITTED,
+        path: pageBase,
+      }),
+    },
+    body: "",
+  };
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,147 @@
+// handlers/preview.mjs - Signed preview links for unpublished templates
+//
+// POST /templates/preview (Cognito session of an admin or a user of the
+// webhook's client)
+// {
+//   "instanceId": "...",          instance whose inputs and client to use
+//   "html": "...", "css": "...",  optional draft; the webpages/{id}/draft/
+//                                 files in S3 otherwise
+//   "ttlSec": 900                 optional, at most one hour
+// }
+// → 200 { url, expiresAt }
+//
+// GET /preview/:id?token=... renders the draft like the live page, with a
+// preview banner. Previews never count visits or record events.
+
+import { loadInstance } from "../services/instance.mjs";
+import { loadWebhook } from "../services/webhook.mjs";
+import { loadClient } from "../services/client.mjs";
+import {
+  saveDraftTemplate,
+  loadDraftTemplate,
+} from "../services/template.mjs";
+import {
+  renderInstancePage,
+  selectPageLocale,
+} from "../services/page.mjs";
+import {
+  createPreviewToken,
+  verifyPreviewToken,
+} from "../services/preview.mjs";
+import {
+  requireCognitoUser,
+  requireClientAccess,
+} from "../auth/cognito.mjs";
+import { cognitoSessionCookies } from "../auth/cookie.mjs";
+import { parseJsonBody } from "../utils/parser.mjs";
+import { BadRequestError, UnauthorizedError } from "../utils/errors.mjs";
+import { logger, addLogContext } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+// Absolute link on the host the request came in on
+function previewUrl(event, instanceId, token) {
+  const host = event.headers?.host || event.requestContext?.domainName;
+  const path = `/preview/${encodeURIComponent(instanceId)}`;
+  const query = `?token=${encodeURIComponent(token)}`;
+  return host ? `https://${host}${path}${query}` : `${path}${query}`;
+}
+
+export async function handlePreviewLinkRequest(event) {
+  const payload = parseJsonBody(event.body || "{}");
+  if (typeof payload?.instanceId !== "string") {
+    throw new BadRequestError("instanceId is required");
+  }
+  for (const field of ["html", "css"]) {
+    if (payload[field] !== undefined && typeof payload[field] !== "string") {
+      throw new BadRequestError(`${field} must be a string`);
+    }
+  }
+
+  // Signed in before the lookup, so instance IDs cannot be probed
+  const { user, tokens } = await requireCognitoUser(event);
+  const instance = await loadInstance(payload.instanceId);
+  const webhook = await loadWebhook(instance.WebhookID);
+  addLogContext({
+    instanceId: instance.id,
+    webhookId: webhook.id,
+    clientId: webhook.ClientID,
+  });
+  requireClientAccess(user, webhook);
+
+  const sentDraft = payload.html !== undefined || payload.css !== undefined;
+  const draftId = sentDraft
+    ? await saveDraftTemplate(webhook, payload)
+    : undefined;
+  const { token, expiresAt } = await createPreviewToken({
+    instance,
+    webhook,
+    draftId,
+    ttlSec: Number(payload.ttlSec) || undefined,
+  });
+  logger.info("Preview link issued", { userId: user?.id, draftId, expiresAt });
+
+  return {
+    statusCode: "200",
+    // Refreshed session tokens (API Gateway v2 cookies array)
+    cookies: cognitoSessionCookies(tokens),
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+    body: JSON.stringify({
+      url: previewUrl(event, instance.id, token),
+      expiresAt,
+    }),
+  };
+}
+
+export async function handlePreviewRequest(event, params = {}) {
+  const instance = await loadInstance(params.id);
+  const webhook = await loadWebhook(instance.WebhookID);
+  addLogContext({
+    instanceId: instance.id,
+    webhookId: webhook.id,
+    clientId: webhook.ClientID,
+  });
+
+  const check = await verifyPreviewToken({
+    token: event.queryStringParameters?.token,
+    instance,
+    webhook,
+  });
+  if (!check.ok) {
+    logger.warn("Preview token rejected", { reason: check.reason });
+    throw new UnauthorizedError("This preview link is invalid or has expired");
+  }
+
+  // Localized webhooks preview in the requested locale (?lang=es)
+  const { locale } = selectPageLocale(webhook, instance, event);
+  const [client, template] = await Promise.all([
+    loadClient(webhook.ClientID),
+    loadDraftTemplate(webhook, check.draftId, locale),
+  ]);
+  const page = await renderInstancePage({
+    instance,
+    webhook,
+    client,
+    template,
+    locale,
+    // {{pageUrl}} links lead to the live pages
+    pageBase: `/instance/${encodeURIComponent(instance.id)}`,
+    preview: true,
+  });
+
+  metrics.count("PreviewView");
+  return {
+    statusCode: "200",
+    headers: {
+      "Content-Type": "text/html",
+      "Cache-Control": "no-store",
+      "X-Robots-Tag": "noindex",
+      // Keep the token out of Referer headers sent by the page
+      "Referrer-Policy": "no-referrer",
+      ...page.headers,
+    },
+    body: page.body,
+  };
+}
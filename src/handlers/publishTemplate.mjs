@@ -0,0 +1,65 @@
+// handlers/publishTemplate.mjs - Publish or roll back an S3 page version
+//
+// POST /templates/publish (Cognito session of an admin or a user of the
+// webhook's client)
+// { "webhookId": "...", "version": 3 }        serve webpages/{id}/v3/
+// { "webhookId": "...", "rollback": true }    serve the previous version
+// → 200 { version, previousVersion, publishedAt, publishedBy,
+//         liveEverywhereBy }
+//
+// Versions are uploaded to S3 by the authoring tool; this only moves the
+// published.json pointer (see services/webpage.mjs). The change is served at
+// once by the container that made it; other warm containers keep their
+// cached pointer for up to CACHE_TTL_SEC, until liveEverywhereBy.
+
+import { loadWebhook } from "../services/webhook.mjs";
+import { publishWebpageVersion } from "../services/webpage.mjs";
+import {
+  requireCognitoUser,
+  requireClientAccess,
+} from "../auth/cognito.mjs";
+import { cognitoSessionCookies } from "../auth/cookie.mjs";
+import { parseJsonBody } from "../utils/parser.mjs";
+import { BadRequestError } from "../utils/errors.mjs";
+import { logger, addLogContext } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+export async function handlePublishTemplateRequest(event) {
+  const payload = parseJsonBody(event.body || "{}");
+  if (typeof payload?.webhookId !== "string") {
+    throw new BadRequestError("webhookId is required");
+  }
+  const rollback = payload.rollback === true;
+  if (!rollback && payload.version === undefined) {
+    throw new BadRequestError("version or rollback is required");
+  }
+
+  // Signed in before the lookup, so webhook IDs cannot be probed
+  const { user, tokens } = await requireCognitoUser(event);
+  const webhook = await loadWebhook(payload.webhookId);
+  addLogContext({ webhookId: webhook.id, clientId: webhook.ClientID });
+  requireClientAccess(user, webhook);
+
+  const pointer = await publishWebpageVersion(webhook, {
+    version: payload.version,
+    rollback,
+    userId: user?.id ?? null,
+  });
+  logger.info(rollback ? "Template rolled back" : "Template published", {
+    userId: user?.id,
+    version: pointer.version,
+    previousVersion: pointer.previousVersion,
+  });
+  metrics.count(rollback ? "TemplateRollback" : "TemplatePublished");
+
+  return {
+    statusCode: "200",
+    // Refreshed session tokens (API Gateway v2 cookies array)
+    cookies: cognitoSessionCookies(tokens),
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+    body: JSON.stringify(pointer),
+  };
+}
@@ -1,9 +1,10 @@
 // handlers/uploadUrl.mjs - Generate authenticated S3 upload URLs
 
 import { verifyJWTForAPI, validateCSRFHeaders } from "../auth/jwt.mjs";
-import { S3_CONFIG, s3Client } from "../config/aws.mjs";
-import { PutObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { S3_CONFIG } from "../config/aws.mjs";
+import { generatePresignedUploadUrl } from "../utils/s3.mjs";
+import { logger } from "../utils/logger.mjs";
+import { metrics, recordAuthOutcome } from "../utils/metrics.mjs";
 import { randomBytes } from "crypto";
 
 // Environment variables for CSRF protection (optional)
@@ -30,11 +31,11 @@ const REQUIRE_XRW = process.env.REQUIRE_XRW === "1";
  *   "expiresAt": "2024-01-01T00:00:00Z"
  * }
  */
-export async function handleUploadUrlRequest(event) {
+export async function handleUploadUrlRequest(event, params = {}) {
   try {
-    // Extract instanceId from path
-    const pathMatch = event.path?.match(/^\/instance\/([^\/]+)\/upload-url/);
-    if (!pathMatch || !pathMatch[1]) {
+    // instanceId comes from the route: /instance/:id/upload-url
+    const instanceId = params.id;
+    if (!instanceId) {
       return {
         statusCode: "400",
         headers: { "Content-Type": "application/json" },
@@ -42,8 +43,6 @@ export async function handleUploadUrlRequest(event) {
       };
     }
 
-    const instanceId = pathMatch[1];
-
     // Validate CSRF headers if configured
     if (ENFORCE_ORIGIN || REQUIRE_XRW) {
       const csrfResult = validateCSRFHeaders(
@@ -62,6 +61,7 @@ export async function handleUploadUrlRequest(event) {
 
     // Verify JWT authentication
     const authResult = await verifyJWTForAPI(event, instanceId);
+    recordAuthOutcome("api", authResult.ok);
     if (!authResult.ok) {
       return {
         statusCode: "401",
@@ -123,24 +123,16 @@ export async function handleUploadUrlRequest(event) {
     const randomId = randomBytes(8).toString("hex");
     const s3Key = `${S3_CONFIG.FILE_PREFIX}/${instanceId}/${timestamp}-${randomId}/${sanitizedFilename}`;
 
-    // Create presigned PUT URL
-    const putCommand = new PutObjectCommand({
-      Bucket: S3_CONFIG.BUCKET,
-      Key: s3Key,
-      ContentType: finalContentType,
-      // Optional: Add metadata
-      Metadata: {
+    // Generate presigned PUT URL (default 15 minutes expiry)
+    // Uploads are encrypted server-side (AES256)
+    const uploadUrlExpiry = parseInt(process.env.UPLOAD_URL_EXPIRY || "900");
+    const uploadUrl = await generatePresignedUploadUrl(S3_CONFIG.BUCKET, s3Key, {
+      contentType: finalContentType,
+      metadata: {
         instanceId: instanceId,
         uploadedAt: new Date().toISOString(),
         originalFilename: filename,
       },
-      // Optional: Add server-side encryption
-      ServerSideEncryption: "AES256",
-    });
-
-    // Generate presigned URL (default 15 minutes expiry)
-    const uploadUrlExpiry = parseInt(process.env.UPLOAD_URL_EXPIRY || "900");
-    const uploadUrl = await getSignedUrl(s3Client, putCommand, {
       expiresIn: uploadUrlExpiry,
     });
 
@@ -149,7 +141,12 @@ export async function handleUploadUrlRequest(event) {
       Date.now() + uploadUrlExpiry * 1000
     ).toISOString();
 
-    // Upload request auditing removed
+    metrics.count("UploadUrlIssued");
+    logger.info("Upload URL issued", {
+      fileKey: s3Key,
+      contentType: finalContentType,
+      contentLength,
+    });
 
     return {
       statusCode: "200",
@@ -174,7 +171,7 @@ export async function handleUploadUrlRequest(event) {
       }),
     };
   } catch (error) {
-    // Upload URL generation error
+    logger.error("Upload URL generation error", { error });
     return {
       statusCode: "500",
       headers: { "Content-Type": "application/json" },
@@ -194,13 +191,11 @@ export async function handleUploadUrlRequest(event) {
  *   "size": 123456
  * }
  */
-export async function handleUploadCompleteRequest(event) {
+export async function handleUploadCompleteRequest(event, params = {}) {
   try {
-    // Extract instanceId from path
-    const pathMatch = event.path?.match(
-      /^\/instance\/([^\/]+)\/upload-complete/
-    );
-    if (!pathMatch || !pathMatch[1]) {
+    // instanceId comes from the route: /instance/:id/upload-complete
+    const instanceId = params.id;
+    if (!instanceId) {
       return {
         statusCode: "400",
         headers: { "Content-Type": "application/json" },
@@ -208,10 +203,9 @@ export async function handleUploadCompleteRequest(event) {
       };
     }
 
-    const instanceId = pathMatch[1];
-
     // Verify JWT authentication
     const authResult = await verifyJWTForAPI(event, instanceId);
+    recordAuthOutcome("api", authResult.ok);
     if (!authResult.ok) {
       return {
         statusCode: "401",
@@ -257,7 +251,7 @@ export async function handleUploadCompleteRequest(event) {
     // 2. Send notifications via subscriptions
     // 3. Trigger any post-processing workflows
 
-    // Upload confirmation logging removed
+    logger.info("Upload completed", { fileKey, size });
 
     return {
       statusCode: "200",
@@ -269,7 +263,7 @@ export async function handleUploadCompleteRequest(event) {
       }),
     };
   } catch (error) {
-    // Upload complete error
+    logger.error("Upload complete error", { error });
     return {
       statusCode: "500",
       headers: { "Content-Type": "application/json" },
@@ -0,0 +1,109 @@
+// handlers/validateTemplate.mjs - Check a webhook template before publishing
+//
+// POST /templates/validate (Cognito session of an admin or a user of the
+// webhook's client)
+// {
+//   "webhookId": "...",
+//   "html": "...",                  optional draft; stored template otherwise
+//   "page": "thanks",               optional named page to check
+//   "instanceIds": ["..."],         optional instances whose inputs to check
+//   "samples": [{ "firstName": "Ada" }]   optional sample inputs
+// }
+// → 200 { ok, issues: [{ severity, code, message, line?, column?, ... }] }
+
+import { loadWebhook } from "../services/webhook.mjs";
+import { loadInstance } from "../services/instance.mjs";
+import { loadClient } from "../services/client.mjs";
+import {
+  validateWebhookTemplate,
+  hasWebhookPage,
+} from "../services/template.mjs";
+import {
+  requireCognitoUser,
+  requireClientAccess,
+} from "../auth/cognito.mjs";
+import { cognitoSessionCookies } from "../auth/cookie.mjs";
+import { parseJsonBody } from "../utils/parser.mjs";
+import { BadRequestError } from "../utils/errors.mjs";
+import { addLogContext } from "../utils/logger.mjs";
+
+const MAX_SAMPLES = 20;
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// Sample input sets: instances first (labelled by ID), then ad-hoc samples
+async function loadSamples(payload, webhook) {
+  const instanceIds = payload.instanceIds ?? [];
+  const samples = payload.samples ?? [];
+  if (!Array.isArray(instanceIds) || !Array.isArray(samples)) {
+    throw new BadRequestError("instanceIds and samples must be arrays");
+  }
+  if (instanceIds.length + samples.length > MAX_SAMPLES) {
+    throw new BadRequestError(`At most ${MAX_SAMPLES} instances and samples`);
+  }
+
+  const out = [];
+  for (const id of instanceIds) {
+    const instance = await loadInstance(String(id));
+    if (instance.WebhookID !== webhook.id) {
+      throw new BadRequestError(`Instance ${id} belongs to another webhook`);
+    }
+    out.push({
+      label: instance.id,
+      inputs: JSON.parse(instance.inputs || "{}"),
+    });
+  }
+  samples.forEach((inputs, index) => {
+    if (!isPlainObject(inputs)) {
+      throw new BadRequestError("Each sample must be an object of inputs");
+    }
+    out.push({ label: `sample ${index + 1}`, inputs });
+  });
+  return out;
+}
+
+export async function handleValidateTemplateRequest(event) {
+  const payload = parseJsonBody(event.body || "{}");
+  if (!isPlainObject(payload) || typeof payload.webhookId !== "string") {
+    throw new BadRequestError("webhookId is required");
+  }
+  if (payload.html !== undefined && typeof payload.html !== "string") {
+    throw new BadRequestError("html must be a string");
+  }
+
+  // Signed in before the lookup, so webhook IDs cannot be probed
+  const { user, tokens } = await requireCognitoUser(event);
+  const webhook = await loadWebhook(payload.webhookId);
+  addLogContext({ webhookId: webhook.id, clientId: webhook.ClientID });
+  requireClientAccess(user, webhook);
+  if (payload.page !== undefined && !hasWebhookPage(webhook, payload.page)) {
+    throw new BadRequestError("page must name one of the webhook's pages");
+  }
+
+  const [samples, client] = await Promise.all([
+    loadSamples(payload, webhook),
+    loadClient(webhook.ClientID),
+  ]);
+  const result = await validateWebhookTemplate({
+    webhook,
+    html: payload.html,
+    page: payload.page,
+    samples,
+    client,
+  });
+
+  return {
+    statusCode: "200",
+    // Refreshed session tokens (API Gateway v2 cookies array)
+    cookies: cognitoSessionCookies(tokens),
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+    body: JSON.stringify({
+      ...result,
+      checked: { samples: samples.map((s) => s.label) },
+    }),
+  };
+}
@@ -1,12 +1,20 @@
 // helperToken/clientSecret.mjs
-import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import { CACHE_CONFIG } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
+import { createTtlCache } from "../utils/cache.mjs";
 
-const secrets = new SecretsManagerClient({ region: "us-east-2" });
+// Secrets Manager calls are slow and billed; rotated secrets apply within
+// the TTL
+const secretCache = createTtlCache({
+  ttlMs: CACHE_CONFIG.SECRET_TTL_SEC * 1000,
+});
 
 export async function getClientSecret(clientId) {
   const name = `Client_${clientId}_EncodingSecret`;
-  const res = await secrets.send(new GetSecretValueCommand({ SecretId: name }));
-  const parsed = JSON.parse(res.SecretString || "{}");
-  if (!parsed.value) throw new Error(`Secret ${name} missing "value"`);
-  return parsed.value;
+  return await secretCache.getOrLoad(name, async () => {
+    const secretString = await getRepositories().secrets.get(name);
+    const parsed = JSON.parse(secretString || "{}");
+    if (!parsed.value) throw new Error(`Secret ${name} missing "value"`);
+    return parsed.value;
+  });
 }
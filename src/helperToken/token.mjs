@@ -5,6 +5,7 @@
 // Exports:
 // - deriveSigningKey(clientSecret, instanceAuthKey)           ← used for ?token (legacy compact tokens)
 // - deriveCookieSigningKey(clientSecret, instanceId)          ← NEW: used for JWT cookie, no authKey required
+// - derivePreviewSigningKey(clientSecret, instanceId)         ← template preview links
 // - makeCompactToken() / verifyCompactToken()                 ← compact token for ?token
 // - createJwtHs256() / verifyJwtHs256()                       ← JWT for cookie
 // - nowSec(), randomJti()
@@ -80,6 +81,26 @@ export function deriveCookieSigningKey(clientSecret, instanceId) {
     .digest(); // Buffer
 }
 
+/**
+ * Derive the signing key for template preview links. Same binding as the
+ * cookie key, under its own label so a preview token is never a session.
+ */
+export function derivePreviewSigningKey(clientSecret, instanceId) {
+  if (clientSecret == null || clientSecret === "") {
+    throw new TypeError(
+      "derivePreviewSigningKey: clientSecret is missing/empty"
+    );
+  }
+  if (instanceId == null || instanceId === "") {
+    throw new TypeError("derivePreviewSigningKey: instanceId is missing/empty");
+  }
+  const cs = toBuf(clientSecret, "clientSecret");
+  return createHmac("sha256", cs)
+    .update(Buffer.from("PREVIEW|", "utf8"))
+    .update(Buffer.from(String(instanceId), "utf8"))
+    .digest(); // Buffer
+}
+
 /** Now (unix seconds). */
 export function nowSec() {
   return Math.floor(Date.now() / 1000);
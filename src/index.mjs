@@ -1,14 +1,11 @@
 // index.mjs — toolbox_webhook_server (refactored)
 // Main entry point for the Lambda function
 
-import { handleGetRequest } from "./handlers/get.mjs";
-import { handlePostRequest } from "./handlers/post.mjs";
-import { PASSWORD_PAGE_HTML } from "./auth/password.mjs";
-import {
-  buildCookieDeletionCookie,
-  COGNITO_ID_TOKEN_COOKIE,
-  COGNITO_REFRESH_TOKEN_COOKIE,
-} from "./auth/cookie.mjs";
+import { randomUUID } from "crypto";
+import { router } from "./routes.mjs";
+import { buildErrorResponse } from "./handlers/error.mjs";
+import { MethodNotAllowedError, NotFoundError } from "./utils/errors.mjs";
+import { logger, runWithLogContext, addLogContext } from "./utils/logger.mjs";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Normalize HTTP API event to REST API format for backward compatibility
@@ -28,11 +25,13 @@ function normalizeEvent(event) {
     }
 
     // HTTP API doesn't auto-decode base64 bodies like REST API does
-    // Decode it here to maintain compatibility
+    // Decode it here to maintain compatibility; the bytes are kept as
+    // rawBody, since a binary upload does not survive the UTF-8 string
     let body = event.body || "";
     const isBase64Encoded = event.isBase64Encoded || false;
+    const rawBody = Buffer.from(body, isBase64Encoded ? "base64" : "utf-8");
     if (isBase64Encoded && body) {
-      body = Buffer.from(body, "base64").toString("utf-8");
+      body = rawBody.toString("utf-8");
     }
 
     // Normalize HTTP API event to REST API format
@@ -52,6 +51,7 @@ function normalizeEvent(event) {
       // HTTP API headers are often lowercase, normalize them
       headers: normalizeHeaders(event.headers || {}),
       body: body, // Use decoded body
+      rawBody,
       isBase64Encoded: false, // Mark as decoded
       requestContext: {
         ...event.requestContext,
@@ -87,70 +87,70 @@ function normalizeHeaders(headers) {
 // ─────────────────────────────────────────────────────────────────────────────
 // Lambda Handler
 // ─────────────────────────────────────────────────────────────────────────────
-export const handler = async (event) => {
-  let headers = { "Content-Type": "text/html" };
-  let statusCode = "200";
-  let body;
+export const handler = async (event, context) => {
+  const startedAt = Date.now();
 
   // Normalize event format (HTTP API -> REST API)
   const normalizedEvent = normalizeEvent(event);
 
+  const method = (normalizedEvent.httpMethod || "").toUpperCase();
+  const path = normalizedEvent.path || normalizedEvent.rawPath || "";
+
+  // Echoed in error responses so support can find the log line
+  const requestId =
+    normalizedEvent.requestContext?.requestId ||
+    context?.awsRequestId ||
+    randomUUID();
+
+  return await runWithLogContext({ requestId, method, path }, async () => {
+    const response = await dispatch(normalizedEvent, method, path, requestId);
+    logger.info("Request completed", {
+      statusCode: Number(response.statusCode),
+      latencyMs: Date.now() - startedAt,
+    });
+    return response;
+  });
+};
+
+async function dispatch(normalizedEvent, method, path, requestId) {
   // Get origin from request headers for CORS
   const requestOrigin =
     normalizedEvent.headers?.origin || normalizedEvent.headers?.Origin || "*";
 
   try {
-    switch (normalizedEvent.httpMethod) {
-      case "GET": {
-        const response = await handleGetRequest(normalizedEvent);
-        // Add CORS headers to response
-        return addCorsHeaders(response, requestOrigin);
-      }
-
-      case "POST": {
-        // Handle logout endpoint
-        const path = normalizedEvent.path || normalizedEvent.rawPath || "";
-        if (path.endsWith("/logout") || path === "/logout") {
-          const cookies = [
-            buildCookieDeletionCookie(COGNITO_ID_TOKEN_COOKIE),
-            buildCookieDeletionCookie(COGNITO_REFRESH_TOKEN_COOKIE),
-          ];
-          return {
-            statusCode: "200",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            cookies: cookies, // API Gateway v2 uses cookies array
-            body: JSON.stringify({ ok: true }),
-          };
-        }
-
-        const response = await handlePostRequest(normalizedEvent);
-        // Add CORS headers to response
-        return addCorsHeaders(response, requestOrigin);
-      }
-
-      default: {
-        statusCode = "405";
-        body =
-          "Method Not Allowed. This service only supports GET and POST requests.";
-      }
+    const { route, params, allowed } = router.match(method, path);
+
+    if (method === "OPTIONS" && allowed.length) {
+      return addCorsHeaders(
+        { statusCode: "204", headers: { Allow: allowed.join(", ") }, body: "" },
+        requestOrigin
+      );
     }
-  } catch (err) {
-    // Error handling
-    console.error("Handler error:", err);
-    statusCode = "400";
-    const path = normalizedEvent.path || normalizedEvent.rawPath || "";
-    if (path.includes("/webhooks/instances/")) {
-      headers = { "Content-Type": "text/html" };
-      body = PASSWORD_PAGE_HTML;
-    } else {
-      body = "Internal Server Error";
+
+    if (!route) {
+      if (allowed.length) throw new MethodNotAllowedError(allowed);
+      throw new NotFoundError("Not Found");
     }
-  }
 
-  return addCorsHeaders({ statusCode, body, headers }, requestOrigin);
-};
+    addLogContext({ route: `${route.method} ${route.path}` });
+    const response = await route.handler(normalizedEvent, params);
+    // HEAD is served by the GET route without a body
+    if (method === "HEAD") {
+      return addCorsHeaders({ ...response, body: "" }, requestOrigin);
+    }
+    // Add CORS headers to response
+    return addCorsHeaders(response, requestOrigin);
+  } catch (err) {
+    const response = buildErrorResponse(err, normalizedEvent, requestId);
+    const isServerError = Number(response.statusCode) >= 500;
+    logger[isServerError ? "error" : "warn"]("Handler error", {
+      statusCode: Number(response.statusCode),
+      error: isServerError ? err : err?.message,
+    });
+    if (method === "HEAD") response.body = "";
+    return addCorsHeaders(response, requestOrigin);
+  }
+}
 
 // Add CORS headers to response
 function addCorsHeaders(response, origin) {
@@ -165,7 +165,7 @@ function addCorsHeaders(response, origin) {
 
   const corsHeaders = {
     "Access-Control-Allow-Origin": corsOrigin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
     "Access-Control-Allow-Headers":
       "Content-Type, Authorization, Cookie, Accept",
     "Access-Control-Allow-Credentials": isAllowedOrigin ? "true" : "false",
@@ -0,0 +1,224 @@
+// repositories/aws.mjs - DynamoDB + S3 storage (default)
+
+import {
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  UpdateCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import {
+  docClient,
+  s3Client,
+  secretsClient,
+  TABLES,
+  S3_CONFIG,
+} from "../config/aws.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+// Every AWS call is timed as DependencyLatency
+const dynamo = (command) =>
+  metrics.time("DynamoDB", () => docClient.send(command));
+const s3 = (command) => metrics.time("S3", () => s3Client.send(command));
+const secretsManager = (command) =>
+  metrics.time("SecretsManager", () => secretsClient.send(command));
+
+async function getItem(tableName, id) {
+  const res = await dynamo(
+    new GetCommand({ TableName: tableName, Key: { id } })
+  );
+  return res.Item || null;
+}
+
+const instances = {
+  get: (id) => getItem(TABLES.WEBHOOK_INSTANCES, id),
+
+  async findByExternalId(webhookID, externalID) {
+    const q = await dynamo(
+      new QueryCommand({
+        TableName: TABLES.WEBHOOK_INSTANCES,
+        IndexName: "byWebhookByExternalID",
+        KeyConditionExpression:
+          "WebhookID = :webhookID and externalID = :externalID",
+        ExpressionAttributeValues: {
+          ":webhookID": webhookID,
+          ":externalID": externalID,
+        },
+        Limit: 1,
+      })
+    );
+    return q.Items?.[0] || null;
+  },
+
+  async recordVisit(id) {
+    return await dynamo(
+      new UpdateCommand({
+        TableName: TABLES.WEBHOOK_INSTANCES,
+        Key: { id },
+        UpdateExpression:
+          "SET lastPingedAt = :now, numberOfVisits = if_not_exists(numberOfVisits, :start) + :inc",
+        ExpressionAttributeValues: {
+          ":now": new Date().toISOString(),
+          ":start": 0,
+          ":inc": 1,
+        },
+        ReturnValues: "UPDATED_NEW",
+      })
+    );
+  },
+};
+
+const events = {
+  async put(item) {
+    await dynamo(
+      new PutCommand({ TableName: TABLES.WEBHOOK_INSTANCE_EVENTS, Item: item })
+    );
+    return item;
+  },
+
+  async latestByInstance(webhookInstanceID, type) {
+    const response = await dynamo(
+      new QueryCommand({
+        TableName: TABLES.WEBHOOK_INSTANCE_EVENTS,
+        IndexName: "byWebhookInstance",
+        KeyConditionExpression: "WebhookInstanceID = :webhookInstanceID",
+        FilterExpression: "#type = :type",
+        ExpressionAttributeValues: {
+          ":webhookInstanceID": webhookInstanceID,
+          ":type": type,
+        },
+        ExpressionAttributeNames: { "#type": "type" },
+        ScanIndexForward: false,
+      })
+    );
+    return response.Items?.[0] || null;
+  },
+};
+
+// Submit idempotency keys (services/idempotency.mjs), in their own table
+const idempotencyKeys = {
+  async put(item) {
+    await dynamo(
+      new PutCommand({ TableName: TABLES.SUBMIT_IDEMPOTENCY, Item: item })
+    );
+    return item;
+  },
+
+  // Write unless an item with the id is there and not yet expired
+  async putIfAbsent(item, nowSec) {
+    try {
+      await dynamo(
+        new PutCommand({
+          TableName: TABLES.SUBMIT_IDEMPOTENCY,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(id) OR expiresAt <= :now",
+          ExpressionAttributeValues: { ":now": nowSec },
+        })
+      );
+      return null;
+    } catch (e) {
+      if (e.name !== "ConditionalCheckFailedException") throw e;
+      return await getItem(TABLES.SUBMIT_IDEMPOTENCY, item.id);
+    }
+  },
+
+  async delete(id) {
+    await dynamo(
+      new DeleteCommand({ TableName: TABLES.SUBMIT_IDEMPOTENCY, Key: { id } })
+    );
+  },
+};
+
+const subscriptions = {
+  async listByWebhook(webhookID) {
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+      const queryParams = {
+        TableName: TABLES.SUBSCRIPTIONS,
+        IndexName: "webhookID-index",
+        KeyConditionExpression: "webhookID = :webhookID",
+        ExpressionAttributeValues: { ":webhookID": webhookID },
+      };
+      if (lastEvaluatedKey) queryParams.ExclusiveStartKey = lastEvaluatedKey;
+      const response = await dynamo(new QueryCommand(queryParams));
+      items.push(...response.Items);
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    return items;
+  },
+};
+
+const blobs = {
+  async put(bucket, key, body, contentType) {
+    await s3(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      })
+    );
+  },
+
+  async getText(bucket, key) {
+    return (await this.getBytes(bucket, key)).toString("utf-8");
+  },
+
+  async getBytes(bucket, key) {
+    const response = await s3(
+      new GetObjectCommand({ Bucket: bucket, Key: key })
+    );
+
+    // Collect the stream into one buffer
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  async getDownloadUrl(bucket, key, expiresIn) {
+    const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+    return await getSignedUrl(s3Client, command, {
+      expiresIn: expiresIn || S3_CONFIG.PRESIGNED_URL_EXPIRY,
+    });
+  },
+
+  async getUploadUrl(bucket, key, { contentType, metadata, expiresIn }) {
+    const command = new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ContentType: contentType,
+      Metadata: metadata,
+      ServerSideEncryption: "AES256",
+    });
+    return await getSignedUrl(s3Client, command, { expiresIn });
+  },
+};
+
+const secrets = {
+  async get(name) {
+    const res = await secretsManager(
+      new GetSecretValueCommand({ SecretId: name })
+    );
+    return res.SecretString || null;
+  },
+};
+
+export function createAwsRepositories() {
+  return {
+    instances,
+    events,
+    webhooks: { get: (id) => getItem(TABLES.WEBHOOKS, id) },
+    clients: { get: (id) => getItem(TABLES.CLIENTS, id) },
+    users: { get: (id) => getItem(TABLES.USERS, id) },
+    subscriptions,
+    idempotencyKeys,
+    blobs,
+    secrets,
+  };
+}
@@ -0,0 +1,45 @@
+// repositories/index.mjs - Storage repository selection
+//
+// Every service goes through these repositories instead of docClient/s3Client:
+// - instances:     get(id), findByExternalId(webhookID, externalID), recordVisit(id)
+// - events:        put(item), latestByInstance(instanceID, type)
+// - webhooks:      get(id)
+// - clients:       get(id)
+// - users:         get(id)
+// - subscriptions: listByWebhook(webhookID)
+// - idempotencyKeys: put(item), delete(id), putIfAbsent(item, nowSec) → the
+//                  unexpired item already stored under item.id, or null once
+//                  written
+// - blobs:         put(bucket, key, body, contentType), getText(bucket, key),
+//                  getBytes(bucket, key) → Buffer,
+//                  getDownloadUrl(bucket, key, expiresIn?),
+//                  getUploadUrl(bucket, key, { contentType, metadata, expiresIn })
+// - secrets:       get(name) → SecretString
+// get()/find*() resolve to null when the item does not exist.
+
+import { STORAGE_CONFIG } from "../config/storage.mjs";
+import { createAwsRepositories } from "./aws.mjs";
+import { createLocalRepositories, readSeedFile } from "./local.mjs";
+
+let repositories = null;
+
+function createConfiguredRepositories() {
+  if (STORAGE_CONFIG.DRIVER === "local") {
+    return createLocalRepositories({
+      seed: readSeedFile(STORAGE_CONFIG.LOCAL_DATA_FILE),
+      blobDir: STORAGE_CONFIG.LOCAL_BLOB_DIR || undefined,
+    });
+  }
+  return createAwsRepositories();
+}
+
+// Repositories for the configured driver (created once per container)
+export function getRepositories() {
+  if (!repositories) repositories = createConfiguredRepositories();
+  return repositories;
+}
+
+// Swap the active repositories (e.g. local stand-ins in tests)
+export function setRepositories(next) {
+  repositories = next;
+}
@@ -0,0 +1,214 @@
+// repositories/local.mjs - In-memory tables + filesystem/in-memory blobs
+// Used for laptop runs and tests; no AWS calls are made.
+//
+// Seed data shape (all keys optional):
+// {
+//   "instances": [...], "events": [...], "webhooks": [...],
+//   "clients": [...], "users": [...], "subscriptions": [...],
+//   "blobs": { "<bucket>/<key>": "<text content>" },
+//   "secrets": { "<secret name>": "<SecretString>" | { ...json } }
+// }
+
+import { readFileSync, mkdirSync, writeFileSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { pathToFileURL } from "url";
+
+function createTable(items = []) {
+  const rows = new Map();
+  for (const item of items) rows.set(item.id, structuredClone(item));
+  return rows;
+}
+
+function notFound(bucket, key) {
+  const err = new Error(`NoSuchKey: ${bucket}/${key}`);
+  err.name = "NoSuchKey";
+  return err;
+}
+
+// Blobs live under blobDir/<bucket>/<key> when a directory is configured
+function createFileBlobs(blobDir) {
+  const root = resolve(blobDir);
+  const pathFor = (bucket, key) => {
+    const full = resolve(root, bucket, key);
+    if (!full.startsWith(root)) throw new Error("Invalid blob key");
+    return full;
+  };
+
+  return {
+    async put(bucket, key, body, contentType) {
+      const full = pathFor(bucket, key);
+      await mkdir(dirname(full), { recursive: true });
+      await writeFile(full, body);
+    },
+    async getText(bucket, key) {
+      return (await this.getBytes(bucket, key)).toString("utf-8");
+    },
+    async getBytes(bucket, key) {
+      try {
+        return await readFile(pathFor(bucket, key));
+      } catch (e) {
+        if (e.code === "ENOENT") throw notFound(bucket, key);
+        throw e;
+      }
+    },
+    async getDownloadUrl(bucket, key) {
+      return pathToFileURL(pathFor(bucket, key)).href;
+    },
+    async getUploadUrl(bucket, key) {
+      return pathToFileURL(pathFor(bucket, key)).href;
+    },
+  };
+}
+
+function createMemoryBlobs(seed = {}) {
+  const objects = new Map();
+  for (const [path, content] of Object.entries(seed)) {
+    objects.set(path, Buffer.from(content));
+  }
+
+  return {
+    objects,
+    async put(bucket, key, body, contentType) {
+      objects.set(`${bucket}/${key}`, Buffer.from(body));
+    },
+    async getText(bucket, key) {
+      return (await this.getBytes(bucket, key)).toString("utf-8");
+    },
+    async getBytes(bucket, key) {
+      const body = objects.get(`${bucket}/${key}`);
+      if (!body) throw notFound(bucket, key);
+      return Buffer.from(body);
+    },
+    async getDownloadUrl(bucket, key) {
+      return `memory://${bucket}/${key}`;
+    },
+    async getUploadUrl(bucket, key) {
+      return `memory://${bucket}/${key}`;
+    },
+  };
+}
+
+/**
+ * Create local repositories.
+ * @param {Object} [options]
+ * @param {Object} [options.seed] - Seed data (see shape above)
+ * @param {string} [options.blobDir] - Directory for blobs; in-memory when omitted
+ * @returns {Object} Repositories with the same interface as createAwsRepositories()
+ */
+export function createLocalRepositories({ seed = {}, blobDir } = {}) {
+  const tables = {
+    instances: createTable(seed.instances),
+    events: createTable(seed.events),
+    webhooks: createTable(seed.webhooks),
+    clients: createTable(seed.clients),
+    users: createTable(seed.users),
+    subscriptions: createTable(seed.subscriptions),
+    idempotencyKeys: createTable(),
+  };
+
+  const get = (table) => async (id) =>
+    structuredClone(tables[table].get(id) ?? null);
+
+  let blobs;
+  if (blobDir) {
+    // Seeded blobs are written through so they can be read back from disk
+    for (const [path, content] of Object.entries(seed.blobs || {})) {
+      const full = join(resolve(blobDir), path);
+      mkdirSync(dirname(full), { recursive: true });
+      writeFileSync(full, content);
+    }
+    blobs = createFileBlobs(blobDir);
+  } else {
+    blobs = createMemoryBlobs(seed.blobs);
+  }
+
+  return {
+    tables,
+
+    instances: {
+      get: get("instances"),
+      async findByExternalId(webhookID, externalID) {
+        for (const item of tables.instances.values()) {
+          if (item.WebhookID === webhookID && item.externalID === externalID) {
+            return structuredClone(item);
+          }
+        }
+        return null;
+      },
+      async recordVisit(id) {
+        const item = tables.instances.get(id);
+        if (!item) return null;
+        item.lastPingedAt = new Date().toISOString();
+        item.numberOfVisits = (item.numberOfVisits || 0) + 1;
+        return {
+          Attributes: {
+            lastPingedAt: item.lastPingedAt,
+            numberOfVisits: item.numberOfVisits,
+          },
+        };
+      },
+    },
+
+    events: {
+      async put(item) {
+        tables.events.set(item.id, structuredClone(item));
+        return item;
+      },
+      async latestByInstance(webhookInstanceID, type) {
+        const matches = [...tables.events.values()]
+          .filter(
+            (e) => e.WebhookInstanceID === webhookInstanceID && e.type === type
+          )
+          .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+        return structuredClone(matches[0] ?? null);
+      },
+    },
+
+    webhooks: { get: get("webhooks") },
+    clients: { get: get("clients") },
+    users: { get: get("users") },
+
+    idempotencyKeys: {
+      async put(item) {
+        tables.idempotencyKeys.set(item.id, structuredClone(item));
+        return item;
+      },
+      async putIfAbsent(item, nowSec) {
+        const existing = tables.idempotencyKeys.get(item.id);
+        if (existing && !(existing.expiresAt <= nowSec)) {
+          return structuredClone(existing);
+        }
+        tables.idempotencyKeys.set(item.id, structuredClone(item));
+        return null;
+      },
+      async delete(id) {
+        tables.idempotencyKeys.delete(id);
+      },
+    },
+
+    subscriptions: {
+      async listByWebhook(webhookID) {
+        return [...tables.subscriptions.values()]
+          .filter((s) => s.webhookID === webhookID)
+          .map((s) => structuredClone(s));
+      },
+    },
+
+    blobs,
+
+    secrets: {
+      async get(name) {
+        const value = seed.secrets?.[name];
+        if (value == null) return null;
+        return typeof value === "string" ? value : JSON.stringify(value);
+      },
+    },
+  };
+}
+
+// Read seed data from a JSON file path
+export function readSeedFile(path) {
+  if (!path) return {};
+  return JSON.parse(readFileSync(path, "utf-8"));
+}
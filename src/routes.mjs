@@ -0,0 +1,85 @@
+// routes.mjs - Route table for the webhook server
+// Order matters: literal segments must be listed before param segments.
+
+import { handleGetRequest } from "./handlers/get.mjs";
+import { handlePostRequest, handleAuthRequest } from "./handlers/post.mjs";
+import { handleLogoutRequest } from "./handlers/logout.mjs";
+import {
+  handleUploadUrlRequest,
+  handleUploadCompleteRequest,
+} from "./handlers/uploadUrl.mjs";
+import { handleValidateTemplateRequest } from "./handlers/validateTemplate.mjs";
+import {
+  handlePreviewLinkRequest,
+  handlePreviewRequest,
+} from "./handlers/preview.mjs";
+import { handleCspReportRequest } from "./handlers/cspReport.mjs";
+import { handlePublishTemplateRequest } from "./handlers/publishTemplate.mjs";
+import { handleAssetRequest } from "./handlers/assets.mjs";
+import { createRouter } from "./utils/router.mjs";
+
+// HTTP API serves instances under /instance, V1 (REST API) under /webhooks/instances
+const INSTANCE_PREFIXES = ["/instance", "/webhooks/instances"];
+
+const instanceRoutes = [
+  { method: "POST", path: "/:id/upload-url", handler: handleUploadUrlRequest },
+  {
+    method: "POST",
+    path: "/:id/upload-complete",
+    handler: handleUploadCompleteRequest,
+  },
+  { method: "POST", path: "/:id/auth", handler: handleAuthRequest },
+  {
+    method: "POST",
+    path: "/:webhookId/:externalId/auth",
+    handler: handleAuthRequest,
+  },
+  // Named pages; gate pages post to {page path}/auth
+  { method: "GET", path: "/:id/p/:page", handler: handleGetRequest },
+  { method: "POST", path: "/:id/p/:page/auth", handler: handleAuthRequest },
+  {
+    method: "GET",
+    path: "/:webhookId/:externalId/p/:page",
+    handler: handleGetRequest,
+  },
+  {
+    method: "POST",
+    path: "/:webhookId/:externalId/p/:page/auth",
+    handler: handleAuthRequest,
+  },
+  { method: "GET", path: "/:webhookId/:externalId", handler: handleGetRequest },
+  { method: "POST", path: "/:webhookId/:externalId", handler: handlePostRequest },
+  { method: "GET", path: "/:id", handler: handleGetRequest },
+  { method: "POST", path: "/:id", handler: handlePostRequest },
+];
+
+export const routes = [
+  { method: "POST", path: "/logout", handler: handleLogoutRequest },
+  {
+    method: "POST",
+    path: "/templates/validate",
+    handler: handleValidateTemplateRequest,
+  },
+  {
+    method: "POST",
+    path: "/templates/preview",
+    handler: handlePreviewLinkRequest,
+  },
+  {
+    method: "POST",
+    path: "/templates/publish",
+    handler: handlePublishTemplateRequest,
+  },
+  { method: "GET", path: "/preview/:id", handler: handlePreviewRequest },
+  {
+    method: "GET",
+    path: "/assets/:webhookId/:version/:path*",
+    handler: handleAssetRequest,
+  },
+  { method: "POST", path: "/csp-report", handler: handleCspReportRequest },
+  ...INSTANCE_PREFIXES.flatMap((prefix) =>
+    instanceRoutes.map((route) => ({ ...route, path: prefix + route.path }))
+  ),
+];
+
+export const router = createRouter(routes);
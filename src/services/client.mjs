@@ -1,65 +1,75 @@
 // services/client.mjs - Client-related operations
 
-import { GetCommand } from "@aws-sdk/lib-dynamodb";
-import { docClient, TABLES, S3_CONFIG } from "../config/aws.mjs";
+import { S3_CONFIG, CACHE_CONFIG } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
 import { generatePresignedUrl } from "../utils/s3.mjs";
+import { createTtlCache } from "../utils/cache.mjs";
+import { logger } from "../utils/logger.mjs";
+
+// Client records (with their presigned logo URL) for warm containers
+const clientCache = createTtlCache({
+  ttlMs: CACHE_CONFIG.RECORD_TTL_SEC * 1000,
+});
 
 export async function loadClient(clientID) {
   if (!clientID) return null;
 
+  // Failures are not cached, so the next request tries again
   try {
-    const res = await docClient.send(
-      new GetCommand({
-        TableName: TABLES.CLIENTS,
-        Key: { id: clientID },
-      })
-    );
-
-    if (!res.Item) return null;
+    return await clientCache.getOrLoad(clientID, () => fetchClient(clientID));
+  } catch (e) {
+    logger.warn("Failed to load client", { clientId: clientID, error: e });
+    return null;
+  }
+}
 
-    const client = res.Item;
+async function fetchClient(clientID) {
+  const client = await getRepositories().clients.get(clientID);
+  if (!client) return null;
 
-    // Generate presigned URL for logo if it exists
-    let logoUrl = null;
-    if (client.logo) {
-      try {
-        const logoKey = `public/${client.logo}`;
-        // 24 hours expiry for logo
-        logoUrl = await generatePresignedUrl(
-          S3_CONFIG.BUCKET,
-          logoKey,
-          24 * 60 * 60 // 24 hours in seconds
-        );
-      } catch (e) {
-        // Logo file might not exist in S3, or other S3 error
-        console.warn(`Logo not accessible for client ${clientID}:`, e.message);
-        // logoUrl remains null
-      }
+  // Generate presigned URL for logo if it exists
+  let logoUrl = null;
+  if (client.logo) {
+    try {
+      const logoKey = `public/${client.logo}`;
+      // 24 hours expiry for logo
+      logoUrl = await generatePresignedUrl(
+        S3_CONFIG.BUCKET,
+        logoKey,
+        24 * 60 * 60 // 24 hours in seconds
+      );
+    } catch (e) {
+      // Logo file might not exist in S3, or other S3 error
+      logger.warn("Client logo not accessible", {
+        clientId: clientID,
+        error: e.message,
+      });
+      // logoUrl remains null
     }
+  }
 
-    // Return only the fields we want to expose
-    const clientData = {
-      name: client.name || null,
-      primaryColor: client.primaryColor || null,
-      secondaryColor: client.secondaryColor || null,
-      street1: client.street1 || null,
-      street2: client.street2 || null,
-      city: client.city || null,
-      state: client.state || null,
-      zip: client.zip || null,
-      country: client.country || null,
-      website: client.website || null,
-      phone: client.phone || null,
-    };
-
-    // Only include logoUrl if we successfully generated one
-    if (logoUrl) {
-      clientData.logoUrl = logoUrl;
-    }
+  // Return only the fields we want to expose
+  const clientData = {
+    name: client.name || null,
+    primaryColor: client.primaryColor || null,
+    secondaryColor: client.secondaryColor || null,
+    street1: client.street1 || null,
+    street2: client.street2 || null,
+    city: client.city || null,
+    state: client.state || null,
+    zip: client.zip || null,
+    country: client.country || null,
+    website: client.website || null,
+    phone: client.phone || null,
+    // Used by template filters when the webhook sets none
+    locale: client.locale || null,
+    timeZone: client.timeZone || null,
+  };
 
-    return clientData;
-  } catch (e) {
-    // Failed to load client
-    return null;
+  // Only include logoUrl if we successfully generated one
+  if (logoUrl) {
+    clientData.logoUrl = logoUrl;
   }
+
+  return clientData;
 }
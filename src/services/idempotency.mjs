@@ -0,0 +1,112 @@
+// services/idempotency.mjs - Replay repeated submits instead of storing them
+//
+// A submit can carry an Idempotency-Key header, or the token the rendered
+// form embeds (forms/render.mjs). The first submit with a key claims it; a
+// repeat within IDEMPOTENCY_CONFIG.WINDOW_SEC gets the first submit's event
+// back instead of writing another one. Keys have their own table
+// (TABLES.SUBMIT_IDEMPOTENCY, declared in serverless.yml with DynamoDB TTL
+// on `ttl`), so the Amplify events table only ever holds events. Each item's
+// id is derived from the instance and key:
+// { id, WebhookInstanceID, eventId, expiresAt, ttl, createdAt }
+
+import { createHash } from "crypto";
+import { getRepositories } from "../repositories/index.mjs";
+import { IDEMPOTENCY_CONFIG } from "../config/aws.mjs";
+import { nowSec } from "../helperToken/token.mjs";
+import { BadRequestError, ConflictError } from "../utils/errors.mjs";
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+export const REPLAYED_HEADER = "Idempotent-Replayed";
+
+// Printable ASCII, so keys are safe to log
+const KEY_PATTERN = /^[\x20-\x7e]+$/;
+
+/**
+ * The idempotency key of a submit: the Idempotency-Key header, else the
+ * form token field. The token is taken out of the submitted data so it is
+ * neither validated nor stored.
+ * @param {Object} event - Normalized Lambda event
+ * @param {Object} data - Parsed submit body (parseFormData())
+ * @param {string} tokenField - Field name of the form token
+ * @returns {string|null}
+ * @throws {BadRequestError} Empty, too long or non-ASCII keys
+ */
+export function submitIdempotencyKey(event, data, tokenField) {
+  let token;
+  if (data && typeof data === "object" && Object.hasOwn(data, tokenField)) {
+    token = data[tokenField];
+    delete data[tokenField];
+  }
+  const header =
+    event.headers?.["idempotency-key"] ?? event.headers?.[IDEMPOTENCY_HEADER];
+  const key = header ?? token;
+  if (key === undefined) return null;
+  if (
+    typeof key !== "string" ||
+    !KEY_PATTERN.test(key) ||
+    key.length > IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH
+  ) {
+    throw new BadRequestError(
+      `${header === undefined ? "The form token" : IDEMPOTENCY_HEADER} must ` +
+        `be 1-${IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} printable ASCII characters`
+    );
+  }
+  return key;
+}
+
+function keyItemId(instanceID, key) {
+  const digest = createHash("sha256").update(key).digest("base64url");
+  return `${instanceID}:${digest}`;
+}
+
+function keyItem(instanceID, id, eventId, lifetimeSec) {
+  const expiresAt = nowSec() + lifetimeSec;
+  return {
+    id,
+    WebhookInstanceID: instanceID,
+    eventId,
+    // ttl lets DynamoDB delete the item; expiresAt is what is checked
+    expiresAt,
+    ttl: expiresAt,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Claim a key for a new submit, or find the submit that already used it.
+ * @param {string} instanceID
+ * @param {string} key - From submitIdempotencyKey()
+ * @returns {Promise<{ claim: Object }|{ eventId: string }>} A claim to
+ *   complete or release, or the event ID of the earlier submit
+ * @throws {ConflictError} When the earlier submit has not finished yet
+ */
+export async function claimSubmitKey(instanceID, key) {
+  const id = keyItemId(instanceID, key);
+  const claim = keyItem(instanceID, id, null, IDEMPOTENCY_CONFIG.PENDING_SEC);
+  const existing = await getRepositories().idempotencyKeys.putIfAbsent(
+    claim,
+    nowSec()
+  );
+  if (!existing) return { claim };
+  if (existing.eventId) return { eventId: existing.eventId };
+  throw new ConflictError(
+    "This submission is still being processed; try again shortly"
+  );
+}
+
+// Point a claimed key at the submit's event for the rest of the window
+export async function completeSubmitKey(claim, eventId) {
+  await getRepositories().idempotencyKeys.put(
+    keyItem(
+      claim.WebhookInstanceID,
+      claim.id,
+      eventId,
+      IDEMPOTENCY_CONFIG.WINDOW_SEC
+    )
+  );
+}
+
+// Free a claimed key after a failed submit, so a retry can go through
+export async function releaseSubmitKey(claim) {
+  await getRepositories().idempotencyKeys.delete(claim.id);
+}
@@ -1,70 +1,88 @@
 // services/instance.mjs - Instance-related operations
 
-import { GetCommand, UpdateCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
-import { docClient, TABLES } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
+import { BadRequestError, NotFoundError } from "../utils/errors.mjs";
+import { logger } from "../utils/logger.mjs";
+
+// Build the greedy key resolveInstanceId expects from router params:
+// either a direct instance ID or "webhookID/externalID"
+export function instanceKeyFromParams(params = {}) {
+  if (params.webhookId && params.externalId) {
+    return `${params.webhookId}/${params.externalId}`;
+  }
+  return params.id;
+}
+
+// Resolve the greedy key for a request: router params when routed,
+// otherwise the (URL-encoded) greedy path parameter
+export function instanceKeyFromEvent(event, params = {}) {
+  const fromParams = instanceKeyFromParams(params);
+  if (fromParams) return fromParams;
+
+  let greedy = event.pathParameters?.instanceID;
+  if (typeof greedy === "string") {
+    try {
+      greedy = decodeURIComponent(greedy);
+    } catch {}
+  }
+  return greedy;
+}
+
+// V1 (REST API) serves instances under /webhooks/instances, HTTP API under
+// /instance
+const V1_INSTANCE_PREFIX = "/webhooks/instances";
+
+/**
+ * Path of the instance as the request addressed it (direct ID or
+ * webhookID/externalID, under the prefix it came in on), for links between
+ * the instance's pages.
+ * @param {Object} event - Normalized request event
+ * @param {Object} [params] - Router params
+ * @returns {string} e.g. /instance/{id} or /instance/{webhookID}/{externalID}
+ */
+export function instancePathFromEvent(event, params = {}) {
+  const path = event.path || event.rawPath || "";
+  const prefix = path.startsWith(`${V1_INSTANCE_PREFIX}/`)
+    ? V1_INSTANCE_PREFIX
+    : "/instance";
+  const key = instanceKeyFromEvent(event, params) || "";
+  return `${prefix}/${key.split("/").map(encodeURIComponent).join("/")}`;
+}
 
 export async function resolveInstanceId(greedy) {
-  console.log("resolveInstanceId called with greedy:", greedy);
-  if (!greedy) throw new Error("instanceID not found in path parameters");
+  if (!greedy) throw new BadRequestError("instanceID not found in path parameters");
 
   if (greedy.endsWith("/auth")) {
     greedy = greedy.slice(0, greedy.length - "/auth".length);
-    console.log("Removed /auth suffix, greedy now:", greedy);
   }
 
   if (greedy.includes("/")) {
     const [webhookID, externalID] = greedy.split("/");
-    console.log("Composite ID detected - webhookID:", webhookID, "externalID:", externalID);
-    const q = await docClient.send(
-      new QueryCommand({
-        TableName: TABLES.WEBHOOK_INSTANCES,
-        IndexName: "byWebhookByExternalID",
-        KeyConditionExpression:
-          "WebhookID = :webhookID and externalID = :externalID",
-        ExpressionAttributeValues: {
-          ":webhookID": webhookID,
-          ":externalID": externalID,
-        },
-        Limit: 1,
-      })
+    const match = await getRepositories().instances.findByExternalId(
+      webhookID,
+      externalID
     );
-    console.log("Query result items count:", q.Items?.length || 0);
-    const id = q.Items?.[0]?.id;
-    if (!id) throw new Error("Instance not found");
-    console.log("Resolved composite ID to instanceID:", id);
+    const id = match?.id;
+    logger.debug("Resolved composite instance ID", {
+      webhookId: webhookID,
+      externalId: externalID,
+      resolvedInstanceId: id,
+    });
+    if (!id) throw new NotFoundError("Instance not found");
     return id;
   }
-  console.log("Using greedy as direct instanceID:", greedy);
   return greedy;
 }
 
 export async function loadInstance(instanceID) {
-  console.log("loadInstance called with instanceID:", instanceID);
-  console.log("Table name:", TABLES.WEBHOOK_INSTANCES);
-  const res = await docClient.send(
-    new GetCommand({
-      TableName: TABLES.WEBHOOK_INSTANCES,
-      Key: { id: instanceID },
-    })
-  );
-  console.log("DynamoDB GetItem result - Item found:", !!res.Item);
-  if (!res.Item) throw new Error("Instance not found");
-  return res.Item;
+  const instance = await getRepositories().instances.get(instanceID);
+  if (!instance) {
+    logger.debug("Instance not found", { lookupInstanceId: instanceID });
+    throw new NotFoundError("Instance not found");
+  }
+  return instance;
 }
 
 export async function updateWebhookInstance(webhookID) {
-  return await docClient.send(
-    new UpdateCommand({
-      TableName: TABLES.WEBHOOK_INSTANCES,
-      Key: { id: webhookID },
-      UpdateExpression:
-        "SET lastPingedAt = :now, numberOfVisits = if_not_exists(numberOfVisits, :start) + :inc",
-      ExpressionAttributeValues: {
-        ":now": new Date().toISOString(),
-        ":start": 0,
-        ":inc": 1,
-      },
-      ReturnValues: "UPDATED_NEW",
-    })
-  );
+  return await getRepositories().instances.recordVisit(webhookID);
 }
@@ -0,0 +1,277 @@
+// services/page.mjs - Render an instance page from its template
+
+import { createHash } from "crypto";
+import { S3_CONFIG } from "../config/aws.mjs";
+import { getMostRecentSubmitEvent } from "./event.mjs";
+import {
+  assembleTemplate,
+  webhookLocales,
+  localeStrings,
+  hasWebhookPage,
+} from "./template.mjs";
+import { buildTemplateData } from "../template/render.mjs";
+import {
+  replaceHtmlVariables,
+  replaceHtmlWithEvent,
+  buildHtmlDocument,
+} from "../utils/html.mjs";
+import { resolveHeadSettings } from "../utils/head.mjs";
+import {
+  createNonce,
+  buildCspHeader,
+  addNonceToTags,
+  CSP_REPORT_PATH,
+} from "../utils/csp.mjs";
+import { getSignedUrlsForFiles } from "../utils/s3.mjs";
+import { requestedLocales, negotiateLocale } from "../utils/locale.mjs";
+import { NotFoundError } from "../utils/errors.mjs";
+import { renderForm, FORM_CSS, FORM_TAG } from "../forms/render.mjs";
+import { formValues } from "../forms/schema.mjs";
+
+// A submit event plus its parsed body with fresh file URLs
+async function submissionFrom(submitEvent) {
+  if (!submitEvent) return { submitEvent: null, postEvent: {} };
+
+  const postEvent = JSON.parse(submitEvent.body);
+  if (postEvent.files?.length)
+    postEvent.files = await getSignedUrlsForFiles(postEvent.files);
+  return { submitEvent, postEvent };
+}
+
+// Most recent submit event plus its parsed body with fresh file URLs
+export async function loadLatestSubmission(instanceID) {
+  return await submissionFrom(await getMostRecentSubmitEvent(instanceID));
+}
+
+/**
+ * Choose which of a webhook's pages to render (see services/template.mjs):
+ * the requested one, else submitPage once the instance has a submission,
+ * else defaultPage.
+ * @param {Object} webhook
+ * @param {Object|undefined} submitEvent - From getMostRecentSubmitEvent(),
+ *   loaded once per request and passed on to prepareInstancePage()
+ * @param {string} [requested] - Page name from /instance/{id}/p/{name}
+ * @returns {string|null} null for the main template
+ * @throws {NotFoundError} When the requested page does not exist
+ */
+export function selectInstancePage(webhook, submitEvent, requested) {
+  if (requested !== undefined) {
+    if (!hasWebhookPage(webhook, requested)) {
+      throw new NotFoundError("Page not found");
+    }
+    return requested;
+  }
+  if (hasWebhookPage(webhook, webhook.submitPage) && submitEvent) {
+    return webhook.submitPage;
+  }
+  return hasWebhookPage(webhook, webhook.defaultPage)
+    ? webhook.defaultPage
+    : null;
+}
+
+/**
+ * Choose the locale to render an instance in (see utils/locale.mjs).
+ * @param {Object} webhook
+ * @param {Object} instance
+ * @param {Object} event - Normalized request event
+ * @returns {{ locale: string|null, requested: string[] }} locale is null
+ *   when the webhook is not localized; requested lists the caller's
+ *   preferences, for pages that are always localized (the gate pages)
+ */
+export function selectPageLocale(webhook, instance, event) {
+  const requested = requestedLocales(
+    event,
+    JSON.parse(instance.inputs || "{}")
+  );
+  const available = webhookLocales(webhook);
+  const locale = available
+    ? negotiateLocale(requested, available.locales, available.defaultLocale)
+    : null;
+  return { locale, requested };
+}
+
+// ETags change at least this often, so a revalidated page never keeps
+// presigned file or logo URLs past their expiry
+const ETAG_WINDOW_MS = (S3_CONFIG.PRESIGNED_URL_EXPIRY * 1000) / 2;
+
+// Weak ETag over everything a page is rendered from. The body itself
+// differs on every response (the CSP nonce and form token), hence weak, and
+// the presigned URLs are covered by the time window instead. A submit
+// changes submitEvent, so a page kept on a 304 never holds a used token.
+function pageEtag({
+  instance,
+  webhook,
+  client,
+  template,
+  assembled,
+  locale,
+  page,
+  pageBase,
+  submitEvent,
+  preview,
+  flash,
+}) {
+  const hash = createHash("sha256");
+  for (const part of [
+    assembled,
+    template.css,
+    template.assetBase,
+    page,
+    pageBase,
+    instance.inputs,
+    JSON.stringify(webhook),
+    JSON.stringify({ ...client, logoUrl: undefined }),
+    locale,
+    submitEvent?.id,
+    preview,
+    flash,
+    Math.floor(Date.now() / ETAG_WINDOW_MS),
+  ]) {
+    hash.update(String(part ?? "")).update("\0");
+  }
+  return `W/"${hash.digest("base64url").slice(0, 27)}"`;
+}
+
+/**
+ * Load what an instance page needs and compute its ETag, so callers can
+ * answer If-None-Match without rendering. Read-only: visits are counted by
+ * the caller.
+ * @param {Object} options
+ * @param {Object} options.instance
+ * @param {Object} options.webhook
+ * @param {Object|null} options.client - From loadClient()
+ * @param {{ html: string, css: string, assetBase?: string|null }}
+ *   options.template - Published (loadWebhookTemplate) or draft
+ *   (loadDraftTemplate) HTML and CSS
+ * @param {string|null} [options.locale] - From selectPageLocale(); picks
+ *   the {{t}} strings and the formatting and <html lang> locale
+ * @param {string|null} [options.page] - From selectInstancePage()
+ * @param {string} [options.pageBase] - Instance path for {{pageUrl}} links
+ *   (instancePathFromEvent())
+ * @param {boolean} [options.preview] - Mark the page as a template preview
+ * @param {string|null} [options.flash] - One-time notice to show above the
+ *   page, e.g. after a classic form post
+ * @param {Object} [options.submitEvent] - The instance's latest submit event
+ *   when the caller already has it (selectInstancePage()); loaded otherwise
+ * @returns {Promise<{ etag: string, render: Function }>} render() resolves
+ *   to { body, headers } with the Content Security Policy header
+ */
+export async function prepareInstancePage(options) {
+  const { instance, webhook, template } = options;
+  // Pull in the client's shared partials and layout
+  const [assembled, submitEvent] = await Promise.all([
+    assembleTemplate(template.html, webhook.ClientID),
+    Object.hasOwn(options, "submitEvent")
+      ? options.submitEvent
+      : getMostRecentSubmitEvent(instance.id),
+  ]);
+  return {
+    etag: pageEtag({ ...options, assembled, submitEvent }),
+    render: async () =>
+      await renderPage({
+        ...options,
+        assembled,
+        submission: await submissionFrom(submitEvent),
+      }),
+  };
+}
+
+/**
+ * Render the full HTML document for an instance, with its Content Security
+ * Policy header (options as for prepareInstancePage()).
+ * @returns {Promise<{ body: string, headers: Object }>}
+ */
+export async function renderInstancePage(options) {
+  return await (await prepareInstancePage(options)).render();
+}
+
+async function renderPage({
+  instance,
+  webhook,
+  client,
+  template,
+  locale = null,
+  page = null,
+  pageBase,
+  preview = false,
+  flash = null,
+  assembled,
+  submission,
+}) {
+  const inputs = JSON.parse(instance.inputs || "{}");
+  const pageLocale = locale || webhook.locale || client?.locale;
+  const { postEvent } = submission;
+
+  // webhook.head, overridden by an instance's inputs.head; a localized page
+  // always declares the locale it was rendered in
+  const head = resolveHeadSettings(webhook.head, inputs.head, {
+    lang: pageLocale,
+  });
+  if (locale) head.lang = locale;
+
+  // Stamp the CSP nonce on the template's own tags before any values go in
+  const nonce = createNonce();
+
+  // The form replaces {{form}}, or follows the main template without one.
+  // The marker carries the nonce so submitted values cannot forge it.
+  const formMarker = webhook.form ? `<!--tgl-form-${nonce}-->` : null;
+  let source = assembled;
+  if (formMarker && source.includes(FORM_TAG)) {
+    source = source.replaceAll(FORM_TAG, formMarker);
+  } else if (formMarker && !page) {
+    source += formMarker;
+  }
+  let htmlString = addNonceToTags(source, nonce);
+
+  // Merge inputs with client data for variable replacement
+  const templateData = buildTemplateData(inputs, client);
+
+  htmlString = replaceHtmlVariables(htmlString, templateData, {
+    escaping: webhook.templateEscaping,
+    locale: pageLocale,
+    timeZone: webhook.timeZone || client?.timeZone,
+    strings: localeStrings(webhook, locale),
+    assetBase: template.assetBase,
+    pageBase,
+  });
+  if (postEvent) htmlString = await replaceHtmlWithEvent(htmlString, postEvent);
+  if (formMarker) {
+    const formHtml = renderForm(webhook.form, {
+      action: pageBase,
+      values: formValues(webhook.form, inputs, postEvent),
+      successUrl: hasWebhookPage(webhook, webhook.submitPage)
+        ? `${pageBase}/p/${encodeURIComponent(webhook.submitPage)}`
+        : undefined,
+      nonce,
+      preview,
+    });
+    htmlString = htmlString.replaceAll(formMarker, () => formHtml);
+  }
+
+  const body = buildHtmlDocument({
+    title: webhook.title,
+    favicon: webhook?.favicon,
+    // Webhook CSS after the form's, so it can restyle it
+    cssString: webhook.form
+      ? `${FORM_CSS}\n${template.css || ""}`
+      : template.css,
+    htmlString,
+    instanceId: instance.id,
+    webhookId: instance.WebhookID,
+    client,
+    values: inputs,
+    postEvent,
+    head,
+    nonce,
+    preview,
+    page,
+    flash,
+  });
+  const headers = buildCspHeader({
+    policy: webhook.csp,
+    nonce,
+    reportUri: `${CSP_REPORT_PATH}?webhook=${encodeURIComponent(webhook.id)}`,
+    imgUrls: [client?.logoUrl, webhook.favicon].filter(Boolean),
+  });
+  return { body, headers };
+}
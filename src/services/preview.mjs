@@ -0,0 +1,72 @@
+// services/preview.mjs - Signed links for previewing unpublished templates
+//
+// A preview token is an HS256 JWT keyed per instance (derivePreviewSigningKey)
+// and bound to the instance's tokenVersion, so rotating the version revokes
+// outstanding links along with the other instance tokens.
+
+import { TEMPLATE_CONFIG } from "../config/aws.mjs";
+import {
+  createJwtHs256,
+  verifyJwtHs256,
+  derivePreviewSigningKey,
+  nowSec,
+} from "../helperToken/token.mjs";
+import { getClientSecret } from "../helperToken/clientSecret.mjs";
+
+const audienceFor = (instance) => `preview:${instance.id}`;
+
+/**
+ * Mint a preview token for an instance.
+ * @param {Object} options
+ * @param {Object} options.instance
+ * @param {Object} options.webhook
+ * @param {string} [options.draftId] - Draft saved by saveDraftTemplate();
+ *   the webpages/{webhookID}/draft/ files otherwise
+ * @param {number} [options.ttlSec] - Capped at PREVIEW_MAX_TTL_SEC
+ * @returns {Promise<{ token: string, expiresAt: string }>}
+ */
+export async function createPreviewToken({
+  instance,
+  webhook,
+  draftId,
+  ttlSec,
+}) {
+  const lifetime = Math.min(
+    ttlSec > 0 ? Math.floor(ttlSec) : TEMPLATE_CONFIG.PREVIEW_TTL_SEC,
+    TEMPLATE_CONFIG.PREVIEW_MAX_TTL_SEC
+  );
+  const clientSecret = await getClientSecret(webhook.ClientID);
+  const iat = nowSec();
+  const token = createJwtHs256({
+    key: derivePreviewSigningKey(clientSecret, instance.id),
+    payload: {
+      iid: instance.id,
+      tv: instance.tokenVersion >>> 0,
+      ...(draftId ? { draft: draftId } : {}),
+    },
+    ttlSec: lifetime,
+    aud: audienceFor(instance),
+    iat,
+  });
+  return { token, expiresAt: new Date((iat + lifetime) * 1000).toISOString() };
+}
+
+/**
+ * Verify a preview token for an instance.
+ * @returns {Promise<{ ok: boolean, draftId?: string, reason?: string }>}
+ */
+export async function verifyPreviewToken({ token, instance, webhook }) {
+  if (!token) return { ok: false, reason: "missing" };
+  const clientSecret = await getClientSecret(webhook.ClientID);
+  const result = verifyJwtHs256({
+    token,
+    key: derivePreviewSigningKey(clientSecret, instance.id),
+    aud: audienceFor(instance),
+  });
+  if (!result.ok) return result;
+  if (result.payload.iid !== instance.id) return { ok: false, reason: "iid" };
+  if (result.payload.tv !== instance.tokenVersion >>> 0) {
+    return { ok: false, reason: "tv" };
+  }
+  return { ok: true, draftId: result.payload.draft };
+}
@@ -1,31 +1,24 @@
 // services/subscription.mjs - Subscription handling
 
-import { QueryCommand } from "@aws-sdk/lib-dynamodb";
 import axios from "axios";
-import { docClient, TABLES } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
+import { logger } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
 
 export async function querySubscriptions(webhookID) {
-  const subscriptions = [];
-  let lastEvaluatedKey;
-  do {
-    const queryParams = {
-      TableName: TABLES.SUBSCRIPTIONS,
-      IndexName: "webhookID-index",
-      KeyConditionExpression: "webhookID = :webhookID",
-      ExpressionAttributeValues: { ":webhookID": webhookID },
-    };
-    if (lastEvaluatedKey) queryParams.ExclusiveStartKey = lastEvaluatedKey;
-    const response = await docClient.send(new QueryCommand(queryParams));
-    subscriptions.push(...response.Items);
-    lastEvaluatedKey = response.LastEvaluatedKey;
-  } while (lastEvaluatedKey);
-  return subscriptions;
+  return await getRepositories().subscriptions.listByWebhook(webhookID);
 }
 
 export async function sendInstanceData(url, instanceData) {
   try {
-    await axios.post(url, instanceData);
+    await metrics.time("Subscription", () => axios.post(url, instanceData));
+    metrics.count("SubscriptionDelivered");
   } catch (error) {
-    // Error sending data to webhook URL
+    metrics.count("SubscriptionFailed");
+    logger.warn("Subscription delivery failed", {
+      subscriptionUrl: url,
+      status: error.response?.status,
+      error: error.message,
+    });
   }
 }
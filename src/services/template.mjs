@@ -0,0 +1,343 @@
+// services/template.mjs - Load webhook templates and client partials
+//
+// Localized webhooks carry
+//   i18n: {
+//     defaultLocale: "en",
+//     locales: {
+//       en: { strings: { "cta": "Sign up" } },
+//       es: { html?, style?, strings: { "cta": "Regístrate" } },
+//     },
+//   }
+// A locale's HTML/CSS comes from its html/style fields or, for usesS3
+// webhooks, index.{locale}.html / styles.{locale}.css next to index.html;
+// either file falls back to the default template when absent.
+//
+// Multi-page webhooks name their other pages
+//   pages: { intro: { html, style? }, thanks: { html } },
+//   defaultPage: "intro",    shown at /instance/{id} (the main template
+//                            otherwise)
+//   submitPage: "thanks",    shown there instead once the instance has a
+//                            submission
+// served at /instance/{id}/p/{name}. A page without style uses the webhook's
+// CSS. For usesS3 webhooks entries may be empty ({}) and the files are
+// pages/{name}.html, pages/{name}.css and pages/{name}.{locale}.html next to
+// index.html.
+
+import { randomUUID } from "crypto";
+import { TEMPLATE_CONFIG, CACHE_CONFIG } from "../config/aws.mjs";
+import { uploadFileToS3 } from "../utils/s3.mjs";
+import { createTtlCache } from "../utils/cache.mjs";
+import { expandPartials } from "../template/partials.mjs";
+import { validateTemplate } from "../template/validate.mjs";
+import { FORM_TAG } from "../forms/render.mjs";
+import {
+  webpageSource,
+  publishedLocation,
+  readOptionalFile,
+  assetBasePath,
+} from "./webpage.mjs";
+import { UpstreamError } from "../utils/errors.mjs";
+import { logger } from "../utils/logger.mjs";
+import { metrics } from "../utils/metrics.mjs";
+
+// Partials are shared by many pages, so warm containers reuse them
+const partialCache = createTtlCache({
+  ttlMs: TEMPLATE_CONFIG.PARTIAL_CACHE_TTL_SEC * 1000,
+});
+
+// Published page files (index.html, styles.css and locale variants) by
+// bucket/key; null for files that do not exist. Drafts are always read
+// fresh; the published.json pointer has its own cache (services/webpage.mjs).
+const pageFileCache = createTtlCache({
+  ttlMs: CACHE_CONFIG.RECORD_TTL_SEC * 1000,
+});
+
+// Partials always come from the configured bucket and tool
+function clientToolPath(clientID) {
+  return `public/clients/${clientID}/tooldata/${TEMPLATE_CONFIG.TOOL_ID}`;
+}
+
+// Page names double as URL segments
+const PAGE_NAME = /^[A-Za-z0-9][\w-]{0,63}$/;
+
+/**
+ * Whether a webhook defines a named page.
+ * @param {Object} webhook
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasWebhookPage(webhook, name) {
+  const pages = webhook?.pages;
+  return (
+    typeof name === "string" &&
+    PAGE_NAME.test(name) &&
+    !!pages &&
+    typeof pages === "object" &&
+    Object.hasOwn(pages, name) &&
+    !!pages[name] &&
+    typeof pages[name] === "object"
+  );
+}
+
+/**
+ * The named pages of a webhook.
+ * @param {Object} webhook
+ * @returns {string[]}
+ */
+export function webhookPageNames(webhook) {
+  return Object.keys(webhook?.pages || {}).filter((name) =>
+    hasWebhookPage(webhook, name)
+  );
+}
+
+/**
+ * The locales a webhook's page exists in; null when it is not localized.
+ * @param {Object} webhook
+ * @returns {{ defaultLocale: string, locales: string[] }|null}
+ */
+export function webhookLocales(webhook) {
+  const locales = Object.keys(webhook?.i18n?.locales || {});
+  if (!locales.length) return null;
+  const { defaultLocale } = webhook.i18n;
+  return {
+    defaultLocale: locales.includes(defaultLocale) ? defaultLocale : locales[0],
+    locales,
+  };
+}
+
+/**
+ * The {{t "key"}} strings for a locale: its own table over the default
+ * locale's. Empty when the webhook is not localized.
+ * @param {Object} webhook
+ * @param {string|null} locale - One of webhookLocales().locales
+ * @returns {Object}
+ */
+export function localeStrings(webhook, locale) {
+  const available = webhookLocales(webhook);
+  if (!available) return {};
+  const tables = webhook.i18n.locales;
+  return {
+    ...tables[available.defaultLocale]?.strings,
+    ...(locale ? tables[locale]?.strings : {}),
+  };
+}
+
+// The locale whose variant files to load; null for the default template
+function variantLocale(webhook, locale) {
+  const available = webhookLocales(webhook);
+  if (!available || !locale || locale === available.defaultLocale) {
+    return null;
+  }
+  return available.locales.includes(locale) ? locale : null;
+}
+
+/**
+ * Load a webhook's HTML and CSS: from the published S3 version when usesS3
+ * is set, else from DynamoDB. When the S3 HTML file is missing the DynamoDB
+ * html is used (logged and counted as TemplateFallback); with neither the
+ * page cannot be served.
+ * @param {Object} webhook
+ * @param {string|null} [locale] - Load this locale's variant, if any
+ * @param {string|null} [page] - Named page (see hasWebhookPage()); the main
+ *   template when null
+ * @returns {Promise<{ html: string, css: string, assetBase: string|null }>}
+ *   assetBase is the path {{asset}} URLs start with (S3 pages only)
+ * @throws {UpstreamError} S3 page without index.html or DynamoDB html
+ */
+export async function loadWebhookTemplate(webhook, locale = null, page = null) {
+  const variant = variantLocale(webhook, locale);
+  const entry = page ? webhook.pages[page] : null;
+  if (webhook.usesS3 !== true) {
+    if (entry) {
+      return {
+        html: entry.html ?? "",
+        css: entry.style ?? webhook.style,
+        assetBase: null,
+      };
+    }
+    const localized = variant ? webhook.i18n.locales[variant] : {};
+    return {
+      html: localized.html ?? webhook.html,
+      css: localized.style ?? webhook.style,
+      assetBase: null,
+    };
+  }
+
+  const { bucket, base, version } = await publishedLocation(webhook);
+  const htmlName = page ? `pages/${page}` : "index";
+  const htmlKey = `${base}/${htmlName}.html`;
+  const read = (name) =>
+    name
+      ? pageFileCache.getOrLoad(`${bucket}/${base}/${name}`, () =>
+          readOptionalFile(bucket, `${base}/${name}`)
+        )
+      : null;
+  const [html, css, pageCss, localizedHtml, localizedCss] = await Promise.all([
+    read(`${htmlName}.html`),
+    read("styles.css"),
+    read(page && `pages/${page}.css`),
+    read(variant && `${htmlName}.${variant}.html`),
+    read(variant && `styles.${variant}.css`),
+  ]);
+  const assetBase = assetBasePath(webhook, version);
+  if (html !== null) {
+    return {
+      html: localizedHtml ?? html,
+      css: pageCss ?? localizedCss ?? css ?? "",
+      assetBase,
+    };
+  }
+
+  logger.error("Template file missing from S3", { bucket, htmlKey });
+  metrics.count("TemplateFallback");
+  const fallback = entry ? entry.html : webhook.html;
+  if (!fallback) throw new UpstreamError("Template files unavailable");
+  return {
+    html: fallback,
+    css: (entry ? entry.style : null) ?? webhook.style ?? "",
+    assetBase,
+  };
+}
+
+/**
+ * Store draft HTML/CSS sent with a preview request under
+ * webpages/{webhookID}/drafts/{draftID}/.
+ * @param {Object} webhook
+ * @param {{ html?: string, css?: string }} draft - Omitted files fall back to
+ *   the published template when previewing
+ * @returns {Promise<string>} draftID
+ */
+export async function saveDraftTemplate(webhook, { html, css }) {
+  const draftId = randomUUID();
+  const { bucket, root } = webpageSource(webhook);
+  const basePath = `${root}/drafts/${draftId}`;
+  const files = [
+    [html, "index.html", "text/html"],
+    [css, "styles.css", "text/css"],
+  ];
+  for (const [content, name, contentType] of files) {
+    if (typeof content !== "string") continue;
+    await uploadFileToS3(bucket, `${basePath}/${name}`, {
+      content,
+      contentType: `${contentType}; charset=utf-8`,
+    });
+  }
+  return draftId;
+}
+
+/**
+ * Load a draft template: one saved by saveDraftTemplate() when draftId is
+ * given, else the author-uploaded webpages/{webhookID}/draft/ files. Each
+ * missing file falls back to the published one (in `locale`, if given).
+ * @returns {Promise<{ html: string, css: string, assetBase: string|null,
+ *   isDraft: boolean }>}
+ */
+export async function loadDraftTemplate(webhook, draftId, locale = null) {
+  const { bucket, root } = webpageSource(webhook);
+  const basePath = draftId ? `${root}/drafts/${draftId}` : `${root}/draft`;
+  const [html, css] = await Promise.all([
+    readOptionalFile(bucket, `${basePath}/index.html`),
+    readOptionalFile(bucket, `${basePath}/styles.css`),
+  ]);
+  const published =
+    html === null || css === null
+      ? await loadWebhookTemplate(webhook, locale)
+      : null;
+  // {{asset}} URLs point at the published version's assets
+  let assetBase = published?.assetBase ?? null;
+  if (!published && webhook.usesS3 === true) {
+    const { version } = await publishedLocation(webhook);
+    assetBase = assetBasePath(webhook, version);
+  }
+  return {
+    html: html ?? published.html,
+    css: css ?? published.css,
+    assetBase,
+    isDraft: html !== null || css !== null,
+  };
+}
+
+/**
+ * Load a client partial (partials/{name}.html); null when it does not exist.
+ * @param {string} clientID
+ * @param {string} name - e.g. "header" or "layouts/client-default"
+ */
+export async function loadClientPartial(clientID, name) {
+  const key = `${clientToolPath(clientID)}/partials/${name}.html`;
+  return await partialCache.getOrLoad(key, () =>
+    readOptionalFile(TEMPLATE_CONFIG.BUCKET, key)
+  );
+}
+
+/**
+ * Expand {{> partial}} includes and {{#layout}} wrappers using the client's
+ * partials.
+ * @param {string} html - Webhook template
+ * @param {string} clientID
+ * @param {Function} [report] - Receives partial problems (see expandPartials)
+ */
+export async function assembleTemplate(html, clientID, report) {
+  if (!clientID) return html;
+  return await expandPartials(
+    html,
+    (name) => loadClientPartial(clientID, name),
+    report
+  );
+}
+
+/**
+ * Validate a webhook's template (or a draft of it) with the client's
+ * partials expanded, against sample inputs (see template/validate.mjs).
+ * @param {Object} options
+ * @param {Object} options.webhook
+ * @param {string} [options.html] - Draft HTML; the stored template otherwise
+ * @param {string} [options.page] - Named page whose stored template to check
+ * @param {Array<{ label: string, inputs: Object }>} [options.samples]
+ * @param {Object} [options.client] - Client data from loadClient()
+ * @returns {Promise<{ ok: boolean, issues: Array<Object> }>}
+ */
+export async function validateWebhookTemplate({
+  webhook,
+  html,
+  page = null,
+  samples = [],
+  client = null,
+}) {
+  let source = html ?? (await loadWebhookTemplate(webhook, null, page)).html;
+  // {{form}} is the webhook form, not a variable
+  if (webhook.form) source = source.replaceAll(FORM_TAG, "");
+  const partialProblems = [];
+  const assembled = await assembleTemplate(source, webhook.ClientID, (text) =>
+    partialProblems.push(text)
+  );
+
+  // Localized webhooks: check {{t}} keys against every locale's table
+  const strings = webhookLocales(webhook)
+    ? Object.fromEntries(
+        Object.entries(webhook.i18n.locales).map(([locale, entry]) => [
+          locale,
+          entry?.strings || {},
+        ])
+      )
+    : null;
+  const result = validateTemplate(assembled, {
+    samples,
+    client,
+    strings,
+    pages: webhookPageNames(webhook),
+  });
+  const issues = [
+    ...partialProblems.map((message) => ({
+      severity: "error",
+      code: "partial_error",
+      message,
+    })),
+    ...result.issues,
+  ];
+  return { ok: result.ok && partialProblems.length === 0, issues };
+}
+
+// Drop cached partials (tests, or after publishing new partials)
+export function clearPartialCache() {
+  partialCache.clear();
+}
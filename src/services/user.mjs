@@ -1,24 +1,18 @@
 // services/user.mjs - User operations
 
-import { docClient, TABLES } from "../config/aws.mjs";
-import { GetCommand } from "@aws-sdk/lib-dynamodb";
+import { getRepositories } from "../repositories/index.mjs";
+import { logger } from "../utils/logger.mjs";
 
 /**
- * Load a user from DynamoDB by ID
+ * Load a user by ID
  * @param {string} userId - User ID (matches Cognito 'sub' claim)
  * @returns {Promise<Object|null>} User object or null if not found
  */
 export async function loadUser(userId) {
   try {
-    const res = await docClient.send(
-      new GetCommand({
-        TableName: TABLES.USERS,
-        Key: { id: userId },
-      })
-    );
-    return res.Item || null;
+    return await getRepositories().users.get(userId);
   } catch (error) {
-    console.error("Error loading user:", error);
+    logger.error("Error loading user", { userId, error });
     return null;
   }
 }
@@ -1,15 +1,20 @@
 // services/webhook.mjs - Webhook-related operations
 
-import { GetCommand } from "@aws-sdk/lib-dynamodb";
-import { docClient, TABLES } from "../config/aws.mjs";
+import { CACHE_CONFIG } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
+import { createTtlCache } from "../utils/cache.mjs";
+import { NotFoundError } from "../utils/errors.mjs";
 
+// Webhook configs rarely change, so warm containers reuse them
+const webhookCache = createTtlCache({
+  ttlMs: CACHE_CONFIG.RECORD_TTL_SEC * 1000,
+});
+
+// Unknown IDs throw inside the loader, so they are not cached
 export async function loadWebhook(webhookID) {
-  const res = await docClient.send(
-    new GetCommand({
-      TableName: TABLES.WEBHOOKS,
-      Key: { id: webhookID },
-    })
-  );
-  if (!res.Item) throw new Error("Webhook not found");
-  return res.Item;
+  return await webhookCache.getOrLoad(webhookID, async () => {
+    const webhook = await getRepositories().webhooks.get(webhookID);
+    if (!webhook) throw new NotFoundError("Webhook not found");
+    return webhook;
+  });
 }
@@ -0,0 +1,242 @@
+// services/webpage.mjs - Where a webhook's S3 page files live
+//
+// usesS3 webhooks keep their page under
+//   public/clients/{clientID}/tooldata/{toolId}/webpages/{webhookID}/
+// in TEMPLATE_CONFIG.BUCKET / TOOL_ID; webhook.templateSource { toolId } picks
+// another tool's folder. The bucket is always TEMPLATE_CONFIG.BUCKET, the only
+// one the function's role can read (serverless.yml). Files sit directly in that folder, or in
+// numbered versions v1/, v2/, ... once a published.json pointer
+//   { "version": 3, "previousVersion": 2, "publishedAt", "publishedBy" }
+// names the live one. The pointer is cached for CACHE_TTL_SEC like other
+// records; publishing and rollback update it in the container that made
+// them, and reach the others within the TTL (the pointer's liveEverywhereBy).
+// Version folders never change,
+// so their files can be cached too. Static assets live in assets/ inside the page (or version)
+// folder and are served by handlers/assets.mjs.
+
+import { TEMPLATE_CONFIG, CACHE_CONFIG } from "../config/aws.mjs";
+import { createTtlCache } from "../utils/cache.mjs";
+import {
+  readTextFileFromS3,
+  readFileFromS3,
+  uploadFileToS3,
+} from "../utils/s3.mjs";
+import { BadRequestError, NotFoundError } from "../utils/errors.mjs";
+import { logger } from "../utils/logger.mjs";
+
+const POINTER_FILE = "published.json";
+
+// published.json text by bucket/key; null for pages without versions
+const pointerCache = createTtlCache({
+  ttlMs: CACHE_CONFIG.RECORD_TTL_SEC * 1000,
+});
+// Path segment for the unversioned folder in asset URLs
+export const LIVE_VERSION = "live";
+
+// Static asset types served through the function; anything else is a 404
+// (in particular HTML, which would run on this origin without a CSP). The
+// asset handler sandboxes the rest, SVG included.
+export const ASSET_CONTENT_TYPES = {
+  js: "text/javascript; charset=utf-8",
+  mjs: "text/javascript; charset=utf-8",
+  css: "text/css; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  map: "application/json; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+  ico: "image/x-icon",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mp3: "audio/mpeg",
+  pdf: "application/pdf",
+};
+
+const isMissing = (e) => e?.name === "NoSuchKey" || e?.Code === "NoSuchKey";
+
+/**
+ * Bucket and folder of a webhook's page. A templateSource bucket other than
+ * TEMPLATE_CONFIG.BUCKET is ignored (and logged), since reading it would be
+ * denied.
+ * @param {Object} webhook
+ * @returns {{ bucket: string, root: string }}
+ */
+export function webpageSource(webhook) {
+  const source = webhook?.templateSource || {};
+  if (source.bucket && source.bucket !== TEMPLATE_CONFIG.BUCKET) {
+    logger.warn("Ignoring templateSource bucket outside TEMPLATE_BUCKET", {
+      webhookId: webhook.id,
+      bucket: source.bucket,
+    });
+  }
+  const toolId =
+    typeof source.toolId === "string" && source.toolId
+      ? source.toolId
+      : TEMPLATE_CONFIG.TOOL_ID;
+  return {
+    bucket: TEMPLATE_CONFIG.BUCKET,
+    root: `public/clients/${webhook.ClientID}/tooldata/${toolId}/webpages/${webhook.id}`,
+  };
+}
+
+/**
+ * Read a text file; null when it does not exist.
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+export async function readOptionalFile(bucket, key) {
+  try {
+    return await readTextFileFromS3(bucket, key);
+  } catch (e) {
+    if (isMissing(e)) return null;
+    throw e;
+  }
+}
+
+/**
+ * The published.json pointer; null for pages without versions.
+ * @param {Object} webhook
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Skip the cache (when publishing)
+ * @returns {Promise<Object|null>} { version, previousVersion, publishedAt,
+ *   publishedBy }
+ * @throws {Error} When the pointer is not valid JSON with a version
+ */
+export async function loadPublishedVersion(webhook, { fresh = false } = {}) {
+  const { bucket, root } = webpageSource(webhook);
+  const key = `${root}/${POINTER_FILE}`;
+  const read = () => readOptionalFile(bucket, key);
+  const text = fresh
+    ? await read()
+    : await pointerCache.getOrLoad(`${bucket}/${key}`, read);
+  if (text === null) return null;
+
+  let pointer;
+  try {
+    pointer = JSON.parse(text);
+  } catch {
+    pointer = null;
+  }
+  if (!Number.isInteger(pointer?.version) || pointer.version < 1) {
+    throw new Error(`Invalid ${POINTER_FILE} for webhook ${webhook.id}`);
+  }
+  return pointer;
+}
+
+/**
+ * Folder of the live page files.
+ * @param {Object} webhook
+ * @returns {Promise<{ bucket: string, base: string, version: number|null }>}
+ */
+export async function publishedLocation(webhook) {
+  const { bucket, root } = webpageSource(webhook);
+  const pointer = await loadPublishedVersion(webhook);
+  return pointer
+    ? { bucket, base: `${root}/v${pointer.version}`, version: pointer.version }
+    : { bucket, base: root, version: null };
+}
+
+/**
+ * Path that serves the assets of a page version.
+ * @param {Object} webhook
+ * @param {number|null} version - null for the unversioned folder
+ * @returns {string} e.g. /assets/{webhookID}/v3
+ */
+export function assetBasePath(webhook, version) {
+  const segment = version ? `v${version}` : LIVE_VERSION;
+  return `/assets/${encodeURIComponent(webhook.id)}/${segment}`;
+}
+
+/**
+ * Point published.json at a version folder, or back at the previous one.
+ * @param {Object} webhook
+ * @param {Object} options
+ * @param {number} [options.version] - Version to publish
+ * @param {boolean} [options.rollback] - Publish the previous version instead
+ * @param {string} [options.userId] - Recorded as publishedBy
+ * @returns {Promise<Object>} The new pointer, plus liveEverywhereBy: when
+ *   every container serves it, once their cached pointers expire
+ * @throws {BadRequestError} Non-S3 webhook, no such version, nothing to roll
+ *   back to
+ */
+export async function publishWebpageVersion(
+  webhook,
+  { version, rollback = false, userId = null }
+) {
+  if (webhook.usesS3 !== true) {
+    throw new BadRequestError("Webhook does not use S3 templates");
+  }
+  const current = await loadPublishedVersion(webhook, { fresh: true });
+  const target = rollback ? current?.previousVersion : version;
+  if (rollback && !target) {
+    throw new BadRequestError("There is no previous version to roll back to");
+  }
+  if (!Number.isInteger(target) || target < 1) {
+    throw new BadRequestError("version must be a positive integer");
+  }
+
+  const { bucket, root } = webpageSource(webhook);
+  const index = await readOptionalFile(bucket, `${root}/v${target}/index.html`);
+  if (index === null) {
+    throw new BadRequestError(`Version ${target} has no index.html`);
+  }
+
+  const pointer = {
+    version: target,
+    previousVersion: current?.version ?? null,
+    publishedAt: new Date().toISOString(),
+    publishedBy: userId,
+  };
+  const content = JSON.stringify(pointer);
+  await uploadFileToS3(bucket, `${root}/${POINTER_FILE}`, {
+    content,
+    contentType: "application/json",
+  });
+  pointerCache.set(`${bucket}/${root}/${POINTER_FILE}`, content);
+  const cachedUntil = Date.now() + CACHE_CONFIG.RECORD_TTL_SEC * 1000;
+  return { ...pointer, liveEverywhereBy: new Date(cachedUntil).toISOString() };
+}
+
+/**
+ * Read a static asset of a page version.
+ * @param {Object} webhook
+ * @param {string} version - "v{n}" or LIVE_VERSION
+ * @param {string} path - Path inside assets/, e.g. "img/logo.png"
+ * @returns {Promise<{ body: Buffer, contentType: string }>}
+ * @throws {NotFoundError} Unknown version format, type or file
+ */
+export async function loadWebpageAsset(webhook, version, path) {
+  const versionMatch = /^v([1-9]\d*)$/.exec(version);
+  if (webhook.usesS3 !== true || (!versionMatch && version !== LIVE_VERSION)) {
+    throw new NotFoundError("Asset not found");
+  }
+  const segments = path.split("/");
+  if (segments.some((s) => !s || s === "." || s === ".." || s.includes("\\"))) {
+    throw new NotFoundError("Asset not found");
+  }
+  const extension = segments.at(-1).split(".").pop().toLowerCase();
+  const contentType = Object.hasOwn(ASSET_CONTENT_TYPES, extension)
+    ? ASSET_CONTENT_TYPES[extension]
+    : null;
+  if (!contentType) throw new NotFoundError("Asset not found");
+
+  const { bucket, root } = webpageSource(webhook);
+  const folder = versionMatch ? `${root}/v${versionMatch[1]}` : root;
+  try {
+    const body = await readFileFromS3(bucket, `${folder}/assets/${path}`);
+    return { body, contentType };
+  } catch (e) {
+    if (isMissing(e)) throw new NotFoundError("Asset not found");
+    throw e;
+  }
+}
@@ -0,0 +1,191 @@
+// template/context.mjs - Work out where in the HTML each template tag sits
+//
+// A single forward scan over the template source, treating every {{…}} tag
+// as an opaque run of value characters. Each tag gets one context:
+//   { kind: "html" }                          element text / comment
+//   { kind: "attrName" }                      inside a tag, not in a value
+//   { kind: "attr", name, quote, atStart }    attribute value
+//   { kind: "script" }                        JS code inside <script>
+//   { kind: "scriptString", quote }           JS string literal inside <script>
+//   { kind: "css" }                           inside <style>
+
+// Tags are masked with NUL so no multi-character step can skip over one
+const MASK = "\0";
+const NAME_CHAR = /[^\s"'<>\/=\0]/;
+
+/**
+ * @param {string} template - Template source
+ * @param {Array<{ start: number, end: number }>} tags - Tag spans, in order
+ * @returns {Array<Object>} One context per tag
+ */
+export function scanContexts(template, tags) {
+  const parts = [];
+  let last = 0;
+  for (const { start, end } of tags) {
+    parts.push(template.slice(last, start), MASK.repeat(end - start));
+    last = end;
+  }
+  parts.push(template.slice(last));
+  const source = parts.join("");
+
+  const contexts = [];
+  let state = "data";
+  let tagName = "";
+  let closingTag = false;
+  let attr = null; // { name, quote, length }
+  let jsQuote = null;
+  let jsComment = null; // "line" | "block"
+
+  const startsWith = (i, text) =>
+    source.slice(i, i + text.length).toLowerCase() === text;
+
+  let t = 0;
+  let i = 0;
+  while (i < source.length || t < tags.length) {
+    if (t < tags.length && i >= tags[t].start) {
+      contexts.push(contextFor());
+      if (state === "attrValue") attr.length++;
+      i = tags[t].end;
+      t++;
+      continue;
+    }
+    if (i >= source.length) break;
+    i = step(i);
+  }
+  return contexts;
+
+  function contextFor() {
+    switch (state) {
+      case "tag":
+        return { kind: "attrName" };
+      case "attrValue":
+        return {
+          kind: "attr",
+          name: attr.name,
+          quote: attr.quote,
+          atStart: attr.length === 0,
+        };
+      case "script":
+        return jsQuote && !jsComment
+          ? { kind: "scriptString", quote: jsQuote }
+          : { kind: "script" };
+      case "style":
+        return { kind: "css" };
+      default:
+        return { kind: "html" };
+    }
+  }
+
+  // Advance one step from position i; returns the next position
+  function step(i) {
+    const c = source[i];
+    switch (state) {
+      case "data":
+        if (c !== "<") return i + 1;
+        if (startsWith(i, "<!--")) {
+          state = "comment";
+          return i + 4;
+        }
+        {
+          const m = /^<(\/?)([a-zA-Z][\w-]*)/.exec(source.slice(i, i + 64));
+          if (!m) return i + 1;
+          closingTag = m[1] === "/";
+          tagName = m[2].toLowerCase();
+          state = "tag";
+          return i + m[0].length;
+        }
+
+      case "comment":
+        if (startsWith(i, "-->")) {
+          state = "data";
+          return i + 3;
+        }
+        return i + 1;
+
+      case "tag":
+        if (c === ">") {
+          state = closingTag
+            ? "data"
+            : tagName === "script"
+              ? "script"
+              : tagName === "style"
+                ? "style"
+                : "data";
+          jsQuote = null;
+          jsComment = null;
+          return i + 1;
+        }
+        if (!NAME_CHAR.test(c)) return i + 1;
+        return readAttribute(i);
+
+      case "attrValue":
+        if (attr.quote ? c === attr.quote : /[\s>]/.test(c)) {
+          state = "tag";
+          return attr.quote ? i + 1 : i;
+        }
+        attr.length++;
+        return i + 1;
+
+      case "script":
+        return stepScript(i, c);
+
+      case "style":
+        if (startsWith(i, "</style")) {
+          state = "data";
+          return i;
+        }
+        return i + 1;
+    }
+    return i + 1;
+  }
+
+  // name, name=value, name="value" or name='value'
+  function readAttribute(i) {
+    let j = i;
+    while (j < source.length && NAME_CHAR.test(source[j])) j++;
+    const name = source.slice(i, j).toLowerCase();
+    let k = j;
+    while (/\s/.test(source[k] || "")) k++;
+    if (source[k] !== "=") return j;
+    k++;
+    while (/\s/.test(source[k] || "")) k++;
+    const quote = source[k] === '"' || source[k] === "'" ? source[k] : "";
+    attr = { name, quote, length: 0 };
+    state = "attrValue";
+    return quote ? k + 1 : k;
+  }
+
+  function stepScript(i, c) {
+    // HTML ends the element regardless of JS state
+    if (startsWith(i, "</script")) {
+      state = "data";
+      return i;
+    }
+    if (jsComment === "line") {
+      if (c === "\n") jsComment = null;
+      return i + 1;
+    }
+    if (jsComment === "block") {
+      if (startsWith(i, "*/")) {
+        jsComment = null;
+        return i + 2;
+      }
+      return i + 1;
+    }
+    if (jsQuote) {
+      if (c === "\\") return source[i + 1] === MASK ? i + 1 : i + 2;
+      if (c === jsQuote) jsQuote = null;
+      return i + 1;
+    }
+    if (c === '"' || c === "'" || c === "`") {
+      jsQuote = c;
+    } else if (startsWith(i, "//")) {
+      jsComment = "line";
+      return i + 2;
+    } else if (startsWith(i, "/*")) {
+      jsComment = "block";
+      return i + 2;
+    }
+    return i + 1;
+  }
+}
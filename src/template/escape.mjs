@@ -0,0 +1,136 @@
+// template/escape.mjs - Output encoders for each template insertion context
+
+// HTML produced by a filter (e.g. nl2br); inserted as-is in element text
+export class SafeHtml {
+  constructor(html) {
+    this.html = html;
+  }
+  toString() {
+    return this.html;
+  }
+}
+
+// Escape text for safe insertion into HTML text and attribute values
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Unquoted attribute values end at whitespace, so encode everything that is
+// not obviously inert
+export function escapeUnquotedAttr(value) {
+  return String(value ?? "").replace(
+    /[^\w.\-]/g,
+    (c) => `&#x${c.codePointAt(0).toString(16)};`
+  );
+}
+
+// Characters that could end a <script> element or a JS string early
+function escapeScriptSpecials(json) {
+  return json
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+// Contents of a '…', "…" or `…` JS string literal
+export function escapeJsString(value) {
+  const json = JSON.stringify(String(value ?? "")).slice(1, -1);
+  return escapeScriptSpecials(json)
+    .replace(/\\"/g, "\\u0022")
+    .replace(/'/g, "\\u0027")
+    .replace(/`/g, "\\u0060")
+    .replace(/\$/g, "\\u0024");
+}
+
+// A complete JS literal (string, number, boolean, object or array)
+export function toJsLiteral(value) {
+  return escapeScriptSpecials(JSON.stringify(value) ?? '""');
+}
+
+const SAFE_URL_SCHEME = /^(https?|mailto|tel):/i;
+const HAS_SCHEME = /^[a-z][a-z0-9+.\-]*:/i;
+
+// A whole URL (value at the start of href/src): block script-capable schemes
+// and percent-encode characters that are not valid in a URL
+export function sanitizeUrl(value) {
+  const url = String(value ?? "").trim();
+  if (HAS_SCHEME.test(url) && !SAFE_URL_SCHEME.test(url)) return "#";
+  return url.replace(/[^\w\-.~:/?#\[\]@!$&'()*+,;=%]/g, (c) =>
+    encodeURIComponent(c)
+  );
+}
+
+// Drop characters that could end a declaration or the <style> element
+export function escapeCss(value) {
+  return String(value ?? "").replace(/[<>{};\\"']/g, "");
+}
+
+// Inside a tag but outside any value (`<div {{attrs}}>`, `data-{{key}}`): a
+// value may only add to an attribute name, never start another attribute
+export function escapeAttrName(value) {
+  return String(value ?? "").replace(/[^A-Za-z0-9_-]/g, "");
+}
+
+// Attributes whose value is a URL
+const URL_ATTRS = new Set([
+  "href",
+  "src",
+  "action",
+  "formaction",
+  "poster",
+  "cite",
+  "background",
+]);
+
+function encodeAttr(value, { name, quote, atStart }) {
+  let text = String(value);
+  if (URL_ATTRS.has(name)) {
+    // A whole URL is checked; a piece of one (e.g. a query value) is encoded
+    text = atStart ? sanitizeUrl(text) : encodeURIComponent(text);
+  } else if (name.startsWith("on")) {
+    text = escapeJsString(text);
+  } else if (name === "style") {
+    // Inline CSS: a value must not add declarations of its own
+    text = escapeCss(text);
+  }
+  return quote ? escapeHtml(text) : escapeUnquotedAttr(text);
+}
+
+/**
+ * Encode a value for the context a tag sits in (see template/context.mjs).
+ * Missing values render as nothing, except in JS code where they become
+ * an empty string literal so the script still parses.
+ * @param {unknown} value
+ * @param {Object} [context]
+ * @returns {string}
+ */
+export function encodeForContext(value, context = { kind: "html" }) {
+  if (value === undefined || value === null) {
+    return context.kind === "script" ? '""' : "";
+  }
+  if (value instanceof SafeHtml) {
+    if (context.kind === "html") return value.html;
+    value = value.html;
+  }
+  switch (context.kind) {
+    case "script":
+      return toJsLiteral(value);
+    case "scriptString":
+      return escapeJsString(value);
+    case "css":
+      return escapeCss(value);
+    case "attr":
+      return encodeAttr(value, context);
+    case "attrName":
+      return escapeAttrName(value);
+    default:
+      return escapeHtml(value);
+  }
+}
@@ -0,0 +1,177 @@
+// template/filters.mjs - Pipe filters: {{amount | currency:"USD"}}
+//
+// A filter gets the current value, its arguments and the render options
+// ({ locale, timeZone }) and returns the new value. Filters are
+// error-tolerant: an unknown filter, or one that throws, renders a visible
+// "[…]" marker instead of failing the page.
+
+import { escapeHtml, SafeHtml } from "./escape.mjs";
+import { logger } from "../utils/logger.mjs";
+
+export const DEFAULT_LOCALE = "en-US";
+export const DEFAULT_TIME_ZONE = "UTC";
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  // Numbers (and numeric strings) are epoch milliseconds
+  const date =
+    typeof value === "number" || /^\d+$/.test(String(value))
+      ? new Date(Number(value))
+      : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Unicode-style date patterns: yyyy yy MMMM MMM MM M dd d EEEE EEE HH H hh h
+// mm ss a, with '…' for literal text
+const DATE_TOKEN =
+  /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a/g;
+
+function formatDatePattern(date, pattern, locale, timeZone) {
+  const parts = {};
+  const numeric = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  for (const { type, value } of numeric) parts[type] = value;
+  const name = (options) =>
+    new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hour = Number(parts.hour);
+
+  return pattern.replace(DATE_TOKEN, (token) => {
+    switch (token) {
+      case "yyyy":
+        return parts.year;
+      case "yy":
+        return parts.year.slice(-2);
+      case "MMMM":
+        return name({ month: "long" });
+      case "MMM":
+        return name({ month: "short" });
+      case "MM":
+        return pad(parts.month);
+      case "M":
+        return String(Number(parts.month));
+      case "dd":
+        return pad(parts.day);
+      case "d":
+        return String(Number(parts.day));
+      case "EEEE":
+        return name({ weekday: "long" });
+      case "EEE":
+        return name({ weekday: "short" });
+      case "HH":
+        return pad(hour);
+      case "H":
+        return String(hour);
+      case "hh":
+        return pad(hour % 12 || 12);
+      case "h":
+        return String(hour % 12 || 12);
+      case "mm":
+        return pad(parts.minute);
+      case "ss":
+        return pad(parts.second);
+      case "a":
+        return hour < 12 ? "AM" : "PM";
+      default:
+        return token.slice(1, -1);
+    }
+  });
+}
+
+// North American numbers; anything else is returned unchanged
+function formatPhone(value) {
+  const text = String(value);
+  const digits = text.replace(/\D/g, "");
+  const local = (d) => `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+  if (digits.length === 10) return local(digits);
+  if (digits.length === 11 && digits[0] === "1") {
+    return `+1 ${local(digits.slice(1))}`;
+  }
+  return text;
+}
+
+export const FILTERS = {
+  upper: (value) => (isBlank(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isBlank(value) ? value : String(value).toLowerCase()),
+
+  default: (value, [fallback = ""]) => (isBlank(value) ? fallback : value),
+
+  currency(value, [currency = "USD"], { locale }) {
+    if (isBlank(value) || Number.isNaN(Number(value))) return value;
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: String(currency),
+    }).format(Number(value));
+  },
+
+  number(value, [fractionDigits], { locale }) {
+    if (isBlank(value) || Number.isNaN(Number(value))) return value;
+    const digits =
+      fractionDigits === undefined
+        ? {}
+        : {
+            minimumFractionDigits: Number(fractionDigits),
+            maximumFractionDigits: Number(fractionDigits),
+          };
+    return new Intl.NumberFormat(locale, digits).format(Number(value));
+  },
+
+  date(value, [pattern], { locale, timeZone }) {
+    if (isBlank(value)) return value;
+    const date = toDate(value);
+    if (!date) return value;
+    if (!pattern) {
+      return new Intl.DateTimeFormat(locale, {
+        dateStyle: "medium",
+        timeZone,
+      }).format(date);
+    }
+    return formatDatePattern(date, String(pattern), locale, timeZone);
+  },
+
+  phone: (value) => (isBlank(value) ? value : formatPhone(value)),
+
+  nl2br(value) {
+    if (isBlank(value)) return value;
+    return new SafeHtml(escapeHtml(value).replace(/\r?\n/g, "<br>"));
+  },
+};
+
+/**
+ * Apply a chain of filters.
+ * @param {unknown} value
+ * @param {Array<{ name: string, args: unknown[] }>} filters - Args resolved
+ * @param {Object} options - { locale, timeZone }
+ * @returns {unknown}
+ */
+export function applyFilters(value, filters, options = {}) {
+  const settings = {
+    locale: options.locale || DEFAULT_LOCALE,
+    timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+  };
+  for (const { name, args } of filters) {
+    const filter = Object.hasOwn(FILTERS, name) ? FILTERS[name] : null;
+    if (!filter) return `[unknown filter: ${name}]`;
+    try {
+      value = filter(value, args, settings);
+    } catch (e) {
+      logger.warn("Template filter failed", {
+        filter: name,
+        error: e.message,
+      });
+      return `[filter error: ${name}]`;
+    }
+  }
+  return value;
+}
@@ -0,0 +1,226 @@
+// template/parse.mjs - Parse webhook HTML templates into a node tree
+//
+// Tags use the same `{{ ... }}` delimiters replaceHtmlVariables always
+// matched. Supported tags:
+//   {{path.to.value}}                  variable, escaped for its context
+//   {{{path.to.value}}}                variable, inserted raw (trusted HTML)
+//   {{value | filter:"arg" | other}}   variable with filters (filters.mjs)
+//   {{t "key"}}                        string from the page's locale table
+//   {{asset "img/logo.png"}}           URL of a static asset of the page
+//   {{pageUrl "thanks"}}               URL of another page of the instance
+//   {{#if path}} … {{else}} … {{/if}}  conditional
+//   {{#each path}} … {{else}} … {{/each}}
+//   {{#with path}} … {{else}} … {{/with}}
+//   {{postEvent}}                      kept verbatim for replaceHtmlWithEvent
+//
+// Nodes:
+//   { type: "text", value }
+//   { type: "var", path, filters, offset, raw, inScript, context }
+//     ({{t "key"}}, {{asset "file"}} and {{pageUrl "name"}} have path
+//     null and translate: "key", asset: "file" or pageUrl: "name")
+//     filters: [{ name, args: [{ value } | { path }] }]
+//     (context comes from template/context.mjs)
+//   { type: "block", helper, path, offset, body: [...], inverse: [...] | null }
+//
+// Parsing never throws: malformed tags are recorded in `errors` and the tree
+// is repaired (stray closers/else render nothing, unclosed blocks end at EOF)
+// so published pages keep rendering.
+
+import { scanContexts } from "./context.mjs";
+
+const TAG_REGEX = /{{{(.*?)}}}|{{(.*?)}}/g;
+const SCRIPT_REGEX = /<script[^>]*>([\s\S]*?)<\/script>/gi;
+
+export const BLOCK_HELPERS = new Set(["if", "each", "with"]);
+
+// [start, end] offsets of every <script>…</script> element
+export function findScriptRanges(source) {
+  const ranges = [];
+  let m;
+  SCRIPT_REGEX.lastIndex = 0;
+  while ((m = SCRIPT_REGEX.exec(source)) !== null) {
+    ranges.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return ranges;
+}
+
+// Split on `separator` outside '…' / "…" quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let quote = null;
+  let current = "";
+  for (const c of text) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === separator) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim());
+}
+
+// "text" / 'text' / 12.5 / true / false are literals; anything else is a path
+function parseArgument(text) {
+  const quoted = text.match(/^(["'])(.*)\1$/s);
+  if (quoted) return { value: quoted[2] };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { value: Number(text) };
+  if (text === "true" || text === "false") return { value: text === "true" };
+  return { path: text };
+}
+
+/**
+ * Parse the inside of a variable tag: `path | name:arg:arg | name`,
+ * `t "key" | name` for a translated string, `asset "file"` for an asset URL
+ * or `pageUrl "name"` for a page URL.
+ * @param {string} text
+ * @returns {{ path: string|null, translate?: string, asset?: string,
+ *   pageUrl?: string, filters: Array<{ name: string, args: Array }> }}
+ */
+export function parseExpression(text) {
+  const [head, ...segments] = splitOutsideQuotes(text, "|");
+  const filters = segments.map((segment) => {
+    const [name, ...args] = splitOutsideQuotes(segment, ":");
+    return { name, args: args.map(parseArgument) };
+  });
+  const translate = head.match(/^t\s+(["'])(.*)\1$/s);
+  if (translate) return { path: null, translate: translate[2], filters };
+  const asset = head.match(/^asset\s+(["'])(.*)\1$/s);
+  if (asset) return { path: null, asset: asset[2], filters };
+  const page = head.match(/^pageUrl\s+(["'])(.*)\1$/s);
+  if (page) return { path: null, pageUrl: page[2], filters };
+  return { path: head, filters };
+}
+
+/**
+ * Parse a template.
+ * @param {string} source
+ * @returns {{ nodes: Array, errors: Array<{ message: string, offset: number }> }}
+ */
+export function parseTemplate(source = "") {
+  const scriptRanges = findScriptRanges(source);
+  const inScript = (i) =>
+    scriptRanges.some((r) => i >= r.start && i <= r.end);
+
+  const root = { body: [] };
+  const stack = [];
+  const errors = [];
+  // Nodes are appended to the open block's body, or its inverse after {{else}}
+  const target = () => {
+    const open = stack[stack.length - 1];
+    if (!open) return root.body;
+    return open.inverse ?? open.body;
+  };
+  const pushText = (value) => {
+    if (value) target().push({ type: "text", value });
+  };
+
+  const matches = [...source.matchAll(TAG_REGEX)];
+  const contexts = scanContexts(
+    source,
+    matches.map((m) => ({ start: m.index, end: m.index + m[0].length }))
+  );
+
+  let last = 0;
+  for (const [n, m] of matches.entries()) {
+    pushText(source.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    const offset = m.index;
+    if (m[1] !== undefined) {
+      target().push({
+        type: "var",
+        ...parseExpression(m[1]),
+        offset,
+        raw: true,
+        inScript: inScript(offset),
+        context: contexts[n],
+      });
+      continue;
+    }
+
+    const inner = m[2];
+    const tag = inner.trim();
+
+    if (inner === "postEvent") {
+      pushText(m[0]);
+      continue;
+    }
+
+    const open = tag.match(/^#(\w+)\s*(.*)$/);
+    if (open && BLOCK_HELPERS.has(open[1])) {
+      const block = {
+        type: "block",
+        helper: open[1],
+        path: open[2].trim(),
+        offset,
+        body: [],
+        inverse: null,
+      };
+      if (!block.path) {
+        errors.push({ message: `{{#${block.helper}}} needs a value`, offset });
+      }
+      target().push(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (tag === "else") {
+      const current = stack[stack.length - 1];
+      if (!current) {
+        errors.push({ message: "{{else}} outside a block", offset });
+      } else if (current.inverse) {
+        errors.push({
+          message: `Duplicate {{else}} in {{#${current.helper}}}`,
+          offset,
+        });
+      } else {
+        current.inverse = [];
+      }
+      continue;
+    }
+
+    const close = tag.match(/^\/(\w+)$/);
+    if (close) {
+      const current = stack[stack.length - 1];
+      if (!current) {
+        errors.push({ message: `Unexpected {{/${close[1]}}}`, offset });
+      } else if (current.helper !== close[1]) {
+        errors.push({
+          message: `{{/${close[1]}}} closes {{#${current.helper}}}`,
+          offset,
+        });
+        // Close up to the matching block if there is one, else ignore the tag
+        const match = stack.findLastIndex((b) => b.helper === close[1]);
+        if (match !== -1) stack.length = match;
+      } else {
+        stack.pop();
+      }
+      continue;
+    }
+
+    target().push({
+      type: "var",
+      ...parseExpression(tag),
+      offset,
+      raw: false,
+      inScript: inScript(offset),
+      context: contexts[n],
+    });
+  }
+  pushText(source.slice(last));
+
+  for (const block of stack) {
+    errors.push({
+      message: `Unclosed {{#${block.helper}}}`,
+      offset: block.offset,
+    });
+  }
+
+  return { nodes: root.body, errors };
+}
@@ -0,0 +1,107 @@
+// template/partials.mjs - Expand {{> partial}} includes and layouts
+//
+//   {{> header}}                         include the client partial "header"
+//   {{#layout "client-default"}}         wrap the page in the partial
+//     …page…                             "client-default", which marks where
+//   {{/layout}}                          the page goes with {{> @content}}
+//
+// Expansion is textual and happens before parsing, so included markup is
+// escaped, scoped and context-scanned exactly as if it had been pasted into
+// the page. Partials may include other partials and use layouts, up to
+// MAX_PARTIAL_DEPTH levels; cycles and missing partials render as HTML
+// comments so the rest of the page still renders.
+
+import { logger } from "../utils/logger.mjs";
+
+export const MAX_PARTIAL_DEPTH = 8;
+
+const PARTIAL_TAG = /{{>\s*([^\s}]*)\s*}}/g;
+const LAYOUT_OPEN = /{{#layout\s+(["'])([^"']*)\1\s*}}/;
+const LAYOUT_CLOSE = "{{/layout}}";
+const CONTENT_TAG = /{{>\s*@content\s*}}/g;
+const PARTIAL_NAME = /^[\w-]+(\/[\w-]+)*$/;
+
+const marker = (text) => `<!-- ${text} -->`;
+
+/**
+ * Expand partials and layouts in a template.
+ * @param {string} source - Template HTML
+ * @param {Function} loadPartial - async (name) => string | null
+ * @param {Function} [report] - Called with each problem message, e.g. to
+ *   surface missing partials when validating a template
+ * @returns {Promise<string>}
+ */
+export async function expandPartials(source, loadPartial, report = () => {}) {
+  const html = await expand(source || "", { loadPartial, report }, []);
+  // {{> @content}} outside a layout has nothing to show
+  return html.replace(CONTENT_TAG, "");
+}
+
+// Load and expand one partial; `trail` is the chain of partials being expanded
+async function include(name, loader, trail) {
+  const problem = (text) => {
+    loader.report(text);
+    return marker(text);
+  };
+  if (!PARTIAL_NAME.test(name)) return problem("invalid partial name");
+  if (trail.includes(name)) {
+    logger.warn("Template partial cycle", { partial: name, trail });
+    return problem(`partial "${name}" includes itself`);
+  }
+  if (trail.length >= MAX_PARTIAL_DEPTH) {
+    logger.warn("Template partial depth exceeded", { partial: name, trail });
+    return problem(`partial "${name}" nested too deeply`);
+  }
+
+  let text;
+  try {
+    text = await loader.loadPartial(name);
+  } catch (e) {
+    logger.error("Template partial failed to load", {
+      partial: name,
+      error: e.message,
+    });
+    return problem(`partial "${name}" could not be loaded`);
+  }
+  if (text == null) {
+    logger.warn("Template partial not found", { partial: name });
+    return problem(`partial "${name}" not found`);
+  }
+  return await expand(text, loader, [...trail, name]);
+}
+
+async function expand(source, loader, trail) {
+  // The page body runs from the first {{#layout}} to the last {{/layout}}
+  // (or the end of the template when the closing tag is missing)
+  const layout = LAYOUT_OPEN.exec(source);
+  if (layout) {
+    const bodyStart = layout.index + layout[0].length;
+    let bodyEnd = source.lastIndexOf(LAYOUT_CLOSE);
+    if (bodyEnd < bodyStart) bodyEnd = source.length;
+
+    const before = source.slice(0, layout.index);
+    const body = source.slice(bodyStart, bodyEnd);
+    const after = source.slice(bodyEnd + LAYOUT_CLOSE.length);
+    const content = await expand(body, loader, trail);
+    const wrapper = await include(layout[2], loader, trail);
+    return (
+      (await expand(before, loader, trail)) +
+      wrapper.replace(CONTENT_TAG, () => content) +
+      (await expand(after, loader, trail))
+    );
+  }
+
+  // Load every distinct partial once, in parallel
+  const names = new Set();
+  for (const m of source.matchAll(PARTIAL_TAG)) {
+    if (m[1] !== "@content") names.add(m[1]);
+  }
+  const expanded = new Map(
+    await Promise.all(
+      [...names].map(async (name) => [name, await include(name, loader, trail)])
+    )
+  );
+  return source.replace(PARTIAL_TAG, (tag, name) =>
+    name === "@content" ? tag : expanded.get(name)
+  );
+}
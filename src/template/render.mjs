@@ -0,0 +1,195 @@
+// template/render.mjs - Render a parsed template against instance data
+//
+// Lookups walk a scope chain: the innermost {{#each}} item / {{#with}} value
+// first, then each enclosing scope, ending at the root data object
+// (inputs + client). `this` is the innermost scope; inside {{#each}} the
+// frame also exposes @index, @key, @first and @last.
+//
+// Escaping modes (options.escaping, from webhook.templateEscaping):
+// - "auto" (default): each value is encoded for its context (HTML text,
+//   attribute, URL, JS code/string, CSS); {{{triple}}} inserts raw
+// - "legacy": values are inserted raw, and missing values inside <script>
+//   become "" (the pre-escaping behavior, kept for unmigrated templates)
+//
+// options.locale / options.timeZone are used by formatting filters;
+// options.strings is the locale's string table for {{t "key"}} (a key with
+// no string renders as the key itself); options.assetBase prefixes
+// {{asset "file"}} URLs and options.pageBase {{pageUrl "name"}} URLs.
+
+import { parseTemplate } from "./parse.mjs";
+import { encodeForContext } from "./escape.mjs";
+import { applyFilters } from "./filters.mjs";
+
+// Handlebars truthiness: empty arrays are false too
+export function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function getPath(value, keys) {
+  for (const key of keys) {
+    if (value && typeof value === "object" && key in value) {
+      value = value[key];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+/**
+ * Resolve a dotted path against the scope chain.
+ * @param {string} path - e.g. "client.name", "this.total", "@index"
+ * @param {Array<{ value: unknown, data: Object }>} frames - Outermost first
+ */
+export function lookup(path, frames) {
+  const [head, ...rest] = path.split(".");
+  const frame = frames[frames.length - 1];
+
+  if (head.startsWith("@")) return getPath(frame.data[head], rest);
+  if (head === "this") return getPath(frame.value, rest);
+
+  for (let i = frames.length - 1; i >= 0; i--) {
+    const scope = frames[i].value;
+    if (scope && typeof scope === "object" && head in scope) {
+      return getPath(scope[head], rest);
+    }
+  }
+  return undefined;
+}
+
+function translate(key, strings) {
+  return strings && Object.hasOwn(strings, key) ? strings[key] : key;
+}
+
+// Asset path under options.assetBase (see services/webpage.mjs)
+function assetUrl(file, assetBase) {
+  const path = file.split("/").map(encodeURIComponent).join("/");
+  return assetBase ? `${assetBase}/${path}` : path;
+}
+
+// Named page of the instance at options.pageBase (e.g. /instance/{id})
+function pageUrl(name, pageBase) {
+  return `${pageBase || ""}/p/${encodeURIComponent(name)}`;
+}
+
+function evaluate(node, frames, options) {
+  let value;
+  if (node.path !== null) {
+    value = lookup(node.path, frames);
+  } else if (node.asset !== undefined) {
+    value = assetUrl(node.asset, options.assetBase);
+  } else if (node.pageUrl !== undefined) {
+    value = pageUrl(node.pageUrl, options.pageBase);
+  } else {
+    value = translate(node.translate, options.strings);
+  }
+  if (!node.filters?.length) return value;
+  const filters = node.filters.map(({ name, args }) => ({
+    name,
+    args: args.map((arg) =>
+      "path" in arg ? lookup(arg.path, frames) : arg.value
+    ),
+  }));
+  return applyFilters(value, filters, options);
+}
+
+function renderVar(node, frames, options) {
+  const value = evaluate(node, frames, options);
+  const missing = value === undefined || value === null;
+  if (node.raw) return missing ? "" : String(value);
+  if (options.escaping !== "legacy") {
+    return encodeForContext(value, node.context);
+  }
+
+  // Missing values inside <script> become "" so the script still parses
+  if (missing) return node.inScript ? '""' : "";
+  return String(value);
+}
+
+function renderEach(node, frames, options) {
+  const value = lookup(node.path, frames);
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value && typeof value === "object"
+      ? Object.entries(value)
+      : [];
+  if (!entries.length) return renderNodes(node.inverse || [], frames, options);
+
+  return entries
+    .map(([key, item], index) =>
+      renderNodes(
+        node.body,
+        [
+          ...frames,
+          {
+            value: item,
+            data: {
+              "@index": index,
+              "@key": key,
+              "@first": index === 0,
+              "@last": index === entries.length - 1,
+            },
+          },
+        ],
+        options
+      )
+    )
+    .join("");
+}
+
+function renderBlock(node, frames, options) {
+  const value = lookup(node.path, frames);
+  switch (node.helper) {
+    case "if":
+      return isTruthy(value)
+        ? renderNodes(node.body, frames, options)
+        : renderNodes(node.inverse || [], frames, options);
+    case "with":
+      return isTruthy(value)
+        ? renderNodes(node.body, [...frames, { value, data: {} }], options)
+        : renderNodes(node.inverse || [], frames, options);
+    case "each":
+      return renderEach(node, frames, options);
+    default:
+      return "";
+  }
+}
+
+export function renderNodes(nodes, frames, options = {}) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") out += node.value;
+    else if (node.type === "var") out += renderVar(node, frames, options);
+    else if (node.type === "block") out += renderBlock(node, frames, options);
+  }
+  return out;
+}
+
+/**
+ * Root data object for a page: inputs at the top level (and under
+ * `inputs`) plus the client record under `client`.
+ * @param {Object} inputs - Instance inputs
+ * @param {Object|null} client - Client data from loadClient()
+ */
+export function buildTemplateData(inputs, client) {
+  return { ...inputs, inputs, client: client || {} };
+}
+
+/**
+ * Render a template string.
+ * @param {string} source - Template HTML
+ * @param {Object} data - Root data object (inputs + client)
+ * @param {Object} [options]
+ * @param {string} [options.escaping] - "auto" (default) | "legacy"
+ * @param {string} [options.locale] - BCP 47 locale for filters (en-US)
+ * @param {string} [options.timeZone] - IANA time zone for filters (UTC)
+ * @param {Object} [options.strings] - Strings for {{t "key"}}
+ * @param {string} [options.assetBase] - Path {{asset "file"}} URLs start with
+ * @param {string} [options.pageBase] - Instance path {{pageUrl "name"}} URLs
+ *   start with
+ * @returns {string}
+ */
+export function renderTemplate(source, data, options = {}) {
+  const { nodes } = parseTemplate(source);
+  return renderNodes(nodes, [{ value: data || {}, data: {} }], options);
+}
@@ -0,0 +1,322 @@
+// template/validate.mjs - Static checks for webhook templates
+//
+// validateTemplate() reports problems an author should fix before
+// publishing. Each issue is
+//   { severity: "error" | "warning", code, message, line, column, ... }
+// Errors break the page structure; warnings usually mean missing content:
+//
+//   unbalanced_block        {{#if}}/{{#each}}/{{#with}} not closed properly
+//   unclosed_tag            "{{" with no "}}" on the same line
+//   unclosed_script         <script> with no </script>
+//   stray_script_close      </script> with no <script>
+//   partial_error           missing, cyclic or too deeply nested partial
+//                           (added by services/template.mjs, which expands
+//                           partials before validating)
+//   unknown_variable        path that does not resolve for some sample data
+//   unknown_filter          {{value | name}} with no such filter
+//   unused_input            input that the template never mentions
+//   missing_translation     {{t "key"}} with no string in some locale
+//   unknown_page            {{pageUrl "name"}} for a page the webhook lacks
+//   postevent_not_consumed  {{postEvent}} that no script uses
+
+import { parseTemplate } from "./parse.mjs";
+import { lookup, isTruthy, buildTemplateData } from "./render.mjs";
+import { FILTERS } from "./filters.mjs";
+
+const SCRIPT_TAG = /<script\b[^>]*>|<\/script\s*>/gi;
+const SCRIPT_ELEMENT = /<script\b[^>]*>[\s\S]*?<\/script\s*>/gi;
+const POST_EVENT = /{{postEvent}}/g;
+// Expression positions that hand {{postEvent}} to something
+const CONSUMING_PREFIX = /(=|\(|,|:|\[|\?|&&|\|\||return)\s*$/;
+
+// 1-based line and column of an offset
+export function positionAt(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split("\n").length;
+  return { line, column: offset - before.lastIndexOf("\n") };
+}
+
+function checkScripts(source, issue) {
+  let open = null;
+  for (const m of source.matchAll(SCRIPT_TAG)) {
+    const closing = m[0].startsWith("</");
+    if (!closing) {
+      // "<script" inside a script is just text
+      if (open === null) open = m.index;
+    } else if (open === null) {
+      issue(
+        "error",
+        "stray_script_close",
+        "</script> without <script>",
+        m.index
+      );
+    } else {
+      open = null;
+    }
+  }
+  if (open !== null) {
+    issue("error", "unclosed_script", "<script> is never closed", open);
+  }
+}
+
+function checkPostEvent(source, issue) {
+  const scripts = [];
+  for (const m of source.matchAll(SCRIPT_ELEMENT)) {
+    scripts.push({ start: m.index, end: m.index + m[0].length });
+  }
+  for (const m of source.matchAll(POST_EVENT)) {
+    const script = scripts.find((r) => m.index > r.start && m.index < r.end);
+    if (!script) {
+      issue(
+        "warning",
+        "postevent_not_consumed",
+        "{{postEvent}} is outside <script>, so it renders as text",
+        m.index
+      );
+    } else if (!CONSUMING_PREFIX.test(source.slice(script.start, m.index))) {
+      issue(
+        "warning",
+        "postevent_not_consumed",
+        "{{postEvent}} is not assigned or passed to anything",
+        m.index
+      );
+    }
+  }
+}
+
+// "{{" that does not start a complete tag on the same line
+function checkUnclosedTags(source, issue) {
+  for (const m of source.matchAll(/{{/g)) {
+    const lineEnd = source.indexOf("\n", m.index);
+    const rest = source.slice(m.index, lineEnd === -1 ? undefined : lineEnd);
+    if (!rest.includes("}}")) {
+      issue("error", "unclosed_tag", "{{ is not closed on its line", m.index);
+    }
+  }
+}
+
+// Every path a template mentions, with the node it came from
+function collectPaths(nodes, out = []) {
+  for (const node of nodes) {
+    if (node.type === "var") {
+      if (node.path !== null) out.push({ path: node.path, node });
+      for (const filter of node.filters || []) {
+        for (const arg of filter.args) {
+          if ("path" in arg) out.push({ path: arg.path, node });
+        }
+      }
+    } else if (node.type === "block") {
+      out.push({ path: node.path, node });
+      collectPaths(node.body, out);
+      collectPaths(node.inverse || [], out);
+    }
+  }
+  return out;
+}
+
+// Every {{t "key"}} (field "translate") or {{pageUrl "name"}} (field
+// "pageUrl"): argument -> first node using it
+function collectHelperArgs(nodes, field, out = new Map()) {
+  for (const node of nodes) {
+    if (node.type === "var" && node[field] !== undefined) {
+      if (!out.has(node[field])) out.set(node[field], node);
+    } else if (node.type === "block") {
+      collectHelperArgs(node.body, field, out);
+      collectHelperArgs(node.inverse || [], field, out);
+    }
+  }
+  return out;
+}
+
+// Walk the branches a sample would actually render, recording paths that
+// do not resolve. {{#if x}} tests presence, so a missing x there is fine.
+function findUnresolved(nodes, frames, unresolved) {
+  const check = (path, node) => {
+    if (lookup(path, frames) === undefined) {
+      if (!unresolved.has(path)) unresolved.set(path, node);
+    }
+  };
+
+  for (const node of nodes) {
+    if (node.type === "var") {
+      const hasDefault = node.filters?.some((f) => f.name === "default");
+      if (!hasDefault && node.path !== null) check(node.path, node);
+      for (const filter of node.filters || []) {
+        for (const arg of filter.args) {
+          if ("path" in arg) check(arg.path, node);
+        }
+      }
+      continue;
+    }
+    if (node.type !== "block") continue;
+
+    const value = lookup(node.path, frames);
+    if (node.helper !== "if") check(node.path, node);
+    if (node.helper === "each") {
+      const items = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : value && typeof value === "object"
+          ? Object.entries(value)
+          : [];
+      if (!items.length) {
+        findUnresolved(node.inverse || [], frames, unresolved);
+      }
+      items.forEach(([key, item], index) =>
+        findUnresolved(
+          node.body,
+          [
+            ...frames,
+            {
+              value: item,
+              data: {
+                "@index": index,
+                "@key": key,
+                "@first": index === 0,
+                "@last": index === items.length - 1,
+              },
+            },
+          ],
+          unresolved
+        )
+      );
+    } else if (!isTruthy(value)) {
+      findUnresolved(node.inverse || [], frames, unresolved);
+    } else if (node.helper === "with") {
+      findUnresolved(node.body, [...frames, { value, data: {} }], unresolved);
+    } else {
+      findUnresolved(node.body, frames, unresolved);
+    }
+  }
+}
+
+/**
+ * Validate a template.
+ * @param {string} html - Template HTML (partials already expanded)
+ * @param {Object} [options]
+ * @param {Array<{ label: string, inputs: Object }>} [options.samples] - Input
+ *   sets to check variables against (e.g. one per instance); variable checks
+ *   are skipped when none are given
+ * @param {Object} [options.client] - Client data available as {{client.*}}
+ * @param {Object} [options.strings] - String tables by locale
+ *   ({ en: { key: "text" } }); translation checks are skipped without them
+ * @param {string[]} [options.pages] - Page names {{pageUrl}} may link to;
+ *   page checks are skipped without them
+ * @returns {{ ok: boolean, issues: Array<Object> }} ok is false when any
+ *   issue is an error
+ */
+export function validateTemplate(
+  html,
+  { samples = [], client = null, strings = null, pages = null } = {}
+) {
+  const source = html || "";
+  const issues = [];
+  const issue = (severity, code, message, offset, extra = {}) => {
+    issues.push({
+      severity,
+      code,
+      message,
+      ...(offset === undefined ? {} : positionAt(source, offset)),
+      ...extra,
+    });
+  };
+
+  const { nodes, errors } = parseTemplate(source);
+  for (const error of errors) {
+    issue("error", "unbalanced_block", error.message, error.offset);
+  }
+  checkUnclosedTags(source, issue);
+  checkScripts(source, issue);
+  checkPostEvent(source, issue);
+
+  const paths = collectPaths(nodes);
+  const reported = new Set();
+  for (const { node } of paths) {
+    for (const filter of node.filters || []) {
+      if (Object.hasOwn(FILTERS, filter.name) || reported.has(node)) continue;
+      reported.add(node);
+      issue(
+        "warning",
+        "unknown_filter",
+        `Unknown filter "${filter.name}"`,
+        node.offset,
+        { filter: filter.name }
+      );
+    }
+  }
+
+  // Unknown variables: path -> labels of the samples it is missing from
+  const missing = new Map();
+  for (const sample of samples) {
+    const unresolved = new Map();
+    const data = buildTemplateData(sample.inputs || {}, client);
+    findUnresolved(nodes, [{ value: data, data: {} }], unresolved);
+    for (const [path, node] of unresolved) {
+      if (!missing.has(path)) missing.set(path, { node, samples: [] });
+      missing.get(path).samples.push(sample.label);
+    }
+  }
+  for (const [path, { node, samples: labels }] of missing) {
+    issue(
+      "warning",
+      "unknown_variable",
+      `Unknown variable "${path}"`,
+      node.offset,
+      { path, samples: labels }
+    );
+  }
+
+  // Unused inputs: never referenced by a tag, nor named anywhere in the
+  // template (scripts often read InstanceMeta.data.name directly)
+  const referenced = new Set();
+  for (const { path } of paths) {
+    const [head, next] = path.split(".");
+    referenced.add(head === "inputs" ? next : head);
+  }
+  const unused = new Map();
+  for (const sample of samples) {
+    for (const key of Object.keys(sample.inputs || {})) {
+      const named = new RegExp(`\\b${key.replace(/\W/g, "\\$&")}\\b`);
+      if (referenced.has(key) || named.test(source)) continue;
+      if (!unused.has(key)) unused.set(key, []);
+      unused.get(key).push(sample.label);
+    }
+  }
+  for (const [key, labels] of unused) {
+    issue(
+      "warning",
+      "unused_input",
+      `Input "${key}" is never used`,
+      undefined,
+      { path: key, samples: labels }
+    );
+  }
+
+  // Missing translations: key -> locales whose table lacks it
+  if (strings) {
+    for (const [key, node] of collectHelperArgs(nodes, "translate")) {
+      const locales = Object.keys(strings).filter(
+        (locale) => !Object.hasOwn(strings[locale] || {}, key)
+      );
+      if (!locales.length) continue;
+      issue(
+        "warning",
+        "missing_translation",
+        `No "${key}" string for ${locales.join(", ")}`,
+        node.offset,
+        { key, locales }
+      );
+    }
+  }
+
+  // Links to pages the webhook does not define
+  if (pages) {
+    for (const [name, node] of collectHelperArgs(nodes, "pageUrl")) {
+      if (pages.includes(name)) continue;
+      issue("warning", "unknown_page", `No page named "${name}"`, node.offset, {
+        page: name,
+      });
+    }
+  }
+
+  return { ok: !issues.some((i) => i.severity === "error"), issues };
+}
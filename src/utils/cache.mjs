@@ -0,0 +1,75 @@
+// utils/cache.mjs - In-memory TTL cache for warm Lambda invocations
+//
+// Entries live in the container's memory, so they are shared by every
+// request a warm container serves and dropped on cold start. Concurrent
+// loads of the same key share one in-flight promise. Cached values are
+// shared too, so callers treat them as read-only.
+
+// Every cache created, for clearAllCaches()
+const registry = new Set();
+
+/**
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a loaded value is reused
+ * @param {number} [options.maxEntries=500] - Oldest entries are evicted first
+ */
+export function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const pending = new Map(); // key -> Promise
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Cached value for key, or the result of loader() (cached on success).
+   * @param {string} key
+   * @param {Function} loader - Async function producing the value
+   */
+  async function getOrLoad(key, loader) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (pending.has(key)) return await pending.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (ttlMs > 0) set(key, value);
+        return value;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return await promise;
+  }
+
+  const cache = {
+    get,
+    set,
+    getOrLoad,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+  };
+  registry.add(cache);
+  return cache;
+}
+
+// Drop every cached value (tests, or after changing records out of band)
+export function clearAllCaches() {
+  for (const cache of registry) cache.clear();
+}
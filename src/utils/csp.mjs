@@ -0,0 +1,148 @@
+// utils/csp.mjs - Content Security Policy for instance pages
+//
+// Each rendered page gets a fresh nonce. The template's own <script> and
+// <style> tags, and the ones buildHtmlDocument emits, carry it. Values
+// inserted into the page do not, so a script smuggled in through an input
+// (e.g. via {{{raw}}}) does not run.
+//
+// webhook.csp (all optional):
+//   {
+//     mode: "report-only",     default; "enforce" blocks, "off" sends nothing
+//     scriptSrc: ["https://cdn.example.com"],
+//     connectSrc: [...], imgSrc: [...], styleSrc: [...], fontSrc: [...],
+//     frameSrc: [...]
+//   }
+// Listed origins are added to the defaults below. Violations are reported
+// to POST /csp-report (handlers/cspReport.mjs).
+
+import { randomBytes } from "crypto";
+
+export const CSP_REPORT_PATH = "/csp-report";
+
+const MODES = new Set(["enforce", "report-only", "off"]);
+const DEFAULT_MODE = "report-only";
+
+// Presigned S3 URLs for uploaded files and upload PUTs
+const S3_ORIGIN = "https://*.amazonaws.com";
+
+const SOURCE_FIELDS = {
+  "script-src": "scriptSrc",
+  "style-src": "styleSrc",
+  "img-src": "imgSrc",
+  "font-src": "fontSrc",
+  "connect-src": "connectSrc",
+  "frame-src": "frameSrc",
+};
+
+// Origins, scheme sources (https:) and wildcard hosts; never keywords such
+// as 'unsafe-inline', and nothing that could end the directive
+const SOURCE = /^(?:[a-z][a-z0-9+.-]*:|(?:[a-z][a-z0-9+.-]*:\/\/)?(?:\*\.)?[a-z0-9.-]+(?::\d+|:\*)?(?:\/[^\s;,']*)?)$/i;
+
+export function createNonce() {
+  return randomBytes(16).toString("base64");
+}
+
+function originOf(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === "https:" || protocol === "http:"
+      ? `${protocol}//${host}`
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function configuredSources(policy, field) {
+  const list = policy?.[field];
+  if (!Array.isArray(list)) return [];
+  return list.map((s) => String(s).trim()).filter((s) => SOURCE.test(s));
+}
+
+/**
+ * The CSP mode for a webhook: "enforce", "report-only" or "off".
+ * @param {Object} [policy] - webhook.csp
+ */
+export function cspMode(policy) {
+  return MODES.has(policy?.mode) ? policy.mode : DEFAULT_MODE;
+}
+
+/**
+ * Build the policy header for a page.
+ * @param {Object} options
+ * @param {Object} [options.policy] - webhook.csp
+ * @param {string} options.nonce - From createNonce()
+ * @param {string} [options.reportUri] - Where browsers send violations
+ * @param {string[]} [options.imgUrls] - Images the page always shows (e.g.
+ *   the client logo); their origins are allowed
+ * @returns {Object} Header name → value; empty when the mode is "off"
+ */
+export function buildCspHeader({ policy, nonce, reportUri, imgUrls = [] }) {
+  const mode = cspMode(policy);
+  if (mode === "off") return {};
+
+  const nonceSource = `'nonce-${nonce}'`;
+  const defaults = {
+    "script-src": ["'self'", nonceSource],
+    "style-src": ["'self'", nonceSource],
+    "img-src": [
+      "'self'",
+      "data:",
+      "blob:",
+      S3_ORIGIN,
+      ...imgUrls.map(originOf).filter(Boolean),
+    ],
+    "font-src": ["'self'", "data:"],
+    "connect-src": ["'self'", S3_ORIGIN],
+    "frame-src": [],
+  };
+
+  const directives = ["default-src 'self'"];
+  for (const [directive, field] of Object.entries(SOURCE_FIELDS)) {
+    const sources = [
+      ...new Set([...defaults[directive], ...configuredSources(policy, field)]),
+    ];
+    if (sources.length) directives.push(`${directive} ${sources.join(" ")}`);
+    // Templates lean on style="" attributes; allow those but not <style>
+    if (directive === "style-src") {
+      directives.push("style-src-attr 'unsafe-inline'");
+    }
+  }
+  directives.push("object-src 'none'", "base-uri 'none'");
+  if (reportUri) directives.push(`report-uri ${reportUri}`);
+
+  const name =
+    mode === "enforce"
+      ? "Content-Security-Policy"
+      : "Content-Security-Policy-Report-Only";
+  return { [name]: directives.join("; ") };
+}
+
+/**
+ * Add the nonce to every <script> and <style> tag in template markup.
+ * Element contents are skipped, so "<script>" inside a JS string is left
+ * alone; tags that already have a nonce keep it.
+ * @param {string} html - Template markup (before values are inserted)
+ * @param {string} nonce
+ * @returns {string}
+ */
+export function addNonceToTags(html, nonce) {
+  const source = html || "";
+  const lower = source.toLowerCase();
+  const openTag = /<(script|style)\b([^>]*)>/gi;
+  let out = "";
+  let last = 0;
+  let m;
+  while ((m = openTag.exec(source))) {
+    const [tag, name, attrs] = m;
+    out += source.slice(last, m.index);
+    out += /\snonce\s*=/i.test(attrs)
+      ? tag
+      : `<${name} nonce="${nonce}"${attrs}>`;
+    const close = lower.indexOf(`</${name.toLowerCase()}`, openTag.lastIndex);
+    last = close === -1 ? source.length : close;
+    out += source.slice(openTag.lastIndex, last);
+    openTag.lastIndex = last;
+  }
+  return out + source.slice(last);
+}
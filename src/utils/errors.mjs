@@ -0,0 +1,110 @@
+// utils/errors.mjs - Typed HTTP errors
+// Services throw these; the top-level handler maps them to responses.
+
+export class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code for the response
+   * @param {string} message - Message shown to the caller for 4xx errors
+   * @param {Object} [options] - { code?: string, cause?: Error }
+   */
+  constructor(statusCode, message, { code = "internal_error", cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+
+  // 5xx details stay in the logs; callers get a generic message
+  get publicMessage() {
+    if (this.statusCode >= 500) {
+      return this.statusCode === 502
+        ? "Upstream service unavailable"
+        : "Internal Server Error";
+    }
+    return this.message;
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(message = "Bad request", options = {}) {
+    super(400, message, { code: "bad_request", ...options });
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = "Authentication required", options = {}) {
+    super(401, message, { code: "unauthorized", ...options });
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = "Access denied", options = {}) {
+    super(403, message, { code: "forbidden", ...options });
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "Not found", options = {}) {
+    super(404, message, { code: "not_found", ...options });
+  }
+}
+
+export class MethodNotAllowedError extends HttpError {
+  constructor(allowed = [], options = {}) {
+    super(405, `Method Not Allowed. Allowed methods: ${allowed.join(", ")}.`, {
+      code: "method_not_allowed",
+      ...options,
+    });
+    this.allowed = allowed;
+  }
+}
+
+// A repeat of a request that is still being handled, e.g. a submit retried
+// with the same idempotency key before the first one finished
+export class ConflictError extends HttpError {
+  constructor(message = "Conflict", options = {}) {
+    super(409, message, { code: "conflict", ...options });
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  constructor(message = "Request body is too large", options = {}) {
+    super(413, message, { code: "payload_too_large", ...options });
+  }
+}
+
+// A well-formed request whose content is rejected, e.g. a submission with
+// field errors: [{ field, code, message }]
+export class UnprocessableEntityError extends HttpError {
+  constructor(message = "Unprocessable entity", options = {}) {
+    const { errors = [], ...rest } = options;
+    super(422, message, { code: "invalid_submission", ...rest });
+    this.errors = errors;
+  }
+}
+
+export class UpstreamError extends HttpError {
+  constructor(message = "Upstream service failure", options = {}) {
+    super(502, message, { code: "upstream_failure", ...options });
+  }
+}
+
+/**
+ * Normalize anything thrown by a handler into an HttpError.
+ * AWS SDK service exceptions (they carry $metadata) and axios failures are
+ * treated as upstream failures; everything else is a 500.
+ *
+ * @param {unknown} err
+ * @returns {HttpError}
+ */
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err?.$metadata || err?.isAxiosError) {
+    return new UpstreamError(err.message || "Upstream service failure", {
+      cause: err,
+    });
+  }
+  return new HttpError(500, err?.message || "Internal Server Error", {
+    cause: err,
+  });
+}
@@ -0,0 +1,132 @@
+// utils/head.mjs - Configurable document <head>
+//
+// webhook.head sets the head for every instance page; an instance can
+// override any field with an object in its inputs under "head":
+//   {
+//     lang: "en-GB",                       <html lang> (webhook/client locale
+//                                          otherwise)
+//     viewport: "width=device-width, initial-scale=1",  "" to omit
+//     description: "...",                  also og:description
+//     ogTitle: "...", ogImage: "https://…" link previews
+//     robots: "noindex, nofollow",         default; "" to omit
+//     links: [{ rel: "stylesheet", href: "https://fonts…" }]
+//   }
+// Every value is escaped; unsafe URLs and unknown link rels are dropped.
+
+import { escapeHtml } from "../template/escape.mjs";
+
+export const DEFAULT_HEAD = {
+  lang: "en",
+  viewport: "width=device-width, initial-scale=1",
+  robots: "noindex, nofollow",
+  links: [],
+};
+
+const TEXT_FIELDS = ["lang", "viewport", "description", "ogTitle", "robots"];
+const LINK_RELS = new Set([
+  "stylesheet",
+  "preconnect",
+  "dns-prefetch",
+  "preload",
+  "icon",
+  "apple-touch-icon",
+  "manifest",
+  "canonical",
+  "alternate",
+]);
+const LINK_ATTRS = ["as", "type", "media", "sizes", "hreflang", "crossorigin"];
+const MAX_LINKS = 20;
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// http(s) and same-origin paths only
+function safeUrl(value) {
+  const url = String(value ?? "").trim();
+  if (/^https?:\/\//i.test(url) || /^\/(?!\/)/.test(url)) return url;
+  return null;
+}
+
+function safeLang(value) {
+  try {
+    return Intl.getCanonicalLocales(String(value))[0];
+  } catch {
+    return null;
+  }
+}
+
+function safeLinks(links) {
+  if (!Array.isArray(links)) return [];
+  return links
+    .filter((link) => isPlainObject(link))
+    .map((link) => ({
+      ...link,
+      rel: String(link.rel ?? "").toLowerCase(),
+      href: safeUrl(link.href),
+    }))
+    .filter((link) => LINK_RELS.has(link.rel) && link.href)
+    .slice(0, MAX_LINKS);
+}
+
+/**
+ * Merge head settings: defaults, then the webhook's, then the instance's.
+ * @param {Object} [webhookHead] - webhook.head
+ * @param {Object} [instanceHead] - inputs.head (ignored unless an object)
+ * @param {Object} [defaults] - e.g. { lang } from the webhook/client locale
+ * @returns {Object} Settings for renderHeadTags()
+ */
+export function resolveHeadSettings(webhookHead, instanceHead, defaults = {}) {
+  const head = { ...DEFAULT_HEAD, ...defaults };
+  for (const layer of [webhookHead, instanceHead]) {
+    if (!isPlainObject(layer)) continue;
+    for (const field of TEXT_FIELDS) {
+      if (typeof layer[field] === "string") head[field] = layer[field];
+    }
+    if (layer.ogImage !== undefined) head.ogImage = layer.ogImage;
+    if (layer.links !== undefined) head.links = layer.links;
+  }
+
+  return {
+    ...head,
+    lang: safeLang(head.lang) || DEFAULT_HEAD.lang,
+    ogImage: head.ogImage ? safeUrl(head.ogImage) : null,
+    links: safeLinks(head.links),
+  };
+}
+
+/**
+ * Meta and link tags for resolved head settings (everything but lang).
+ * @param {Object} head - From resolveHeadSettings()
+ * @returns {string}
+ */
+export function renderHeadTags(head) {
+  const meta = (attr, key, content) =>
+    content
+      ? `<meta ${attr}="${key}" content="${escapeHtml(content)}">`
+      : null;
+  const links = head.links.map((link) => {
+    const attrs = [
+      `rel="${escapeHtml(link.rel)}"`,
+      `href="${escapeHtml(link.href)}"`,
+    ];
+    for (const name of LINK_ATTRS) {
+      if (link[name] === true || link[name] === "") attrs.push(name);
+      else if (typeof link[name] === "string") {
+        attrs.push(`${name}="${escapeHtml(link[name])}"`);
+      }
+    }
+    return `<link ${attrs.join(" ")}>`;
+  });
+
+  return [
+    meta("name", "viewport", head.viewport),
+    meta("name", "robots", head.robots),
+    meta("name", "description", head.description),
+    meta("property", "og:title", head.ogTitle),
+    meta("property", "og:description", head.description),
+    meta("property", "og:image", head.ogImage),
+    ...links,
+  ]
+    .filter(Boolean)
+    .join("\n                ");
+}
@@ -1,39 +1,22 @@
 // utils/html.mjs - HTML template utilities
 
-// Replace {{var}} outside <script>, and quote-empty inside <script>
-// Supports nested properties like {{client.name}}
-export function replaceHtmlVariables(htmlString, inputs) {
-  const scriptTagRanges = [];
-  const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-  let m;
-  while ((m = scriptRegex.exec(htmlString)) !== null) {
-    scriptTagRanges.push({ start: m.index, end: m.index + m[0].length });
-  }
-  const inScript = (i) =>
-    scriptTagRanges.some((r) => i >= r.start && i <= r.end);
+import { renderTemplate } from "../template/render.mjs";
+import { escapeHtml, toJsLiteral } from "../template/escape.mjs";
+import { resolveHeadSettings, renderHeadTags } from "./head.mjs";
+import { buildThemeCss } from "./theme.mjs";
 
-  // Helper function to get nested property value
-  const getNestedValue = (obj, path) => {
-    const keys = path.split(".");
-    let value = obj;
-    for (const key of keys) {
-      if (value && typeof value === "object" && key in value) {
-        value = value[key];
-      } else {
-        return undefined;
-      }
-    }
-    return value;
-  };
+// Escape text for safe insertion into HTML text and attribute values
+export { escapeHtml };
 
-  return htmlString
-    .replace(/{{(.*?)}}/g, (match, variable, offset) => {
-      if (variable === "postEvent") return match;
-      const varName = variable.trim();
-      const replacement = getNestedValue(inputs, varName);
-      return inScript(offset) ? replacement ?? '""' : replacement ?? "";
-    })
-    .replace(/"{4}/g, '""');
+// Render the template language (see template/parse.mjs): {{var}},
+// {{#if}}/{{#each}}/{{#with}} blocks and nested properties like
+// {{client.name}}. Values are escaped for where they appear unless
+// options.escaping is "legacy"; {{postEvent}} is left for
+// replaceHtmlWithEvent.
+export function replaceHtmlVariables(htmlString, inputs, options = {}) {
+  const html = renderTemplate(htmlString, inputs, options);
+  // Legacy: "{{missing}}" inside <script> rendered as """"
+  return options.escaping === "legacy" ? html.replace(/"{4}/g, '""') : html;
 }
 
 // Replace {{postEvent}} with JSON-safe content
@@ -47,7 +30,19 @@ export async function replaceHtmlWithEvent(htmlString, postEvent) {
   return htmlString.replace(/{{postEvent}}/g, safe);
 }
 
-// Build complete HTML document
+// Banner pinned to the top of template previews
+const PREVIEW_BANNER = `<div id="tgl-preview-banner" role="status" style="position:sticky;top:0;z-index:2147483647;padding:6px 12px;background:#b45309;color:#fff;font:600 13px/1.4 system-ui,sans-serif;text-align:center">Preview of unpublished template changes</div>`;
+
+const flashBanner = (message) =>
+  `<div id="tgl-flash" role="status" style="padding:12px 16px;background:#f0fdf4;color:#14532d;border-bottom:1px solid #bbf7d0;font:500 15px/1.4 system-ui,sans-serif;text-align:center">${escapeHtml(message)}</div>`;
+
+// Build complete HTML document, with the client theme variables
+// (utils/theme.mjs) ahead of the webhook CSS. head: settings from resolveHeadSettings()
+// (defaults when omitted); nonce: CSP nonce for the emitted <script> and
+// <style> (utils/csp.mjs); preview: add the preview banner and set
+// InstanceMeta.preview so page scripts can skip submitting; page: the named
+// page being shown, as InstanceMeta.page; flash: one-time notice shown above
+// the page (after a classic form post), also as InstanceMeta.flash.
 export function buildHtmlDocument({
   title,
   favicon,
@@ -58,24 +53,39 @@ export function buildHtmlDocument({
   client,
   values,
   postEvent,
+  head = resolveHeadSettings(),
+  nonce,
+  preview = false,
+  page = null,
+  flash = null,
 }) {
+  const nonceAttr = nonce ? ` nonce="${escapeHtml(nonce)}"` : "";
   const defaultFavicon =
     "https://static.wixstatic.com/media/262d77_e526592fe4ad489f8ca37e0bc2f8b53b%7Emv2.png/v1/fill/w_192%2Ch_192%2Clg_1%2Cusm_0.66_1.00_0.01/262d77_e526592fe4ad489f8ca37e0bc2f8b53b%7Emv2.png";
 
   const instanceMeta =
     instanceId && webhookId
       ? `
-    <meta name="tgl-instance-id" content="${instanceId}">
-    <meta name="tgl-webhook-id" content="${webhookId}">
-    ${client ? `<meta name="tgl-client-id" content="${client.id}">` : ""}
-    <script>
-      // Create InstanceMeta object for easy access
+    <meta name="tgl-instance-id" content="${escapeHtml(instanceId)}">
+    <meta name="tgl-webhook-id" content="${escapeHtml(webhookId)}">
+    ${
+      client
+        ? `<meta name="tgl-client-id" content="${escapeHtml(client.id)}">`
+        : ""
+    }
+    <script${nonceAttr}>
+      // Create InstanceMeta object for easy access. Every value is
+      // script-escaped: submitted data must not be able to end the element.
       var InstanceMeta = {
-        instanceId: ${JSON.stringify(instanceId)},
-        webhookId: ${JSON.stringify(webhookId)},
-        client: ${JSON.stringify(client || null)},
-        data: ${JSON.stringify(values || null)},
-        lastEvent: ${JSON.stringify(postEvent || null)},
+        instanceId: ${toJsLiteral(instanceId)},
+        webhookId: ${toJsLiteral(webhookId)},
+        client: ${toJsLiteral(client || null)},
+        data: ${toJsLiteral(values || null)},
+        lastEvent: ${toJsLiteral(postEvent || null)},${
+          page ? `\n        page: ${toJsLiteral(page)},` : ""
+        }${preview ? "\n        preview: true," : ""}${
+          flash ? `\n        flash: ${toJsLiteral(flash)},` : ""
+        }
       };
       
       // Make InstanceMeta properties directly accessible
@@ -87,16 +97,20 @@ export function buildHtmlDocument({
       : "";
 
   return `<!DOCTYPE html>
-              <html>
+              <html lang="${escapeHtml(head.lang)}">
               <head>
                 <meta charset="UTF-8">
-                <title>${title}</title>
-                <link rel="icon" href=${
+                <title>${escapeHtml(title)}</title>
+                ${renderHeadTags(head)}
+                <link rel="icon" href="${escapeHtml(
                   favicon || defaultFavicon
-                } sizes="32x32">
+                )}" sizes="32x32">
                 ${instanceMeta}
-                <style>${cssString}</style>
+                <style${nonceAttr} id="tgl-theme">${buildThemeCss(client)}</style>
+                <style${nonceAttr}>${cssString}</style>
               </head>
-              <body>${htmlString}</body>
+              <body>${preview ? PREVIEW_BANNER : ""}${
+                flash ? flashBanner(flash) : ""
+              }${htmlString}</body>
               </html>`;
 }
@@ -0,0 +1,82 @@
+// utils/locale.mjs - Pick a page language
+//
+// Candidates come, in order of preference, from the ?lang= query parameter,
+// the instance's "locale" input and the Accept-Language header. The first
+// candidate that matches an available locale wins: exactly, or by language
+// ("es-MX" matches "es", "es" matches "es-MX").
+
+export const LOCALE_QUERY_PARAM = "lang";
+
+function canonical(tag) {
+  try {
+    return Intl.getCanonicalLocales(String(tag).trim())[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+const language = (tag) => tag.split("-")[0].toLowerCase();
+
+/**
+ * Language tags from an Accept-Language header, most preferred first.
+ * @param {string} [header] - e.g. "fr-CA,fr;q=0.9,en;q=0.5"
+ * @returns {string[]}
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return String(header)
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((p) => /^\s*q=([\d.]+)\s*$/.exec(p))
+        .find(Boolean);
+      return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Requested locales for a request, most preferred first.
+ * @param {Object} event - Normalized request event
+ * @param {Object} [inputs] - Instance inputs (their "locale" field)
+ * @returns {string[]}
+ */
+export function requestedLocales(event, inputs = {}) {
+  const headers = event?.headers || {};
+  return [
+    event?.queryStringParameters?.[LOCALE_QUERY_PARAM],
+    typeof inputs?.locale === "string" ? inputs.locale : null,
+    ...parseAcceptLanguage(
+      headers["accept-language"] || headers["Accept-Language"]
+    ),
+  ].filter(Boolean);
+}
+
+/**
+ * The available locale that best serves the candidates.
+ * @param {string[]} candidates - Most preferred first
+ * @param {string[]} available - Locales the page exists in
+ * @param {string|null} fallback - Used when nothing matches
+ * @returns {string|null} One of `available`, or `fallback`
+ */
+export function negotiateLocale(candidates, available, fallback) {
+  const options = available
+    .map((tag) => ({ tag, canonical: canonical(tag) }))
+    .filter((option) => option.canonical);
+  for (const candidate of candidates) {
+    const wanted = canonical(candidate);
+    if (!wanted) continue;
+    const exact = options.find(
+      (o) => o.canonical.toLowerCase() === wanted.toLowerCase()
+    );
+    if (exact) return exact.tag;
+    const base =
+      options.find((o) => o.canonical.toLowerCase() === language(wanted)) ||
+      options.find((o) => language(o.canonical) === language(wanted));
+    if (base) return base.tag;
+  }
+  return fallback;
+}
@@ -0,0 +1,103 @@
+// utils/logger.mjs - Structured JSON logging with request correlation
+//
+// One JSON object per line: { timestamp, level, message, requestId, route,
+// instanceId, webhookId, clientId, ...fields }. Request-scoped fields are
+// carried through async calls with AsyncLocalStorage, so services and auth
+// code only pass what is specific to the log line.
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Keys whose values are never written to logs
+const REDACT_KEY =
+  /pass(word)?|secret|token|cookie|authorization|authkey|signature|session/i;
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+
+function configuredLevel() {
+  const level = (process.env.LOG_LEVEL || "info").toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    statusCode: err.statusCode,
+    stack: err.stack,
+    cause: err.cause instanceof Error ? err.cause.message : undefined,
+  };
+}
+
+/**
+ * Deep-copy a value with sensitive keys replaced by "[REDACTED]".
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = REDACT_KEY.test(key) ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < configuredLevel()) return;
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...storage.getStore(),
+    ...redact(fields),
+  };
+  const line = JSON.stringify(entry);
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * Run fn with request-scoped log fields (e.g. requestId, route).
+ * @param {Object} context - Fields added to every log line inside fn
+ * @param {Function} fn
+ */
+export function runWithLogContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Add fields to the current request's log context, e.g. once the instance
+ * is resolved: addLogContext({ instanceId, webhookId, clientId }).
+ * No-op outside runWithLogContext.
+ */
+export function addLogContext(fields) {
+  const store = storage.getStore();
+  if (!store) return;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) store[key] = value;
+  }
+}
+
+// Current request's log context (empty outside runWithLogContext)
+export function getLogContext() {
+  return { ...storage.getStore() };
+}
@@ -0,0 +1,123 @@
+// utils/metrics.mjs - Operational metrics in CloudWatch Embedded Metric Format
+//
+// Each metric is written to stdout as one EMF JSON record, which CloudWatch
+// Logs turns into a metric under METRICS_NAMESPACE. Every record carries the
+// Stage dimension, plus Webhook once the request has resolved its webhook
+// (taken from the log context), plus any extra dimensions passed by the caller.
+//
+// METRICS_MODE:
+// - "emf":  write records to stdout (default on Lambda)
+// - "noop": keep the last records in memory only (default for local runs and
+//           tests; read them back with getRecordedMetrics())
+
+import { getLogContext } from "./logger.mjs";
+
+const DEFAULT_NAMESPACE = "ToolboxWebhookServer";
+const MAX_RECORDED = 1000;
+
+let recorded = [];
+
+function configuredMode() {
+  if (process.env.METRICS_MODE) return process.env.METRICS_MODE.toLowerCase();
+  const local =
+    process.env.STORAGE_DRIVER === "local" || process.env.IS_OFFLINE === "true";
+  return local ? "noop" : "emf";
+}
+
+function baseDimensions() {
+  const { webhookId } = getLogContext();
+  const dimensions = { Stage: process.env.STAGE || "dev" };
+  if (webhookId) dimensions.Webhook = String(webhookId);
+  return dimensions;
+}
+
+function emit(name, value, unit, extraDimensions = {}) {
+  const dimensions = { ...baseDimensions(), ...extraDimensions };
+  const mode = configuredMode();
+
+  if (mode === "noop") {
+    recorded.push({ name, value, unit, dimensions });
+    if (recorded.length > MAX_RECORDED) recorded.shift();
+    return;
+  }
+  if (mode !== "emf") return;
+
+  // Publish per webhook and as a stage-wide rollup
+  const keys = Object.keys(dimensions);
+  const dimensionSets = [keys];
+  if (dimensions.Webhook) dimensionSets.push(keys.filter((k) => k !== "Webhook"));
+
+  const { requestId } = getLogContext();
+  const record = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [
+        {
+          Namespace: process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+          Dimensions: dimensionSets,
+          Metrics: [{ Name: name, Unit: unit }],
+        },
+      ],
+    },
+    ...dimensions,
+    requestId,
+    [name]: value,
+  };
+  process.stdout.write(JSON.stringify(record) + "\n");
+}
+
+export const metrics = {
+  /**
+   * Count one occurrence (or `value` occurrences) of an event.
+   * @param {string} name - e.g. "PageView"
+   * @param {Object} [dimensions] - Extra dimensions, e.g. { AuthType: "password" }
+   * @param {number} [value=1]
+   */
+  count(name, dimensions, value = 1) {
+    emit(name, value, "Count", dimensions);
+  },
+
+  /**
+   * Record a duration in milliseconds.
+   * @param {string} name - e.g. "DependencyLatency"
+   * @param {number} ms
+   * @param {Object} [dimensions]
+   */
+  timing(name, ms, dimensions) {
+    emit(name, ms, "Milliseconds", dimensions);
+  },
+
+  /**
+   * Time an async call as DependencyLatency; failures are still recorded.
+   * @param {string} dependency - "DynamoDB" | "S3" | "SecretsManager" | ...
+   * @param {Function} fn - Async call to time
+   */
+  async time(dependency, fn) {
+    const startedAt = Date.now();
+    try {
+      return await fn();
+    } finally {
+      emit("DependencyLatency", Date.now() - startedAt, "Milliseconds", {
+        Dependency: dependency,
+      });
+    }
+  },
+};
+
+/**
+ * Record an authentication outcome.
+ * @param {string} authType - "password" | "token" | "cognito" | "api"
+ * @param {boolean} ok
+ */
+export function recordAuthOutcome(authType, ok) {
+  metrics.count(ok ? "AuthSuccess" : "AuthFailure", { AuthType: authType });
+}
+
+// Metrics kept in "noop" mode, oldest first: [{ name, value, unit, dimensions }]
+export function getRecordedMetrics() {
+  return recorded.slice();
+}
+
+export function clearRecordedMetrics() {
+  recorded = [];
+}
@@ -0,0 +1,263 @@
+// utils/multipart.mjs - Streaming multipart/form-data parser
+//
+// Works on raw bytes: chunks are fed to write() and each part's content is
+// collected as Buffers, so binary files pass through untouched. The boundary
+// comes from the Content-Type header, never from the body. Limits are
+// checked as bytes arrive, before a part is complete.
+
+import { BadRequestError, PayloadTooLargeError } from "./errors.mjs";
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+const MAX_HEADER_BYTES = 16 * 1024;
+// Text fields holding a base64 image are files (utils/parser.mjs); they are
+// held to the per-file limit there, once decoded, not to maxFieldBytes
+const IMAGE_DATA_URL = /^data:image\/[\w.+-]+;base64,/i;
+
+/**
+ * The boundary parameter of a multipart Content-Type header.
+ * @param {string} contentType
+ * @returns {string|null} null when the header is not multipart/form-data
+ * @throws {BadRequestError} multipart/form-data without a usable boundary
+ */
+export function multipartBoundary(contentType) {
+  const [type, ...params] = splitParams(String(contentType || ""));
+  if (type.toLowerCase() !== "multipart/form-data") return null;
+  const param = params.find(([key]) => key === "boundary");
+  const boundary = param ? param[1] : "";
+  // RFC 2046: 1-70 characters, not ending in a space
+  if (!/^[\x20-\x7e]{1,70}$/.test(boundary) || boundary.endsWith(" ")) {
+    throw new BadRequestError("Multipart body without a valid boundary");
+  }
+  return boundary;
+}
+
+// "type; a=1; b=\"x; y\"" -> ["type", ["a", "1"], ["b", "x; y"]], with
+// parameter names lowercased and quoted values unescaped
+function splitParams(value) {
+  const semi = value.indexOf(";");
+  const head = (semi === -1 ? value : value.slice(0, semi)).trim();
+  const params = [];
+  const pattern = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/gs;
+  for (const match of value.matchAll(pattern)) {
+    const quoted = match[2] !== undefined;
+    params.push([
+      match[1].toLowerCase(),
+      quoted ? match[2].replace(/\\(.)/gs, "$1") : match[3].trim(),
+    ]);
+  }
+  return [head, ...params];
+}
+
+// RFC 5987 ext-value: charset'language'percent-encoded
+function decodeExtValue(value) {
+  const match = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/s.exec(value);
+  if (!match) return null;
+  const charset = match[1].toLowerCase();
+  try {
+    if (charset === "utf-8") return decodeURIComponent(match[2]);
+    if (charset === "iso-8859-1") {
+      return match[2].replace(/%([0-9a-f]{2})/gi, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      );
+    }
+  } catch {
+    // Malformed percent-encoding: fall back to the plain filename
+  }
+  return null;
+}
+
+// Only the last path segment of a filename, without control characters
+export function baseName(filename) {
+  return filename
+    .replace(/[\x00-\x1f\x7f]/g, "")
+    .split(/[/\\]/)
+    .pop()
+    .trim();
+}
+
+// A part's headers: { name, filename?, contentType }
+function parsePartHeaders(block) {
+  const headers = {};
+  for (const line of block.toString("utf8").split("\r\n")) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    headers[line.slice(0, colon).trim().toLowerCase()] = line
+      .slice(colon + 1)
+      .trim();
+  }
+  const [disposition, ...params] = splitParams(
+    headers["content-disposition"] || ""
+  );
+  if (disposition.toLowerCase() !== "form-data") {
+    throw new BadRequestError("Multipart part is not form-data");
+  }
+  const param = Object.fromEntries(params);
+  let filename;
+  if (param["filename*"] !== undefined) {
+    filename = decodeExtValue(param["filename*"]) ?? param.filename;
+  } else {
+    filename = param.filename;
+  }
+  return {
+    name: param.name,
+    filename: filename === undefined ? undefined : baseName(filename),
+    contentType: headers["content-type"] || "text/plain",
+  };
+}
+
+// Decided once, from the field's first bytes, when it passes the field limit
+function isImageDataUrl(part, bytes) {
+  part.imageDataUrl ??= IMAGE_DATA_URL.test(
+    Buffer.concat([...part.chunks, bytes]).subarray(0, 128).toString("latin1")
+  );
+  return part.imageDataUrl;
+}
+
+const megabytes = (bytes) => `${Math.round((bytes / 1048576) * 10) / 10} MB`;
+
+/**
+ * An incremental multipart/form-data parser.
+ * @param {Object} options
+ * @param {string} options.boundary - From multipartBoundary()
+ * @param {Object} [options.limits]
+ * @param {number} [options.limits.maxBodyBytes] - Whole body
+ * @param {number} [options.limits.maxFileBytes] - Each file
+ * @param {number} [options.limits.maxFieldBytes] - Each text field, except
+ *   base64 image data URLs, which only the body limit bounds here
+ * @param {number} [options.limits.maxParts] - Number of parts
+ * @returns {{ write: (chunk: Buffer) => void, end: () => Array<{
+ *   name: string, filename?: string, contentType: string,
+ *   content: Buffer }> }} end() returns the parts in body order
+ * @throws {BadRequestError} Malformed bodies
+ * @throws {PayloadTooLargeError} Bodies over a limit
+ */
+export function createMultipartParser({ boundary, limits = {} }) {
+  const {
+    maxBodyBytes = Infinity,
+    maxFileBytes = Infinity,
+    maxFieldBytes = Infinity,
+    maxParts = Infinity,
+  } = limits;
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const parts = [];
+  let state = "preamble";
+  let received = 0;
+  let part = null;
+  // The body's first boundary has no CRLF before it; start with one so every
+  // delimiter looks the same
+  let pending = CRLF;
+
+  function append(bytes) {
+    if (!bytes.length) return;
+    part.size += bytes.length;
+    const isFile = part.filename !== undefined;
+    if (isFile && part.size > maxFileBytes) {
+      throw new PayloadTooLargeError(
+        `File "${part.filename}" is larger than ${megabytes(maxFileBytes)}`
+      );
+    }
+    if (!isFile && part.size > maxFieldBytes && !isImageDataUrl(part, bytes)) {
+      throw new PayloadTooLargeError(
+        `Field "${part.name}" is larger than ${megabytes(maxFieldBytes)}`
+      );
+    }
+    part.chunks.push(bytes);
+  }
+
+  // Consume as much of `pending` as the current state allows; false when
+  // more bytes are needed
+  function step() {
+    switch (state) {
+      case "preamble":
+      case "body": {
+        const at = pending.indexOf(delimiter);
+        if (at === -1) {
+          // Keep a tail that could be the start of a delimiter
+          const safe = Math.max(0, pending.length - delimiter.length + 1);
+          if (state === "body") append(pending.subarray(0, safe));
+          pending = pending.subarray(safe);
+          return false;
+        }
+        if (state === "body") {
+          append(pending.subarray(0, at));
+          const { chunks, size, imageDataUrl, ...fields } = part;
+          parts.push({ ...fields, content: Buffer.concat(chunks, size) });
+          part = null;
+        }
+        pending = pending.subarray(at + delimiter.length);
+        state = "boundary";
+        return true;
+      }
+      case "boundary": {
+        if (pending.length < 2) return false;
+        if (pending[0] === 0x2d && pending[1] === 0x2d) {
+          state = "done";
+          return false;
+        }
+        // Transport padding may follow the boundary before its CRLF
+        const eol = pending.indexOf(CRLF);
+        if (eol === -1) {
+          if (pending.length > MAX_HEADER_BYTES) {
+            throw new BadRequestError("Malformed multipart boundary line");
+          }
+          return false;
+        }
+        if (!/^[ \t]*$/.test(pending.subarray(0, eol).toString("latin1"))) {
+          throw new BadRequestError("Malformed multipart boundary line");
+        }
+        pending = pending.subarray(eol + CRLF.length);
+        state = "headers";
+        return true;
+      }
+      case "headers": {
+        if (pending.length < 2) return false;
+        // A part without headers starts straight with the blank line
+        const bare = pending[0] === 0x0d && pending[1] === 0x0a;
+        const end = bare ? 0 : pending.indexOf(HEADER_END);
+        if (end === -1 && pending.length <= MAX_HEADER_BYTES) return false;
+        if (end === -1 || end > MAX_HEADER_BYTES) {
+          throw new BadRequestError("Multipart part headers are too long");
+        }
+        if (parts.length >= maxParts) {
+          throw new PayloadTooLargeError(
+            `Too many form fields (at most ${maxParts})`
+          );
+        }
+        part = {
+          ...parsePartHeaders(pending.subarray(0, end)),
+          chunks: [],
+          size: 0,
+        };
+        pending = pending.subarray(end + (bare ? CRLF : HEADER_END).length);
+        state = "body";
+        return true;
+      }
+      default:
+        // Epilogue after the closing boundary is ignored
+        pending = Buffer.alloc(0);
+        return false;
+    }
+  }
+
+  return {
+    write(chunk) {
+      received += chunk.length;
+      if (received > maxBodyBytes) {
+        throw new PayloadTooLargeError(
+          `Request body is larger than ${megabytes(maxBodyBytes)}`
+        );
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (step());
+    },
+    end() {
+      if (state !== "done") {
+        throw new BadRequestError(
+          "Multipart body ends before its last boundary"
+        );
+      }
+      return parts;
+    },
+  };
+}
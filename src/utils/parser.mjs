@@ -1,49 +1,191 @@
 // utils/parser.mjs - Form data parsing utilities
 
-// Parse multipart or JSON body
-export function parseFormData(body) {
-  if (!body.includes("Content-Disposition")) return JSON.parse(body);
-
-  const boundary = body.slice(0, body.indexOf("\r\n"));
-  const parts = body
-    .split(boundary)
-    .filter((p) => p.trim() !== "" && p.trim() !== "--");
+import { BadRequestError, PayloadTooLargeError } from "./errors.mjs";
+import {
+  multipartBoundary,
+  createMultipartParser,
+  baseName,
+} from "./multipart.mjs";
+import { UPLOAD_LIMITS } from "../config/aws.mjs";
+
+const DEFAULT_LIMITS = {
+  maxBodyBytes: UPLOAD_LIMITS.MAX_BODY_BYTES,
+  maxFileBytes: UPLOAD_LIMITS.MAX_FILE_BYTES,
+  maxFieldBytes: UPLOAD_LIMITS.MAX_FIELD_BYTES,
+  maxParts: UPLOAD_LIMITS.MAX_PARTS,
+};
+
+// Extensions image data URLs are saved under; other image types keep their
+// subtype, as in V1
+const DATA_URL_IMAGE_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/svg+xml": "svg",
+};
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Parse a JSON body; malformed JSON is a 400
+export function parseJsonBody(body) {
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new BadRequestError("Invalid JSON body", { cause: e });
+  }
+}
+
+/**
+ * The request body as bytes. normalizeEvent keeps HTTP API bodies as
+ * `rawBody`; REST API bodies may still be base64-encoded.
+ * @param {Object} event - Normalized Lambda event
+ * @returns {Buffer}
+ */
+export function requestBodyBytes(event) {
+  if (Buffer.isBuffer(event?.rawBody)) return event.rawBody;
+  const body = event?.body ?? "";
+  return Buffer.from(body, event?.isBase64Encoded ? "base64" : "utf8");
+}
+
+// Repeated names collect into an array; `files` is reserved for uploads
+function addField(parsed, name, value) {
+  if (name === "files" || name === "__proto__") return;
+  if (!Object.hasOwn(parsed, name)) parsed[name] = value;
+  else if (Array.isArray(parsed[name])) parsed[name].push(value);
+  else parsed[name] = [parsed[name], value];
+}
+
+/**
+ * A text field holding a base64 image data URL (kept from V1), as a file like
+ * a real file part: the same per-file limit applies and the filename is
+ * cleaned the same way. Other values stay text.
+ * @returns {Object|null} { field, filename, contentType, content }
+ * @throws {BadRequestError} Data URLs whose base64 is malformed
+ * @throws {PayloadTooLargeError} Images over limits.maxFileBytes
+ */
+function dataUrlFile(name, value, limits) {
+  const match = DATA_URL_PATTERN.exec(value);
+  if (!match) return null;
+  const contentType = match[1].toLowerCase();
+  const extension =
+    DATA_URL_IMAGE_TYPES[contentType] ??
+    (contentType.slice("image/".length).replace(/[^a-z0-9]/g, "") || "bin");
+
+  const base64 = value.slice(match[0].length).replace(/\s+/g, "");
+  if (base64.length % 4 === 1 || !BASE64_PATTERN.test(base64)) {
+    throw new BadRequestError(`Field "${name}" holds a malformed data URL`);
+  }
+  const filename = `${baseName(name) || "file"}.${extension}`;
+  const content = Buffer.from(base64, "base64");
+  if (content.length > limits.maxFileBytes) {
+    throw new PayloadTooLargeError(`File "${filename}" is too large`);
+  }
+  return { field: name, filename, contentType, content };
+}
+
+// Classic form posts: name=value&name=value
+function parseUrlEncoded(bytes, limits) {
+  if (bytes.length > limits.maxBodyBytes) {
+    throw new PayloadTooLargeError("Request body is too large");
+  }
   const parsed = { files: [] };
+  let count = 0;
+  for (const [name, value] of new URLSearchParams(bytes.toString("utf8"))) {
+    if (++count > limits.maxParts) {
+      throw new PayloadTooLargeError(
+        `Too many form fields (at most ${limits.maxParts})`
+      );
+    }
+    if (
+      Buffer.byteLength(value) > limits.maxFieldBytes &&
+      !DATA_URL_PATTERN.test(value)
+    ) {
+      throw new PayloadTooLargeError(`Field "${name}" is too large`);
+    }
+    if (!name) continue;
+    const file = dataUrlFile(name, value, limits);
+    if (file) parsed.files.push(file);
+    else addField(parsed, name, value);
+  }
+  return parsed;
+}
 
-  parts.forEach((part) => {
-    const [header, value] = part.split("\r\n\r\n");
-    const nameMatch = header?.match(/name="([^"]+)"/);
-    if (!nameMatch) return;
-    const name = nameMatch[1];
-    if (header.includes("filename")) {
-      const contentType = header.match(/Content-Type: ([^;]+)/)[1];
-      let content = value.trim().replace(/\r\n$/, "");
-      if (content.startsWith("data:") && content.includes("base64,")) {
-        content = Buffer.from(content.split("base64,")[1], "base64");
-      } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
-        content = Buffer.from(content, "base64");
-      } else {
-        content = Buffer.from(content, "binary");
-      }
+// V1 clients may post multipart bodies without a boundary in Content-Type
+// (or without the header at all); like V1, take the boundary from the body's
+// first line when the body has part headers
+function bodyBoundary(bytes) {
+  const eol = bytes.indexOf("\r\n");
+  if (eol < 3 || bytes[0] !== 0x2d || bytes[1] !== 0x2d) return null;
+  if (!bytes.includes("Content-Disposition")) return null;
+  const line = bytes.toString("latin1", 2, eol).replace(/["\\]/g, "\\$&");
+  try {
+    return multipartBoundary(`multipart/form-data; boundary="${line}"`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a multipart, urlencoded (by their Content-Type) or JSON body. A body
+ * that starts with a boundary line and has part headers is multipart even
+ * without a boundary in Content-Type (bodyBoundary()).
+ * Form fields come back as { name: value }, with an array for a repeated
+ * name, and multipart uploads as files: [{ field, filename, contentType,
+ * content }]. A text field holding an image data URL is stored as a file too,
+ * within the per-file rather than the field limit (dataUrlFile()).
+ * @param {Buffer|string} body - Raw body (requestBodyBytes())
+ * @param {string} [contentType] - Content-Type request header
+ * @param {Object} [limits] - createMultipartParser() limits; UPLOAD_LIMITS
+ *   by default
+ * @returns {Object}
+ * @throws {BadRequestError} Malformed bodies
+ * @throws {PayloadTooLargeError} Bodies, files or fields over the limits
+ */
+export function parseFormData(body, contentType, limits = DEFAULT_LIMITS) {
+  const bytes = Buffer.isBuffer(body) ? body : Buffer.from(body ?? "", "utf8");
+  limits = { ...DEFAULT_LIMITS, ...limits };
+  const mediaType = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (mediaType === "application/x-www-form-urlencoded") {
+    return parseUrlEncoded(bytes, limits);
+  }
+  let boundary;
+  try {
+    boundary = multipartBoundary(contentType) ?? bodyBoundary(bytes);
+  } catch (e) {
+    boundary = bodyBoundary(bytes);
+    if (!boundary) throw e;
+  }
+  if (!boundary) return parseJsonBody(bytes.toString("utf8"));
+
+  const parser = createMultipartParser({ boundary, limits });
+  parser.write(bytes);
+  const parsed = { files: [] };
+
+  for (const part of parser.end()) {
+    const { name, filename, contentType: type, content } = part;
+    if (!name) continue;
+    if (filename !== undefined) {
+      // A file input left empty is sent with no filename and no content
+      if (!filename && !content.length) continue;
       parsed.files.push({
-        filename: header.match(/filename="([^"]+)"/)[1],
-        contentType,
+        field: name,
+        filename: filename || name,
+        contentType: type,
         content,
       });
-    } else {
-      const cleaned = value.trim().replace(/\r\n$/, "");
-      if (cleaned.startsWith("data:image/") && cleaned.includes("base64,")) {
-        const contentType = cleaned.match(/data:([^;]+);base64,/)[1];
-        const base64Content = cleaned.split("base64,")[1];
-        const bufferContent = Buffer.from(base64Content, "base64");
-        const extension = contentType.split("/")[1];
-        const filename = `${name}.${extension}`;
-        parsed.files.push({ filename, contentType, content: bufferContent });
-      } else {
-        parsed[name] = cleaned;
-      }
+      continue;
     }
-  });
+
+    const value = content.toString("utf8");
+    const file = dataUrlFile(name, value, limits);
+    if (file) parsed.files.push(file);
+    else addField(parsed, name, value);
+  }
 
   return parsed;
 }
@@ -0,0 +1,94 @@
+// utils/router.mjs - Declarative method + path routing
+
+// Compile a path pattern like "/instance/:id/auth" into a matcher.
+// Named params match exactly one path segment and are URL-decoded; a final
+// ":name*" matches the rest of the path (one or more segments).
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":") && segment.endsWith("*")) {
+        keys.push(segment.slice(1, -1));
+        return "(.+)";
+      }
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Strip trailing slashes so "/instance/abc/" matches "/instance/abc"
+function normalizePath(path) {
+  const p = (path || "/").replace(/\/+$/, "");
+  return p || "/";
+}
+
+/**
+ * Build a router from a route table.
+ * Routes are tried in order, so list literal segments before params
+ * (e.g. "/instance/:id/auth" before "/instance/:webhookId/:externalId").
+ *
+ * @param {Array<{ method: string, path: string, handler: Function }>} routes
+ * @returns {{ match: Function }}
+ */
+export function createRouter(routes) {
+  const compiled = routes.map((route) => ({
+    ...route,
+    method: route.method.toUpperCase(),
+    ...compilePath(route.path),
+  }));
+
+  /**
+   * Find the route for a request.
+   * HEAD falls back to the GET route when no explicit HEAD route exists.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object} { route?, params?, allowed: string[] }
+   *   - route set: dispatch to route.handler(event, params)
+   *   - no route, allowed non-empty: path exists, method not allowed (405)
+   *   - no route, allowed empty: unknown path (404)
+   */
+  function match(method, path) {
+    const wanted = (method || "").toUpperCase();
+    const normalized = normalizePath(path);
+    const allowed = new Set();
+    let found = null;
+
+    for (const route of compiled) {
+      const m = route.regex.exec(normalized);
+      if (!m) continue;
+
+      allowed.add(route.method);
+      if (route.method === "GET") allowed.add("HEAD");
+
+      const methodMatches =
+        route.method === wanted || (wanted === "HEAD" && route.method === "GET");
+      if (!found && methodMatches) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeSegment(m[i + 1]);
+        });
+        found = { route, params };
+      }
+    }
+
+    if (allowed.size > 0) allowed.add("OPTIONS");
+    return { ...found, allowed: [...allowed] };
+  }
+
+  return { match };
+}
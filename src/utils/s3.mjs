@@ -1,25 +1,28 @@
-// utils/s3.mjs - S3 file operations
+// utils/s3.mjs - S3 file operations (via the configured blob repository)
 
-import { PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import { s3Client, S3_CONFIG } from "../config/aws.mjs";
+import { getRepositories } from "../repositories/index.mjs";
 
 export async function uploadFileToS3(bucket, key, file) {
-  await s3Client.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      Body: file.content,
-      ContentType: file.contentType,
-    })
-  );
+  await getRepositories().blobs.put(bucket, key, file.content, file.contentType);
 }
 
 export async function generatePresignedUrl(bucket, key, expiresIn = null) {
-  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-  return await getSignedUrl(s3Client, command, {
-    expiresIn: expiresIn || S3_CONFIG.PRESIGNED_URL_EXPIRY,
-  });
+  return await getRepositories().blobs.getDownloadUrl(
+    bucket,
+    key,
+    expiresIn || undefined
+  );
+}
+
+/**
+ * Generate a presigned PUT URL for a direct browser upload
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @param {Object} options - { contentType, metadata, expiresIn }
+ * @returns {Promise<string>} Presigned upload URL
+ */
+export async function generatePresignedUploadUrl(bucket, key, options) {
+  return await getRepositories().blobs.getUploadUrl(bucket, key, options);
 }
 
 export async function getSignedUrlsForFiles(files) {
@@ -45,13 +48,16 @@ export async function getSignedUrlsForFiles(files) {
  * @throws {Error} If file cannot be read
  */
 export async function readTextFileFromS3(bucket, key) {
-  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-  const response = await s3Client.send(command);
-  
-  // Convert stream to string
-  const chunks = [];
-  for await (const chunk of response.Body) {
-    chunks.push(chunk);
-  }
-  return Buffer.concat(chunks).toString("utf-8");
+  return await getRepositories().blobs.getText(bucket, key);
+}
+
+/**
+ * Read a file from S3 as raw bytes
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} If file cannot be read
+ */
+export async function readFileFromS3(bucket, key) {
+  return await getRepositories().blobs.getBytes(bucket, key);
 }
@@ -0,0 +1,122 @@
+// utils/theme.mjs - Client branding as CSS custom properties
+//
+// buildThemeCss() turns a client's branding fields into
+//   --tgl-primary / --tgl-secondary           brand colors
+//   --tgl-primary-text / --tgl-secondary-text  readable text on them
+//   --tgl-primary-hover / --tgl-secondary-hover
+//   --tgl-primary-ring                        translucent focus ring
+//   --tgl-logo-url                            url(...) or none
+//   --tgl-logo-display                        block, or none without a logo
+// Instance pages get it ahead of the webhook CSS; the gate pages in
+// src/pages use the same variables.
+
+// Toolbox defaults (the accent the gate pages shipped with)
+const DEFAULT_PRIMARY = "#ffb500";
+const DEFAULT_SECONDARY = "#2f3a46";
+const DARK_TEXT = "#14181c";
+const LIGHT_TEXT = "#ffffff";
+
+/**
+ * Parse #rgb, #rrggbb or rgb(r, g, b) into [r, g, b]; null otherwise.
+ * @param {unknown} value
+ * @returns {number[]|null}
+ */
+export function parseColor(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  let m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+  if (m) {
+    const hex =
+      m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  }
+  m = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/.exec(text);
+  if (m) {
+    const rgb = m.slice(1).map(Number);
+    return rgb.every((c) => c <= 255) ? rgb : null;
+  }
+  return null;
+}
+
+const toHex = (rgb) =>
+  "#" + rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("");
+
+// WCAG relative luminance
+function luminance(rgb) {
+  const [r, g, b] = rgb.map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * Dark or light text, whichever reads better on the color.
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export function contrastText(rgb) {
+  return contrastRatio(rgb, parseColor(DARK_TEXT)) >=
+    contrastRatio(rgb, parseColor(LIGHT_TEXT))
+    ? DARK_TEXT
+    : LIGHT_TEXT;
+}
+
+// Hover shade: darker for light/mid colors, lighter for very dark ones
+function hoverShade(rgb) {
+  const [target, amount] = luminance(rgb) < 0.05 ? [255, 0.18] : [0, 0.12];
+  return rgb.map((c) => c + (target - c) * amount);
+}
+
+// A URL as a quoted CSS string that cannot end the string or the <style>
+function cssUrl(url) {
+  return `url("${String(url).replace(
+    /["\\\n\r<>]/g,
+    (c) => `\\${c.charCodeAt(0).toString(16)} `
+  )}")`;
+}
+
+/**
+ * The :root rule with the client's theme variables.
+ * @param {Object|null} client - From loadClient()
+ * @returns {string}
+ */
+export function buildThemeCss(client) {
+  const vars = {};
+  for (const [name, value, fallback] of [
+    ["primary", client?.primaryColor, DEFAULT_PRIMARY],
+    ["secondary", client?.secondaryColor, DEFAULT_SECONDARY],
+  ]) {
+    const rgb = parseColor(value) || parseColor(fallback);
+    vars[`--tgl-${name}`] = toHex(rgb);
+    vars[`--tgl-${name}-text`] = contrastText(rgb);
+    vars[`--tgl-${name}-hover`] = toHex(hoverShade(rgb));
+    if (name === "primary") {
+      vars["--tgl-primary-ring"] = `rgba(${rgb.join(", ")}, 0.25)`;
+    }
+  }
+  vars["--tgl-logo-url"] = client?.logoUrl ? cssUrl(client.logoUrl) : "none";
+  vars["--tgl-logo-display"] = client?.logoUrl ? "block" : "none";
+
+  const body = Object.entries(vars)
+    .map(([name, value]) => `${name}: ${value};`)
+    .join(" ");
+  return `:root { ${body} }`;
+}
+
+/**
+ * Add the client theme to a standalone page (the gate pages), ahead of the
+ * page's own styles so they can use the variables.
+ * @param {string} html
+ * @param {Object|null} client
+ * @returns {string}
+ */
+export function withClientTheme(html, client) {
+  const style = `<style id="tgl-theme">${buildThemeCss(client)}</style>`;
+  const at = html.search(/<style\b|<\/head>/i);
+  return at === -1 ? style + html : html.slice(0, at) + style + html.slice(at);
+}
@@ -0,0 +1,190 @@
+// test/cache.test.mjs - Warm-container caches and ETag revalidation
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { clearAllCaches } from "../src/utils/cache.mjs";
+import { getRecordedMetrics } from "../src/utils/metrics.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld, passwordSessionCookie } from "./support/world.mjs";
+
+const WEBPAGES =
+  "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const get = (id = IDS.publicInstance, headers = {}) =>
+  handler(
+    httpApiEvent({
+      path: `/instance/${id}`,
+      headers: { Accept: "text/html", ...headers },
+    })
+  );
+
+const counted = (name) =>
+  getRecordedMetrics().filter((m) => m.name === name).length;
+
+describe("warm caches", () => {
+  test("reuse webhooks and clients until cleared", async () => {
+    assert.match((await get()).body, /<title>Title wh-public<\/title>/);
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).title = "New";
+    world.repositories.tables.clients.get("client-1").name = "Renamed Co";
+
+    const cached = await get();
+    assert.match(cached.body, /<title>Title wh-public<\/title>/);
+    assert.match(cached.body, /<p>Acme Co<\/p>/);
+
+    clearAllCaches();
+    const fresh = await get();
+    assert.match(fresh.body, /<title>New<\/title>/);
+    assert.match(fresh.body, /<p>Renamed Co<\/p>/);
+  });
+
+  test("reuse published S3 template files", async () => {
+    const base = `${WEBPAGES}/${IDS.publicWebhook}`;
+    world.repositories.blobs.objects.set(
+      `${base}/index.html`,
+      Buffer.from("<h2>v1</h2>")
+    );
+    world.repositories.blobs.objects.set(`${base}/styles.css`, Buffer.from(""));
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).usesS3 = true;
+
+    assert.match((await get()).body, /<h2>v1<\/h2>/);
+    world.repositories.blobs.objects.set(
+      `${base}/index.html`,
+      Buffer.from("<h2>v2</h2>")
+    );
+    assert.match((await get()).body, /<h2>v1<\/h2>/);
+  });
+
+  test("reuse the published.json pointer, updated by publishing", async () => {
+    const base = `${WEBPAGES}/${IDS.publicWebhook}`;
+    const put = (key, text) =>
+      world.repositories.blobs.objects.set(`${base}/${key}`, Buffer.from(text));
+    put("v1/index.html", "<h2>v1</h2>");
+    put("v2/index.html", "<h2>v2</h2>");
+    put("published.json", JSON.stringify({ version: 1 }));
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).usesS3 = true;
+
+    const blobs = world.repositories.blobs;
+    const getText = blobs.getText.bind(blobs);
+    let pointerReads = 0;
+    blobs.getText = async (bucket, key) => {
+      if (key.endsWith("/published.json")) pointerReads++;
+      return await getText(bucket, key);
+    };
+
+    for (let i = 0; i < 3; i++) {
+      assert.match((await get()).body, /<h2>v1<\/h2>/);
+    }
+    assert.equal(pointerReads, 1);
+
+    put("published.json", JSON.stringify({ version: 2 }));
+    assert.match((await get()).body, /<h2>v1<\/h2>/);
+    clearAllCaches();
+    assert.match((await get()).body, /<h2>v2<\/h2>/);
+  });
+
+  test("query the latest submission once per page view", async () => {
+    const webhook = world.repositories.tables.webhooks.get(IDS.publicWebhook);
+    webhook.pages = { thanks: { html: "<h2>Thanks</h2>" } };
+    webhook.submitPage = "thanks";
+    const events = world.repositories.events;
+    const latest = events.latestByInstance.bind(events);
+    let queries = 0;
+    events.latestByInstance = async (...args) => {
+      queries++;
+      return await latest(...args);
+    };
+
+    await get();
+    assert.equal(queries, 1);
+  });
+
+  test("read each client secret once", async () => {
+    const secrets = world.repositories.secrets;
+    const original = secrets.get.bind(secrets);
+    let reads = 0;
+    secrets.get = async (name) => {
+      reads++;
+      return await original(name);
+    };
+
+    const cookie = passwordSessionCookie(IDS.passwordInstance);
+    for (let i = 0; i < 3; i++) {
+      const res = await get(IDS.passwordInstance, { Cookie: cookie });
+      assert.match(res.body, /Hello Ada/);
+    }
+    assert.equal(reads, 1);
+  });
+
+  test("do not cache a missing webhook", async () => {
+    const webhook = world.repositories.tables.webhooks.get(IDS.publicWebhook);
+    world.repositories.tables.webhooks.delete(IDS.publicWebhook);
+    assert.equal((await get()).statusCode, "404");
+
+    world.repositories.tables.webhooks.set(IDS.publicWebhook, webhook);
+    assert.equal((await get()).statusCode, "200");
+  });
+});
+
+describe("ETag revalidation", () => {
+  test("answer a matching If-None-Match with 304", async () => {
+    const first = await get();
+    assert.equal(first.statusCode, "200");
+    assert.match(first.headers.ETag, /^W\/"[\w-]{27}"$/);
+    assert.equal(first.headers["Cache-Control"], "private, no-cache");
+
+    const again = await get(IDS.publicInstance, {
+      "If-None-Match": `"other", ${first.headers.ETag}`,
+    });
+    assert.equal(again.statusCode, "304");
+    assert.equal(again.body, "");
+    assert.equal(again.headers.ETag, first.headers.ETag);
+    assert.ok(
+      !Object.keys(again.headers).some((h) => /content-security-policy/i.test(h))
+    );
+    assert.equal(counted("PageNotModified"), 1);
+
+    // Revalidations are not visits
+    const instance = world.repositories.tables.instances.get(IDS.publicInstance);
+    assert.equal(instance.numberOfVisits, 1);
+  });
+
+  test("change the ETag after a submission", async () => {
+    const { headers } = await get();
+    const { body, contentType } = multipartBody([
+      { name: "note", value: "hi" },
+    ]);
+    await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { "Content-Type": contentType },
+        body,
+      })
+    );
+
+    const res = await get(IDS.publicInstance, { "If-None-Match": headers.ETag });
+    assert.equal(res.statusCode, "200");
+    assert.notEqual(res.headers.ETag, headers.ETag);
+    assert.match(res.body, /\\u0022note\\u0022:\\u0022hi\\u0022/);
+  });
+
+  test("change the ETag with the locale", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).i18n = {
+      locales: { en: { strings: {} }, es: { strings: {} } },
+    };
+    const en = await get(IDS.publicInstance, { "Accept-Language": "en" });
+    const es = await get(IDS.publicInstance, {
+      "Accept-Language": "es",
+      "If-None-Match": en.headers.ETag,
+    });
+    assert.equal(es.statusCode, "200");
+    assert.notEqual(es.headers.ETag, en.headers.ETag);
+  });
+});
@@ -0,0 +1,182 @@
+// test/csp.test.mjs - Content Security Policy nonces, headers and reports
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { addNonceToTags, buildCspHeader } from "../src/utils/csp.mjs";
+import { getRecordedMetrics } from "../src/utils/metrics.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const render = () =>
+  handler(
+    httpApiEvent({
+      path: `/instance/${IDS.publicInstance}`,
+      headers: { Accept: "text/html" },
+    })
+  );
+
+describe("nonces", () => {
+  test("stamp script and style tags but not their contents", () => {
+    assert.equal(
+      addNonceToTags(
+        `<SCRIPT src="/a.js"></SCRIPT><script>var s = "<script>";</script>` +
+          `<style>p{}</style><script nonce="mine"></script>`,
+        "N"
+      ),
+      `<SCRIPT nonce="N" src="/a.js"></SCRIPT><script nonce="N">var s = "<script>";</script>` +
+        `<style nonce="N">p{}</style><script nonce="mine"></script>`
+    );
+  });
+
+  test("pages stamp every emitted tag with one fresh nonce", async () => {
+    const res = await render();
+    const header = res.headers["Content-Security-Policy-Report-Only"];
+    const [, nonce] = header.match(/'nonce-([^']+)'/);
+    const nonces = [...res.body.matchAll(/<(?:script|style) nonce="([^"]+)"/g)];
+    // InstanceMeta script, client theme, webhook CSS and the template's script
+    assert.equal(nonces.length, 4);
+    assert.ok(nonces.every((m) => m[1] === nonce));
+
+    const again = await render();
+    assert.doesNotMatch(again.body, new RegExp(nonce.replace(/\+/g, "\\+")));
+  });
+
+  test("scripts inserted through values do not get the nonce", async () => {
+    Object.assign(world.repositories.tables.webhooks.get(IDS.publicWebhook), {
+      html: "<div>{{{banner}}}</div>",
+    });
+    world.repositories.tables.instances.get(IDS.publicInstance).inputs =
+      JSON.stringify({ banner: "<script>steal()</script>" });
+    const { body } = await render();
+    assert.match(body, /<div><script>steal\(\)<\/script><\/div>/);
+  });
+});
+
+describe("policy header", () => {
+  test("report-only by default with the built-in sources", () => {
+    const headers = buildCspHeader({
+      nonce: "N",
+      reportUri: "/csp-report?webhook=wh",
+      imgUrls: ["https://logos.example.com/acme.png"],
+    });
+    assert.deepEqual(Object.keys(headers), [
+      "Content-Security-Policy-Report-Only",
+    ]);
+    assert.equal(
+      headers["Content-Security-Policy-Report-Only"],
+      "default-src 'self'; script-src 'self' 'nonce-N'; style-src 'self' 'nonce-N'; " +
+        "style-src-attr 'unsafe-inline'; " +
+        "img-src 'self' data: blob: https://*.amazonaws.com https://logos.example.com; " +
+        "font-src 'self' data:; connect-src 'self' https://*.amazonaws.com; " +
+        "object-src 'none'; base-uri 'none'; report-uri /csp-report?webhook=wh"
+    );
+  });
+
+  test("webhook origins are added and unsafe sources ignored", () => {
+    const headers = buildCspHeader({
+      nonce: "N",
+      policy: {
+        mode: "enforce",
+        scriptSrc: ["https://cdn.example.com", "'unsafe-inline'", "x; script-src *"],
+        connectSrc: ["https://api.example.com"],
+        frameSrc: ["https://www.youtube.com"],
+      },
+    });
+    const directives = headers["Content-Security-Policy"].split("; ");
+    assert.ok(
+      directives.includes("script-src 'self' 'nonce-N' https://cdn.example.com")
+    );
+    assert.ok(
+      directives.includes(
+        "connect-src 'self' https://*.amazonaws.com https://api.example.com"
+      )
+    );
+    assert.ok(directives.includes("frame-src https://www.youtube.com"));
+  });
+
+  test("mode off sends no header", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).csp = {
+      mode: "off",
+    };
+    const res = await render();
+    assert.ok(
+      !Object.keys(res.headers).some((h) => h.startsWith("Content-Security"))
+    );
+  });
+
+  test("enforce mode on the live page", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).csp = {
+      mode: "enforce",
+    };
+    const res = await render();
+    assert.match(
+      res.headers["Content-Security-Policy"],
+      /report-uri \/csp-report\?webhook=wh-public$/
+    );
+  });
+});
+
+describe("POST /csp-report", () => {
+  const report = (body, contentType) =>
+    handler(
+      httpApiEvent({
+        method: "POST",
+        path: "/csp-report",
+        query: { webhook: IDS.publicWebhook },
+        headers: { "Content-Type": contentType },
+        body: JSON.stringify(body),
+      })
+    );
+
+  test("accepts both report formats", async () => {
+    const legacy = await report(
+      {
+        "csp-report": {
+          "document-uri": "https://web.example.com/preview/i?token=secret",
+          "violated-directive": "script-src-elem",
+          "blocked-uri": "inline",
+        },
+      },
+      "application/csp-report"
+    );
+    assert.equal(legacy.statusCode, "204");
+
+    const modern = await report(
+      [
+        {
+          type: "csp-violation",
+          body: { effectiveDirective: "img-src", blockedURL: "https://x.test/a.png?sig=1" },
+        },
+        { type: "deprecation", body: {} },
+      ],
+      "application/reports+json"
+    );
+    assert.equal(modern.statusCode, "204");
+
+    const violations = getRecordedMetrics().filter(
+      (m) => m.name === "CspViolation"
+    );
+    assert.equal(violations.length, 2);
+    assert.equal(violations[0].dimensions.Webhook, IDS.publicWebhook);
+  });
+
+  test("malformed or truncated reports are still a 204", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: "/csp-report",
+        headers: { "Content-Type": "application/csp-report" },
+        body: '{"csp-report": {"document-uri": "https://web.exa',
+      })
+    );
+    assert.equal(res.statusCode, "204");
+    assert.ok(!getRecordedMetrics().some((m) => m.name === "CspViolation"));
+  });
+});
@@ -0,0 +1,210 @@
+// test/forms.test.mjs - Webhook forms rendered from a JSON Schema
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { validateFormSubmission } from "../src/forms/schema.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const FORM = {
+  schema: {
+    type: "object",
+    required: ["email", "plan", "agree"],
+    properties: {
+      firstName: { type: "string", title: "First name", maxLength: 40 },
+      email: { type: "string", format: "email", title: "Email" },
+      plan: { type: "string", enum: ["basic", "pro"] },
+      seats: { type: "integer", minimum: 1, maximum: 50, default: 1 },
+      agree: { type: "boolean", title: "I agree" },
+      resume: { type: "string", format: "binary" },
+    },
+    additionalProperties: false,
+  },
+  ui: {
+    sections: [{ title: "About you", fields: ["firstName", "email"] }],
+    fields: {
+      plan: { label: "Plan", optionLabels: { pro: "Pro <team>" } },
+      resume: { label: "Résumé", accept: ".pdf,application/pdf" },
+    },
+    submitLabel: "Send it",
+  },
+};
+
+const path = `/instance/${IDS.publicInstance}`;
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  Accept: "application/json",
+};
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+  world.repositories.tables.webhooks.get(IDS.publicWebhook).form = FORM;
+});
+
+const submitEvents = () =>
+  [...world.repositories.tables.events.values()].filter(
+    (e) => e.type === "submit"
+  );
+
+const get = () =>
+  handler(httpApiEvent({ path, headers: { Accept: "text/html" } }));
+
+const post = (body, headers = JSON_HEADERS) =>
+  handler(httpApiEvent({ method: "POST", path, headers, body }));
+
+describe("form rendering", () => {
+  test("follows the template, prefilled from the instance inputs", async () => {
+    const res = await get();
+    assert.equal(res.statusCode, "200");
+    const body = res.body;
+    assert.match(body, /<h1>Hello Ada<\/h1>[\s\S]*<form class="tgl-form"/);
+    assert.match(body, /action="\/instance\/inst-public"/);
+    assert.match(body, /enctype="multipart\/form-data"/);
+    assert.match(body, /<legend>About you<\/legend>/);
+    assert.match(body, /<label for="tgl-f-firstName">First name<\/label>/);
+    assert.match(body, /id="tgl-f-firstName" name="firstName"[^>]*value="Ada"/);
+    assert.match(body, /name="seats"[^>]*value="1"/);
+    assert.match(body, /type="radio"[^>]*value="pro"[^>]*> Pro &lt;team&gt;/);
+    assert.match(body, /type="file"[^>]*accept="\.pdf,application\/pdf"/);
+    assert.match(body, /<button type="submit" class="tgl-form-submit">Send it/);
+    assert.match(body, /\.tgl-form \{/);
+    assert.match(body, /<script nonce="[^"]+">\n\(function \(\) \{\n  var form/);
+  });
+
+  test("replaces {{form}} where the template places it", async () => {
+    const webhook = world.repositories.tables.webhooks.get(IDS.publicWebhook);
+    webhook.html = "<main>{{form}}</main><footer>end</footer>";
+    const res = await get();
+    assert.match(res.body, /<main><form class="tgl-form"[\s\S]*<\/script><\/main>/);
+    assert.equal(res.body.match(/<form /g).length, 1);
+  });
+
+  test("shows the latest submission and escapes it", async () => {
+    const data = {
+      firstName: `"><script>x</script>`,
+      email: "ada@example.com",
+      plan: "pro",
+      agree: true,
+    };
+    assert.equal((await post(JSON.stringify(data))).statusCode, "200");
+
+    const res = await get();
+    assert.match(res.body, /value="&quot;&gt;&lt;script&gt;x&lt;\/script&gt;"/);
+    assert.match(res.body, /value="ada@example\.com"/);
+    assert.match(res.body, /value="pro" checked/);
+    assert.match(res.body, /name="agree" value="true" checked/);
+  });
+});
+
+describe("form submits", () => {
+  test("are rejected with field errors and nothing stored or sent", async () => {
+    const res = await post(
+      JSON.stringify({ email: "nope", plan: "gold", seats: "0", extra: 1 })
+    );
+    assert.equal(res.statusCode, "422");
+    const body = JSON.parse(res.body);
+    assert.equal(body.code, "invalid_submission");
+    assert.deepEqual(
+      body.errors.map(({ field, code }) => `${field}:${code}`),
+      [
+        "email:format",
+        "plan:enum",
+        "seats:minimum",
+        "agree:required",
+        "extra:unknown_field",
+      ]
+    );
+    assert.equal(submitEvents().length, 0);
+    assert.equal(world.deliveries.length, 0);
+  });
+
+  test("store values as their schema types", async () => {
+    const { body, contentType } = multipartBody([
+      { name: "email", value: "ada@example.com" },
+      { name: "plan", value: "basic" },
+      { name: "seats", value: "3" },
+      { name: "agree", value: "on" },
+    ]);
+    const res = await post(body, { "Content-Type": contentType });
+    assert.equal(res.statusCode, "200");
+    const [event] = submitEvents();
+    const stored = JSON.parse(event.body);
+    assert.equal(stored.seats, 3);
+    assert.equal(stored.agree, true);
+    assert.equal(world.deliveries.length, 1);
+  });
+
+  test("check uploads against the field's accept list", async () => {
+    const fields = [
+      { name: "email", value: "ada@example.com" },
+      { name: "plan", value: "basic" },
+      { name: "agree", value: "true" },
+    ];
+    const upload = (filename, type) => {
+      const { body, contentType } = multipartBody([
+        ...fields,
+        { name: "resume", filename, contentType: type, value: "hello" },
+      ]);
+      return post(body, {
+        "Content-Type": contentType,
+        Accept: "application/json",
+      });
+    };
+
+    const bad = await upload("cv.exe", "application/octet-stream");
+    assert.equal(bad.statusCode, "422");
+    assert.deepEqual(
+      JSON.parse(bad.body).errors.map((e) => e.code),
+      ["fileType"]
+    );
+
+    const good = await upload("cv.pdf", "application/pdf");
+    assert.equal(good.statusCode, "200");
+    const stored = JSON.parse(submitEvents()[0].body);
+    assert.equal(stored.files[0].field, "resume");
+    assert.match(stored.files[0].filePath, /cv\.pdf$/);
+  });
+});
+
+describe("validateFormSubmission", () => {
+  test("checks patterns, lengths and arrays", () => {
+    const form = {
+      schema: {
+        required: ["topics"],
+        properties: {
+          code: { type: "string", pattern: "^[A-Z]{3}$", minLength: 3 },
+          topics: {
+            type: "array",
+            items: { enum: ["a", "b", "c"] },
+            maxItems: 2,
+          },
+          price: { type: "number", exclusiveMinimum: 0 },
+        },
+      },
+    };
+    const { data, errors } = validateFormSubmission(form, {
+      code: "ab",
+      topics: ["a", "b", "z"],
+      price: "0",
+    });
+    assert.deepEqual(
+      errors.map(({ field, code }) => `${field}:${code}`),
+      [
+        "code:minLength",
+        "code:pattern",
+        "topics:maxItems",
+        "topics:enum",
+        "price:minimum",
+      ]
+    );
+    assert.equal(data.price, 0);
+
+    const single = validateFormSubmission(form, { topics: "a", price: "2.5" });
+    assert.deepEqual(single.errors, []);
+    assert.deepEqual(single.data.topics, ["a"]);
+    assert.equal(single.data.price, 2.5);
+  });
+});
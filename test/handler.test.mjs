@@ -0,0 +1,609 @@
+// test/handler.test.mjs - End-to-end tests through the exported Lambda handler
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import {
+  httpApiEvent,
+  restApiEvent,
+  multipartBody,
+} from "./support/events.mjs";
+import {
+  IDS,
+  resetWorld,
+  signIdToken,
+  passwordSessionCookie,
+  legacyQueryToken,
+} from "./support/world.mjs";
+
+const HTML = { Accept: "text/html,application/xhtml+xml" };
+const JSON_HEADERS = {
+  Accept: "application/json",
+  "Content-Type": "application/json",
+};
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const submitEvents = () =>
+  [...world.repositories.tables.events.values()].filter(
+    (e) => e.type === "submit"
+  );
+
+describe("event normalization", () => {
+  test("HTTP API events render the instance under /instance/", async () => {
+    const res = await handler(
+      httpApiEvent({ path: `/instance/${IDS.publicInstance}`, headers: HTML })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+    assert.match(res.body, /<p>Acme Co<\/p>/);
+  });
+
+  test("REST API events render the instance under /webhooks/instances/", async () => {
+    const res = await handler(
+      restApiEvent({
+        path: `/webhooks/instances/${IDS.publicInstance}`,
+        headers: HTML,
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+  });
+
+  test("composite webhookID/externalID paths resolve the instance", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicWebhook}/ext-1`,
+        headers: HTML,
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /tgl-instance-id" content="inst-public"/);
+  });
+
+  test("base64 bodies are decoded and the source IP is recorded", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ note: "héllo" }),
+        base64: true,
+        sourceIp: "198.51.100.7",
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    const [event] = submitEvents();
+    assert.deepEqual(JSON.parse(event.body), { note: "héllo" });
+    assert.equal(event.ipAddress, "198.51.100.7");
+  });
+
+  test("mixed-case headers are readable in either casing", async () => {
+    const res = await handler(
+      restApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { accept: "application/json" },
+      })
+    );
+    assert.equal(res.headers["Content-Type"], "application/json");
+  });
+});
+
+describe("routing", () => {
+  test("unknown paths return 404", async () => {
+    const res = await handler(
+      httpApiEvent({ path: "/nowhere", headers: JSON_HEADERS })
+    );
+    assert.equal(res.statusCode, "404");
+    assert.equal(JSON.parse(res.body).code, "not_found");
+  });
+
+  test("unsupported methods return 405 with Allow", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "DELETE",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: JSON_HEADERS,
+      })
+    );
+    assert.equal(res.statusCode, "405");
+    assert.equal(res.headers.Allow, "GET, HEAD, POST, OPTIONS");
+  });
+
+  test("OPTIONS answers with Allow and CORS headers", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "OPTIONS",
+        path: "/logout",
+        headers: { Origin: "https://web.thegraphitelab.com" },
+      })
+    );
+    assert.equal(res.statusCode, "204");
+    assert.equal(res.headers.Allow, "POST, OPTIONS");
+    assert.equal(
+      res.headers["Access-Control-Allow-Origin"],
+      "https://web.thegraphitelab.com"
+    );
+  });
+
+  test("HEAD returns GET headers without a body", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "HEAD",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: HTML,
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.body, "");
+  });
+
+  test("an externalID containing 'upload-url' is a submit, not an upload", async () => {
+    world.repositories.tables.instances.set("inst-odd", {
+      id: "inst-odd",
+      WebhookID: IDS.publicWebhook,
+      externalID: "upload-url-2",
+      inputs: "{}",
+    });
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicWebhook}/upload-url-2`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ ok: 1 }),
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(submitEvents()[0].WebhookInstanceID, "inst-odd");
+  });
+});
+
+describe("errors", () => {
+  test("missing instances are 404 with the branded page for browsers", async () => {
+    const res = await handler(
+      httpApiEvent({ path: "/instance/does-not-exist", headers: HTML })
+    );
+    assert.equal(res.statusCode, "404");
+    assert.match(res.body, /Page Not Found/);
+    assert.ok(res.headers["X-Request-Id"]);
+    assert.ok(res.body.includes(res.headers["X-Request-Id"]));
+  });
+
+  test("invalid JSON bodies are 400 for API callers", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: JSON_HEADERS,
+        body: "{not json",
+      })
+    );
+    assert.equal(res.statusCode, "400");
+    assert.equal(JSON.parse(res.body).code, "bad_request");
+  });
+
+  test("storage failures are 502", async () => {
+    world.repositories.instances.get = async () => {
+      const err = new Error("ProvisionedThroughputExceededException");
+      err.$metadata = { httpStatusCode: 400 };
+      throw err;
+    };
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: JSON_HEADERS,
+        body: "{}",
+      })
+    );
+    assert.equal(res.statusCode, "502");
+    assert.equal(JSON.parse(res.body).error, "Upstream service unavailable");
+  });
+});
+
+describe("document head", () => {
+  const render = async () =>
+    (
+      await handler(
+        httpApiEvent({ path: `/instance/${IDS.publicInstance}`, headers: HTML })
+      )
+    ).body;
+  const tables = () => world.repositories.tables;
+
+  test("defaults to lang, viewport and noindex", async () => {
+    const body = await render();
+    assert.match(body, /<html lang="en">/);
+    assert.match(
+      body,
+      /<meta name="viewport" content="width=device-width, initial-scale=1">/
+    );
+    assert.match(body, /<meta name="robots" content="noindex, nofollow">/);
+    assert.doesNotMatch(body, /og:/);
+  });
+
+  test("renders webhook head settings safely", async () => {
+    Object.assign(tables().webhooks.get(IDS.publicWebhook), {
+      title: "Q&A <draft>",
+      head: {
+        lang: "fr-ca",
+        description: 'Say "hi"',
+        ogTitle: "Your proposal",
+        ogImage: "javascript:alert(1)",
+        robots: "index, follow",
+        links: [
+          { rel: "preconnect", href: "https://fonts.gstatic.com", crossorigin: true },
+          { rel: "stylesheet", href: "https://fonts.googleapis.com/css2?family=Inter&display=swap" },
+          { rel: "import", href: "https://evil.example.com" },
+          { rel: "stylesheet", href: "data:text/css,body{}" },
+        ],
+      },
+    });
+    const body = await render();
+    assert.match(body, /<html lang="fr-CA">/);
+    assert.match(body, /<title>Q&amp;A &lt;draft&gt;<\/title>/);
+    assert.match(body, /<meta name="description" content="Say &quot;hi&quot;">/);
+    assert.match(body, /<meta property="og:description" content="Say &quot;hi&quot;">/);
+    assert.match(body, /<meta property="og:title" content="Your proposal">/);
+    assert.doesNotMatch(body, /og:image|evil|data:text/);
+    assert.match(body, /<meta name="robots" content="index, follow">/);
+    assert.match(
+      body,
+      /<link rel="preconnect" href="https:\/\/fonts.gstatic.com" crossorigin>/
+    );
+    assert.match(
+      body,
+      /<link rel="stylesheet" href="https:\/\/fonts.googleapis.com\/css2\?family=Inter&amp;display=swap">/
+    );
+  });
+
+  test("instance inputs.head overrides the webhook", async () => {
+    tables().webhooks.get(IDS.publicWebhook).head = {
+      description: "Generic",
+      viewport: "",
+    };
+    tables().instances.get(IDS.publicInstance).inputs = JSON.stringify({
+      firstName: "Ada",
+      head: { description: "For Ada", ogImage: "https://cdn.example.com/a.png" },
+    });
+    const body = await render();
+    assert.match(body, /<meta name="description" content="For Ada">/);
+    assert.match(
+      body,
+      /<meta property="og:image" content="https:\/\/cdn.example.com\/a.png">/
+    );
+    assert.doesNotMatch(body, /name="viewport"/);
+  });
+
+  test("lang follows the client locale", async () => {
+    tables().clients.get("client-1").locale = "de-DE";
+    assert.match(await render(), /<html lang="de-DE">/);
+  });
+});
+
+describe("JSON read API", () => {
+  test("Accept: application/json returns inputs, title, client and latest submission", async () => {
+    const { body, contentType } = multipartBody([
+      { name: "doc", filename: "a.txt", contentType: "text/plain", value: "x y" },
+    ]);
+    await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { "Content-Type": contentType },
+        body,
+      })
+    );
+
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "application/json" },
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.headers.Vary, "Accept");
+    const doc = JSON.parse(res.body);
+    assert.deepEqual(doc.instance.inputs, { firstName: "Ada" });
+    assert.equal(doc.webhook.title, `Title ${IDS.publicWebhook}`);
+    assert.equal(doc.client.name, "Acme Co");
+    assert.match(
+      doc.latestSubmission.data.files[0].fileUrl,
+      /^memory:\/\/test-bucket\//
+    );
+  });
+
+  test("JSON reads do not count as visits", async () => {
+    await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "application/json" },
+      })
+    );
+    const instance = world.repositories.tables.instances.get(IDS.publicInstance);
+    assert.equal(instance.numberOfVisits, undefined);
+  });
+
+  test("protected instances return 401 JSON instead of the password page", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.passwordInstance}`,
+        headers: { Accept: "application/json" },
+      })
+    );
+    assert.equal(res.statusCode, "401");
+    assert.equal(JSON.parse(res.body).code, "unauthorized");
+  });
+
+  test("a session cookie unlocks the JSON view", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.passwordInstance}`,
+        headers: { Accept: "application/json" },
+        cookies: [passwordSessionCookie(IDS.passwordInstance)],
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(JSON.parse(res.body).instance.id, IDS.passwordInstance);
+  });
+});
+
+describe("password protected instances", () => {
+  const path = `/instance/${IDS.passwordInstance}`;
+
+  test("GET without a session shows the password page", async () => {
+    const res = await handler(httpApiEvent({ path, headers: HTML }));
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /<title>Password<\/title>/);
+  });
+
+  test("auth exchange rejects a wrong password", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `${path}/auth`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ password: "nope" }),
+      })
+    );
+    assert.equal(res.statusCode, "401");
+  });
+
+  test("auth exchange issues a session cookie that unlocks the page", async () => {
+    const auth = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `${path}/auth`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ password: "open-sesame" }),
+      })
+    );
+    assert.equal(auth.statusCode, "200");
+    const setCookie = auth.headers["Set-Cookie"];
+    assert.match(setCookie, /^tgl_wi_auth\.inst-password=/);
+
+    const page = await handler(
+      httpApiEvent({
+        path,
+        headers: HTML,
+        cookies: [setCookie.split(";")[0]],
+      })
+    );
+    assert.match(page.body, /<h1>Hello Ada<\/h1>/);
+  });
+
+  test("revoked session cookies are rejected", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path,
+        headers: HTML,
+        cookies: [
+          passwordSessionCookie(IDS.passwordInstance, { tokenVersion: 5 }),
+        ],
+      })
+    );
+    assert.match(res.body, /<title>Password<\/title>/);
+  });
+
+  test("submits without a session are rejected", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ a: 1 }),
+      })
+    );
+    assert.equal(res.statusCode, "401");
+    assert.equal(submitEvents().length, 0);
+  });
+});
+
+describe("query token instances", () => {
+  test("a valid legacy ?token renders the page", async () => {
+    const token = legacyQueryToken(IDS.tokenInstance, "instance-auth-key");
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.tokenInstance}`,
+        headers: HTML,
+        query: { token },
+      })
+    );
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+  });
+
+  test("a forged ?token shows the password page", async () => {
+    const token = legacyQueryToken(IDS.tokenInstance, "wrong-auth-key");
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.tokenInstance}`,
+        headers: HTML,
+        query: { token },
+      })
+    );
+    assert.match(res.body, /<title>Password<\/title>/);
+  });
+});
+
+describe("Cognito protected instances", () => {
+  const path = `/instance/${IDS.cognitoInstance}`;
+
+  test("GET without tokens shows the login page", async () => {
+    const res = await handler(httpApiEvent({ path, headers: HTML }));
+    assert.doesNotMatch(res.body, /Hello Ada/);
+    assert.match(res.body, /username/i);
+  });
+
+  test("a user of the client sees the page", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path,
+        headers: HTML,
+        cookies: [`tgl_web=${signIdToken({ sub: IDS.member })}`],
+      })
+    );
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+  });
+
+  test("a user of another client gets access denied", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path,
+        headers: HTML,
+        cookies: [`tgl_web=${signIdToken({ sub: IDS.outsider })}`],
+      })
+    );
+    assert.match(res.body, /Access Denied/);
+  });
+
+  test("login sets the platform cookies", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `${path}/auth`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ username: IDS.member, password: "x" }),
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.cookies.length, 2);
+    assert.match(res.cookies[0], /^tgl_web=/);
+  });
+
+  test("login with bad credentials is 401", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `${path}/auth`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ username: "mallory", password: "x" }),
+      })
+    );
+    assert.equal(res.statusCode, "401");
+  });
+
+  test("logout clears the platform cookies", async () => {
+    const res = await handler(
+      httpApiEvent({ method: "POST", path: "/logout", headers: JSON_HEADERS })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.ok(res.cookies.every((c) => c.includes("Max-Age=0")));
+  });
+});
+
+describe("submits and uploads", () => {
+  const path = `/instance/${IDS.publicInstance}`;
+
+  test("JSON submits create an event and notify subscriptions", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ answer: 42 }),
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(submitEvents().length, 1);
+    assert.equal(world.deliveries.length, 1);
+    assert.equal(world.deliveries[0].url, "https://hooks.example.com/submit");
+    assert.equal(world.deliveries[0].data.instance.id, IDS.publicInstance);
+  });
+
+  test("the latest submission is exposed to the page", async () => {
+    await handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ answer: 42 }),
+      })
+    );
+    const res = await handler(httpApiEvent({ path, headers: HTML }));
+    assert.match(res.body, /var last = {\\u0022answer\\u0022:42};/);
+  });
+
+  test("multipart submits store files in blob storage", async () => {
+    const { body, contentType } = multipartBody([
+      { name: "comment", value: "see attached" },
+      {
+        name: "doc",
+        filename: "notes.txt",
+        contentType: "text/plain",
+        value: "plain text notes",
+      },
+    ]);
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: { "Content-Type": contentType },
+        body,
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    const stored = world.repositories.blobs.objects.get(
+      `test-bucket/public/clientWebhookInstanceFiles/${IDS.publicInstance}/notes.txt`
+    );
+    assert.equal(stored.toString(), "plain text notes");
+    const data = JSON.parse(submitEvents()[0].body);
+    assert.equal(data.comment, "see attached");
+    assert.match(data.files[0].filePath, /^s3:\/\/test-bucket\//);
+  });
+
+  test("upload-url requires the instance session cookie", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.passwordInstance}/upload-url`,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ filename: "a.mp4", contentType: "video/mp4" }),
+      })
+    );
+    assert.equal(res.statusCode, "401");
+  });
+
+  test("upload-url issues a presigned URL for an authenticated session", async () => {
+    const res = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.passwordInstance}/upload-url`,
+        headers: {
+          ...JSON_HEADERS,
+          Cookie: passwordSessionCookie(IDS.passwordInstance),
+        },
+        body: JSON.stringify({ filename: "a b.mp4", contentType: "video/mp4" }),
+      })
+    );
+    assert.equal(res.statusCode, "200");
+    const payload = JSON.parse(res.body);
+    assert.match(
+      payload.fileKey,
+      /^public\/clientWebhookInstanceFiles\/inst-password\/\d+-[0-9a-f]+\/a_b\.mp4$/
+    );
+    assert.match(payload.uploadUrl, /^memory:\/\/test-bucket\//);
+  });
+});
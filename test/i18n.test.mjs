@@ -0,0 +1,201 @@
+// test/i18n.test.mjs - Localized templates, {{t}} strings and gate pages
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import {
+  parseAcceptLanguage,
+  negotiateLocale,
+} from "../src/utils/locale.mjs";
+import { renderTemplate } from "../src/template/render.mjs";
+import { validateTemplate } from "../src/template/validate.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const WEBPAGES =
+  "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+describe("locale negotiation", () => {
+  test("order Accept-Language by quality", () => {
+    assert.deepEqual(
+      parseAcceptLanguage("en;q=0.5, fr-CA, fr;q=0.9, *;q=0.1, de;q=0"),
+      ["fr-CA", "fr", "en"]
+    );
+    assert.deepEqual(parseAcceptLanguage(undefined), []);
+  });
+
+  test("match exactly, then by language, then fall back", () => {
+    const available = ["en", "es", "pt-BR"];
+    assert.equal(negotiateLocale(["es"], available, "en"), "es");
+    assert.equal(negotiateLocale(["es-MX"], available, "en"), "es");
+    assert.equal(negotiateLocale(["pt"], available, "en"), "pt-BR");
+    assert.equal(negotiateLocale(["!!", "ja", "ES"], available, "en"), "es");
+    assert.equal(negotiateLocale(["ja"], available, "en"), "en");
+  });
+});
+
+describe("{{t}} strings", () => {
+  test("render strings escaped for their context", () => {
+    const html = renderTemplate(
+      `<a title="{{t "tip"}}">{{t "cta" | upper}}</a><script>var m = "{{t 'tip'}}";</script>`,
+      {},
+      { strings: { cta: "Sign up", tip: `Say "hi" </script>` } }
+    );
+    assert.equal(
+      html,
+      `<a title="Say &quot;hi&quot; &lt;/script&gt;">SIGN UP</a><script>var m = "Say \\u0022hi\\u0022 \\u003c/script\\u003e";</script>`
+    );
+  });
+
+  test("fall back to the key", () => {
+    assert.equal(renderTemplate(`<b>{{t "missing.key"}}</b>`, {}), "<b>missing.key</b>");
+  });
+
+  test("report keys missing from a locale", () => {
+    const { issues } = validateTemplate(`<p>{{t "a"}} {{t "b"}}</p>`, {
+      samples: [{ label: "x", inputs: {} }],
+      strings: { en: { a: "A", b: "B" }, es: { a: "A" } },
+    });
+    assert.deepEqual(
+      issues.map(({ code, key, locales }) => ({ code, key, locales })),
+      [{ code: "missing_translation", key: "b", locales: ["es"] }]
+    );
+  });
+});
+
+describe("localized pages", () => {
+  const get = (query = {}, headers = {}) =>
+    handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "text/html", ...headers },
+        query,
+      })
+    );
+
+  beforeEach(() => {
+    Object.assign(world.repositories.tables.webhooks.get(IDS.publicWebhook), {
+      html: `<h1>{{t "greeting"}} {{firstName}}</h1><p>{{t "footer"}}</p>`,
+      i18n: {
+        defaultLocale: "en",
+        locales: {
+          en: { strings: { greeting: "Hello", footer: "Thanks" } },
+          es: {
+            style: "h1 { color: blue; }",
+            strings: { greeting: "Hola" },
+          },
+          fr: {
+            html: `<h1>{{t "greeting"}}, {{firstName}}</h1>`,
+            strings: { greeting: "Bonjour" },
+          },
+        },
+      },
+    });
+  });
+
+  test("pick the locale from Accept-Language", async () => {
+    const res = await get({}, { "Accept-Language": "es-MX,es;q=0.9" });
+    assert.match(res.body, /<html lang="es">/);
+    assert.match(res.body, /<h1>Hola Ada<\/h1><p>Thanks<\/p>/);
+    assert.match(res.body, /h1 \{ color: blue; \}/);
+    assert.equal(res.headers.Vary, "Accept, Accept-Language");
+  });
+
+  test("prefer ?lang= and then the instance's locale input", async () => {
+    const instance = world.repositories.tables.instances.get(
+      IDS.publicInstance
+    );
+    instance.inputs = JSON.stringify({ firstName: "Ada", locale: "fr" });
+
+    const byInput = await get({}, { "Accept-Language": "es" });
+    assert.match(byInput.body, /<h1>Bonjour, Ada<\/h1>/);
+    assert.match(byInput.body, /h1 \{ color: red; \}/);
+
+    const byQuery = await get({ lang: "es" }, { "Accept-Language": "fr" });
+    assert.match(byQuery.body, /<h1>Hola Ada<\/h1>/);
+  });
+
+  test("fall back to the default locale", async () => {
+    const res = await get({}, { "Accept-Language": "ja" });
+    assert.match(res.body, /<html lang="en">/);
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+  });
+
+  test("load per-locale S3 files next to index.html", async () => {
+    const base = `${WEBPAGES}/${IDS.publicWebhook}`;
+    world.repositories.blobs.objects.set(
+      `${base}/index.html`,
+      Buffer.from(`<h2>{{t "greeting"}}</h2>`)
+    );
+    world.repositories.blobs.objects.set(
+      `${base}/styles.css`,
+      Buffer.from("h2 { margin: 0; }")
+    );
+    world.repositories.blobs.objects.set(
+      `${base}/index.es.html`,
+      Buffer.from(`<h2>¡{{t "greeting"}}!</h2>`)
+    );
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).usesS3 = true;
+
+    const es = await get({ lang: "es" });
+    assert.match(es.body, /<h2>¡Hola!<\/h2>/);
+    assert.match(es.body, /h2 \{ margin: 0; \}/);
+    const fr = await get({ lang: "fr" });
+    assert.match(fr.body, /<h2>Bonjour<\/h2>/);
+  });
+
+  test("leave unlocalized webhooks as they were", async () => {
+    delete world.repositories.tables.webhooks.get(IDS.publicWebhook).i18n;
+    const res = await get({}, { "Accept-Language": "es" });
+    assert.match(res.body, /<html lang="en">/);
+    assert.equal(res.headers.Vary, "Accept");
+  });
+});
+
+describe("gate pages", () => {
+  const get = (id, headers = {}) =>
+    handler(
+      httpApiEvent({
+        path: `/instance/${id}`,
+        headers: { Accept: "text/html", ...headers },
+      })
+    );
+
+  test("translate the password page from Accept-Language", async () => {
+    const res = await get(IDS.passwordInstance, { "Accept-Language": "de" });
+    assert.match(res.body, /<html lang="de">/);
+    assert.match(res.body, /<label for="password">Passwort<\/label>/);
+    assert.match(res.body, /placeholder="Passwort eingeben"/);
+    assert.match(res.body, /working: "Wird geprüft…"/);
+    assert.doesNotMatch(res.body, /{{/);
+    assert.equal(res.headers.Vary, "Accept, Accept-Language");
+  });
+
+  test("escape translated text for HTML", async () => {
+    const res = await get(IDS.cognitoInstance, { "Accept-Language": "fr" });
+    assert.match(res.body, /<label for="username">Nom d&#39;utilisateur<\/label>/);
+    assert.match(res.body, /class="btn">Se connecter<\/button>/);
+  });
+
+  test("default to English", async () => {
+    const res = await get(IDS.passwordInstance, { "Accept-Language": "ja" });
+    assert.match(res.body, /<html lang="en">/);
+    assert.match(res.body, /class="btn">Enter<\/button>/);
+    assert.doesNotMatch(res.body, /{{/);
+  });
+
+  test("follow a localized page's locale", async () => {
+    world.repositories.tables.webhooks.get(IDS.passwordWebhook).i18n = {
+      defaultLocale: "es",
+      locales: { es: { strings: {} } },
+    };
+    const res = await get(IDS.passwordInstance, { "Accept-Language": "de" });
+    assert.match(res.body, /<label for="password">Contraseña<\/label>/);
+  });
+});
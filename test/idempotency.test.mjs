@@ -0,0 +1,183 @@
+// test/idempotency.test.mjs - Repeated submits replay the first result
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { getRecordedMetrics } from "../src/utils/metrics.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const path = `/instance/${IDS.publicInstance}`;
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  Accept: "application/json",
+};
+const NAVIGATE = {
+  "Content-Type": "application/x-www-form-urlencoded",
+  Accept: "text/html",
+  "Sec-Fetch-Mode": "navigate",
+};
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const webhook = () => world.repositories.tables.webhooks.get(IDS.publicWebhook);
+
+const eventsOfType = (type) =>
+  [...world.repositories.tables.events.values()].filter(
+    (e) => e.type === type
+  );
+
+const keys = () => [...world.repositories.tables.idempotencyKeys.values()];
+
+const post = (body, headers = JSON_HEADERS) =>
+  handler(httpApiEvent({ method: "POST", path, headers, body }));
+
+const withKey = (key) => ({ ...JSON_HEADERS, "Idempotency-Key": key });
+
+describe("Idempotency-Key", () => {
+  test("repeats get the first result without storing or delivering", async () => {
+    const first = await post('{"note":"hi"}', withKey("tap-1"));
+    const second = await post('{"note":"hi"}', withKey("tap-1"));
+    assert.equal(first.statusCode, "200");
+    assert.equal(second.statusCode, "200");
+    assert.equal(second.body, first.body);
+    assert.equal(first.headers["Idempotent-Replayed"], undefined);
+    assert.equal(second.headers["Idempotent-Replayed"], "true");
+
+    const [submit] = eventsOfType("submit");
+    assert.equal(eventsOfType("submit").length, 1);
+    assert.equal(JSON.parse(first.body).eventId, submit.id);
+    assert.equal(world.deliveries.length, 1);
+    assert.ok(getRecordedMetrics().some((m) => m.name === "SubmitReplayed"));
+
+    // The key has its own table; the events table only holds the submit
+    const [key] = keys();
+    assert.equal(keys().length, 1);
+    assert.equal(world.repositories.tables.events.size, 1);
+    assert.equal(key.WebhookInstanceID, IDS.publicInstance);
+    assert.equal(key.eventId, submit.id);
+    assert.doesNotMatch(key.id, /tap-1/);
+
+    const other = await post('{"note":"hi"}', withKey("tap-2"));
+    assert.notEqual(JSON.parse(other.body).eventId, submit.id);
+    assert.equal(eventsOfType("submit").length, 2);
+  });
+
+  test("are answered with 409 while the first submit is running", async () => {
+    await post("{}", withKey("slow"));
+    const [key] = keys();
+    key.eventId = null;
+    const res = await post("{}", withKey("slow"));
+    assert.equal(res.statusCode, "409");
+    assert.equal(JSON.parse(res.body).code, "conflict");
+    assert.equal(eventsOfType("submit").length, 1);
+  });
+
+  test("are held past the Lambda timeout while the submit runs", async () => {
+    const { events } = world.repositories;
+    const put = events.put;
+    let heldFor;
+    events.put = async (item) => {
+      heldFor = keys()[0].expiresAt - Math.floor(Date.now() / 1000);
+      return put(item);
+    };
+    await post("{}", withKey("slow"));
+    // FUNCTION_TIMEOUT_SEC defaults to serverless.yml's 30 seconds
+    assert.ok(heldFor > 30, `held for ${heldFor}s`);
+  });
+
+  test("expire after the window", async () => {
+    await post("{}", withKey("old"));
+    keys()[0].expiresAt = Math.floor(Date.now() / 1000);
+    const res = await post("{}", withKey("old"));
+    assert.equal(res.headers["Idempotent-Replayed"], undefined);
+    assert.equal(eventsOfType("submit").length, 2);
+  });
+
+  test("are not used up by rejected or failed submits", async () => {
+    webhook().submissionSchema = { required: ["email"] };
+    const rejected = await post('{"note":"hi"}', withKey("fix-me"));
+    assert.equal(rejected.statusCode, "422");
+
+    const { events } = world.repositories;
+    const put = events.put;
+    events.put = async () => {
+      throw new Error("DynamoDB is down");
+    };
+    const failed = await post('{"email":"a@example.com"}', withKey("fix-me"));
+    assert.equal(failed.statusCode, "500");
+    assert.equal(keys().length, 0);
+
+    events.put = put;
+    const fixed = await post('{"email":"a@example.com"}', withKey("fix-me"));
+    assert.equal(fixed.statusCode, "200");
+    assert.equal(fixed.headers["Idempotent-Replayed"], undefined);
+    assert.equal(eventsOfType("submit").length, 1);
+  });
+
+  test("must be printable ASCII of at most 255 characters", async () => {
+    for (const key of ["", "x".repeat(256), "café"]) {
+      const res = await post("{}", withKey(key));
+      assert.equal(res.statusCode, "400", JSON.stringify(key));
+    }
+    assert.equal(eventsOfType("submit").length, 0);
+  });
+});
+
+describe("form tokens", () => {
+  beforeEach(() => {
+    webhook().form = {
+      schema: {
+        properties: { note: { type: "string" } },
+        additionalProperties: false,
+      },
+    };
+  });
+
+  const renderedToken = async () => {
+    const page = await handler(
+      httpApiEvent({ path, headers: { Accept: "text/html" } })
+    );
+    const match =
+      /<input type="hidden" name="tgl_form_token" value="([\w-]+)">/.exec(
+        page.body
+      );
+    assert.ok(match, "form token rendered");
+    return match[1];
+  };
+
+  test("are new on every rendering", async () => {
+    assert.notEqual(await renderedToken(), await renderedToken());
+  });
+
+  test("make a double-posted form store one submission", async () => {
+    const token = await renderedToken();
+    const body = `note=hello&tgl_form_token=${token}`;
+    const first = await post(body, NAVIGATE);
+    const second = await post(body, NAVIGATE);
+    assert.equal(first.statusCode, "303");
+    assert.equal(second.statusCode, "303");
+    assert.equal(second.headers.Location, first.headers.Location);
+    assert.equal(second.headers["Idempotent-Replayed"], "true");
+
+    const submits = eventsOfType("submit");
+    assert.equal(submits.length, 1);
+    // The token is neither checked against the schema nor stored
+    assert.deepEqual(JSON.parse(submits[0].body), {
+      files: [],
+      note: "hello",
+    });
+    assert.equal(world.deliveries.length, 1);
+  });
+
+  test("give way to an Idempotency-Key header", async () => {
+    const body = `note=hi&tgl_form_token=${await renderedToken()}`;
+    await post(body, { ...NAVIGATE, "Idempotency-Key": "a" });
+    await post(body, { ...NAVIGATE, "Idempotency-Key": "b" });
+    assert.equal(eventsOfType("submit").length, 2);
+  });
+});
@@ -0,0 +1,68 @@
+// test/logger.test.mjs - Structured logger output and redaction
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  logger,
+  redact,
+  runWithLogContext,
+  addLogContext,
+} from "../src/utils/logger.mjs";
+
+let lines;
+let original;
+beforeEach(() => {
+  lines = [];
+  original = { log: console.log, warn: console.warn, LOG_LEVEL: process.env.LOG_LEVEL };
+  console.log = console.warn = (line) => lines.push(JSON.parse(line));
+  process.env.LOG_LEVEL = "info";
+});
+afterEach(() => {
+  console.log = original.log;
+  console.warn = original.warn;
+  process.env.LOG_LEVEL = original.LOG_LEVEL;
+});
+
+test("redacts secrets, passwords, cookies and tokens at any depth", () => {
+  assert.deepEqual(
+    redact({
+      password: "hunter2",
+      headers: { Cookie: "a=b", Authorization: "Bearer x", accept: "*/*" },
+      nested: [{ clientSecret: "s", idToken: "t", name: "ok" }],
+    }),
+    {
+      password: "[REDACTED]",
+      headers: {
+        Cookie: "[REDACTED]",
+        Authorization: "[REDACTED]",
+        accept: "*/*",
+      },
+      nested: [{ clientSecret: "[REDACTED]", idToken: "[REDACTED]", name: "ok" }],
+    }
+  );
+});
+
+test("emits one JSON line with request context", async () => {
+  await runWithLogContext({ requestId: "req-1", route: "GET /x" }, async () => {
+    addLogContext({ instanceId: "i-1" });
+    await Promise.resolve();
+    logger.info("hello", { password: "nope", latencyMs: 3 });
+  });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, "info");
+  assert.equal(lines[0].message, "hello");
+  assert.equal(lines[0].requestId, "req-1");
+  assert.equal(lines[0].instanceId, "i-1");
+  assert.equal(lines[0].password, "[REDACTED]");
+  assert.equal(lines[0].latencyMs, 3);
+});
+
+test("drops lines below the configured level", () => {
+  process.env.LOG_LEVEL = "warn";
+  logger.info("quiet");
+  logger.warn("loud");
+  assert.deepEqual(
+    lines.map((l) => l.message),
+    ["loud"]
+  );
+});
@@ -0,0 +1,141 @@
+// test/metrics.test.mjs - EMF metric records and per-route metric emission
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { handler } from "../src/index.mjs";
+import {
+  metrics,
+  getRecordedMetrics,
+  clearRecordedMetrics,
+} from "../src/utils/metrics.mjs";
+import { runWithLogContext } from "../src/utils/logger.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const HTML = { Accept: "text/html" };
+
+const named = (name) => getRecordedMetrics().filter((m) => m.name === name);
+
+beforeEach(() => {
+  resetWorld();
+});
+
+describe("EMF output", () => {
+  test("writes one EMF record per metric with stage and webhook rollups", async (t) => {
+    const lines = [];
+    t.mock.method(process.stdout, "write", (line) => lines.push(line));
+    process.env.METRICS_MODE = "emf";
+    try {
+      await runWithLogContext({ requestId: "req-1", webhookId: "wh-9" }, () =>
+        metrics.count("Submit")
+      );
+    } finally {
+      process.env.METRICS_MODE = "noop";
+    }
+
+    assert.equal(lines.length, 1);
+    const record = JSON.parse(lines[0]);
+    const [directive] = record._aws.CloudWatchMetrics;
+    assert.equal(directive.Namespace, "ToolboxWebhookServer");
+    assert.deepEqual(directive.Dimensions, [["Stage", "Webhook"], ["Stage"]]);
+    assert.deepEqual(directive.Metrics, [{ Name: "Submit", Unit: "Count" }]);
+    assert.equal(record.Stage, "dev");
+    assert.equal(record.Webhook, "wh-9");
+    assert.equal(record.requestId, "req-1");
+    assert.equal(record.Submit, 1);
+  });
+
+  test("noop mode records without writing", async (t) => {
+    const write = t.mock.method(process.stdout, "write");
+    clearRecordedMetrics();
+    await metrics.time("S3", async () => "ok");
+
+    assert.equal(write.mock.callCount(), 0);
+    const [latency] = getRecordedMetrics();
+    assert.equal(latency.name, "DependencyLatency");
+    assert.equal(latency.unit, "Milliseconds");
+    assert.deepEqual(latency.dimensions, { Stage: "dev", Dependency: "S3" });
+  });
+});
+
+describe("handler metrics", () => {
+  test("page views are dimensioned by webhook", async () => {
+    await handler(
+      httpApiEvent({ path: `/instance/${IDS.publicInstance}`, headers: HTML })
+    );
+    const [view] = named("PageView");
+    assert.deepEqual(view.dimensions, {
+      Stage: "dev",
+      Webhook: IDS.publicWebhook,
+    });
+  });
+
+  const submit = () => {
+    const { body, contentType } = multipartBody([{ name: "a", value: "1" }]);
+    return handler(
+      httpApiEvent({
+        method: "POST",
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { "Content-Type": contentType },
+        body,
+      })
+    );
+  };
+
+  test("submits count subscription deliveries", async () => {
+    await submit();
+    assert.equal(named("Submit").length, 1);
+    assert.equal(named("SubscriptionDelivered").length, 1);
+    assert.equal(
+      named("DependencyLatency").filter(
+        (m) => m.dimensions.Dependency === "Subscription"
+      ).length,
+      1
+    );
+  });
+
+  test("failed subscription deliveries are counted", async () => {
+    axios.post = async () => {
+      throw new Error("connect ECONNREFUSED");
+    };
+    await submit();
+    assert.equal(named("SubscriptionDelivered").length, 0);
+    assert.equal(named("SubscriptionFailed").length, 1);
+  });
+
+  test("auth outcomes carry the authentication type", async () => {
+    const exchange = (path, payload) =>
+      handler(
+        httpApiEvent({
+          method: "POST",
+          path,
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        })
+      );
+    await exchange(`/instance/${IDS.passwordInstance}/auth`, {
+      password: "wrong",
+    });
+    await exchange(`/instance/${IDS.passwordInstance}/auth`, {
+      password: "open-sesame",
+    });
+    await exchange(`/instance/${IDS.cognitoInstance}/auth`, {
+      username: IDS.member,
+      password: "correct-horse",
+    });
+
+    assert.deepEqual(
+      getRecordedMetrics()
+        .filter((m) => m.name.startsWith("Auth"))
+        .map((m) => `${m.name}:${m.dimensions.AuthType}`),
+      ["AuthFailure:password", "AuthSuccess:password", "AuthSuccess:cognito"]
+    );
+    assert.ok(
+      named("DependencyLatency").some(
+        (m) => m.dimensions.Dependency === "Cognito"
+      )
+    );
+  });
+});
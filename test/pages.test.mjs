@@ -0,0 +1,153 @@
+// test/pages.test.mjs - Named pages of multi-page instances
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { validateTemplate } from "../src/template/validate.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const WEBPAGES =
+  "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+  Object.assign(world.repositories.tables.webhooks.get(IDS.publicWebhook), {
+    pages: {
+      intro: {
+        html: `<h2>Intro for {{firstName}}</h2><a href="{{pageUrl "form"}}">Start</a>`,
+      },
+      form: { html: `<h2>Form</h2>`, style: "h2 { color: blue; }" },
+      thanks: { html: `<h2>Thanks from {{client.name}}</h2>` },
+    },
+  });
+});
+
+const get = (path, headers = {}) =>
+  handler(httpApiEvent({ path, headers: { Accept: "text/html", ...headers } }));
+
+const submit = () => {
+  const { body, contentType } = multipartBody([{ name: "note", value: "hi" }]);
+  return handler(
+    httpApiEvent({
+      method: "POST",
+      path: `/instance/${IDS.publicInstance}`,
+      headers: { "Content-Type": contentType },
+      body,
+    })
+  );
+};
+
+describe("named pages", () => {
+  test("render at /p/{name} with the instance data and styles", async () => {
+    const intro = await get(`/instance/${IDS.publicInstance}/p/intro`);
+    assert.equal(intro.statusCode, "200");
+    assert.match(intro.body, /<h2>Intro for Ada<\/h2>/);
+    assert.match(intro.body, /<a href="\/instance\/inst-public\/p\/form">/);
+    assert.match(intro.body, /h1 \{ color: red; \}/);
+    assert.match(intro.body, /page: "intro",/);
+
+    const form = await get(`/instance/${IDS.publicInstance}/p/form`);
+    assert.match(form.body, /h2 \{ color: blue; \}/);
+    assert.doesNotMatch(form.body, /h1 \{ color: red; \}/);
+  });
+
+  test("link within webhookID/externalID paths", async () => {
+    const res = await get(`/instance/${IDS.publicWebhook}/ext-1/p/intro`);
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /<a href="\/instance\/wh-public\/ext-1\/p\/form">/);
+
+    const v1 = await get(`/webhooks/instances/${IDS.publicInstance}/p/intro`);
+    assert.match(v1.body, /<a href="\/webhooks\/instances\/inst-public\/p\/form">/);
+  });
+
+  test("404 for unknown pages", async () => {
+    for (const name of ["nope", "toString", "__proto__"]) {
+      const res = await get(`/instance/${IDS.publicInstance}/p/${name}`);
+      assert.equal(res.statusCode, "404", name);
+    }
+  });
+
+  test("show defaultPage, then submitPage after a submission", async () => {
+    const webhook = world.repositories.tables.webhooks.get(IDS.publicWebhook);
+    Object.assign(webhook, { defaultPage: "intro", submitPage: "thanks" });
+
+    const before = await get(`/instance/${IDS.publicInstance}`);
+    assert.match(before.body, /<h2>Intro for Ada<\/h2>/);
+
+    assert.equal((await submit()).statusCode, "200");
+    const after = await get(`/instance/${IDS.publicInstance}`);
+    assert.match(after.body, /<h2>Thanks from Acme Co<\/h2>/);
+    assert.notEqual(after.headers.ETag, before.headers.ETag);
+
+    // Named pages stay reachable
+    const intro = await get(`/instance/${IDS.publicInstance}/p/intro`);
+    assert.match(intro.body, /<h2>Intro for Ada<\/h2>/);
+  });
+
+  test("keep the main template without defaultPage", async () => {
+    const res = await get(`/instance/${IDS.publicInstance}`);
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+    assert.doesNotMatch(res.body, /page: "/);
+  });
+
+  test("load S3 pages from pages/{name}.html", async () => {
+    const base = `${WEBPAGES}/${IDS.publicWebhook}`;
+    const objects = world.repositories.blobs.objects;
+    objects.set(`${base}/index.html`, Buffer.from("<h2>main</h2>"));
+    objects.set(`${base}/styles.css`, Buffer.from("h2 { margin: 0; }"));
+    objects.set(`${base}/pages/thanks.html`, Buffer.from("<h2>S3 thanks</h2>"));
+    const webhook = world.repositories.tables.webhooks.get(IDS.publicWebhook);
+    webhook.usesS3 = true;
+    webhook.pages.thanks = {};
+
+    const res = await get(`/instance/${IDS.publicInstance}/p/thanks`);
+    assert.match(res.body, /<h2>S3 thanks<\/h2>/);
+    assert.match(res.body, /h2 \{ margin: 0; \}/);
+  });
+});
+
+describe("gated pages", () => {
+  beforeEach(() => {
+    world.repositories.tables.webhooks.get(IDS.passwordWebhook).pages = {
+      thanks: { html: "<h2>Secret thanks</h2>" },
+    };
+  });
+
+  test("share the instance's gate and its auth exchange", async () => {
+    const path = `/instance/${IDS.passwordInstance}/p/thanks`;
+    const gate = await get(path);
+    assert.match(gate.body, /<title>Password<\/title>/);
+
+    const auth = await handler(
+      httpApiEvent({
+        method: "POST",
+        path: `${path}/auth`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password: "open-sesame" }),
+      })
+    );
+    assert.equal(auth.statusCode, "200");
+
+    const cookie = auth.headers["Set-Cookie"].split(";")[0];
+    const res = await handler(
+      httpApiEvent({ path, headers: { Accept: "text/html" }, cookies: [cookie] })
+    );
+    assert.match(res.body, /<h2>Secret thanks<\/h2>/);
+  });
+});
+
+describe("{{pageUrl}} validation", () => {
+  test("warn about links to pages the webhook lacks", () => {
+    const { issues } = validateTemplate(
+      `<a href="{{pageUrl "form"}}">a</a><a href="{{pageUrl "gone"}}">b</a>`,
+      { pages: ["form"] }
+    );
+    assert.deepEqual(
+      issues.map(({ code, page }) => ({ code, page })),
+      [{ code: "unknown_page", page: "gone" }]
+    );
+  });
+});
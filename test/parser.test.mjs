@@ -0,0 +1,354 @@
+// test/parser.test.mjs - Multipart and JSON submit bodies
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { parseFormData } from "../src/utils/parser.mjs";
+import { createMultipartParser } from "../src/utils/multipart.mjs";
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+} from "../src/utils/errors.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const BOUNDARY = "xYzZY";
+const TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+// Every byte value, including CR, LF and "--"
+const BINARY = Buffer.from(
+  Array.from({ length: 1024 }, (_, i) => (i * 7 + 13) % 256)
+);
+
+const raw = (...parts) =>
+  Buffer.concat(
+    [
+      ...parts.flatMap(([headers, value]) => [
+        `--${BOUNDARY}\r\n${headers.join("\r\n")}\r\n\r\n`,
+        value,
+        "\r\n",
+      ]),
+      `--${BOUNDARY}--\r\n`,
+    ].map((chunk) => Buffer.from(chunk))
+  );
+
+const field = (name, value) => [
+  [`Content-Disposition: form-data; name="${name}"`],
+  value,
+];
+
+describe("parseFormData", () => {
+  test("keeps binary file content byte for byte", () => {
+    const body = raw(
+      [
+        [
+          'Content-Disposition: form-data; name="doc"; filename="a.pdf"',
+          "Content-Type: application/pdf",
+        ],
+        BINARY,
+      ],
+      field("note", "hi")
+    );
+    const parsed = parseFormData(body, TYPE);
+    assert.equal(parsed.note, "hi");
+    assert.equal(parsed.files.length, 1);
+    const [file] = parsed.files;
+    assert.equal(file.field, "doc");
+    assert.equal(file.filename, "a.pdf");
+    assert.equal(file.contentType, "application/pdf");
+    assert.ok(file.content.equals(BINARY));
+  });
+
+  test("leaves text that looks like base64 alone", () => {
+    const body = raw(
+      field("code", "SGVsbG8="),
+      [
+        ['Content-Disposition: form-data; name="t"; filename="t.txt"'],
+        "QUJD",
+      ]
+    );
+    const parsed = parseFormData(body, TYPE);
+    assert.equal(parsed.code, "SGVsbG8=");
+    assert.equal(parsed.files[0].content.toString(), "QUJD");
+    assert.equal(parsed.files[0].contentType, "text/plain");
+  });
+
+  test("reads the boundary from Content-Type, quoted or not", () => {
+    const body = raw(field("a", "1"));
+    assert.equal(
+      parseFormData(body, `multipart/form-data; boundary="${BOUNDARY}"`).a,
+      "1"
+    );
+    // A body whose first line is not the declared boundary is malformed
+    assert.throws(
+      () => parseFormData(body, "multipart/form-data; boundary=other"),
+      BadRequestError
+    );
+  });
+
+  test("takes the boundary from the body when the header has none", () => {
+    const body = raw(field("a", "1"));
+    for (const type of [
+      "multipart/form-data",
+      'multipart/form-data; boundary=""',
+      "text/plain",
+      undefined,
+    ]) {
+      assert.equal(parseFormData(body, type).a, "1", String(type));
+    }
+    // JSON bodies are never read as multipart
+    assert.deepEqual(parseFormData('{"a":"--x"}', undefined), { a: "--x" });
+  });
+
+  test("decodes quoted, escaped and RFC 5987 filenames", () => {
+    const file = (disposition) => [
+      [`Content-Disposition: form-data; name="f"; ${disposition}`],
+      "x",
+    ];
+    const parsed = parseFormData(
+      raw(
+        file('filename="my \\"best\\"; file.txt"'),
+        file(
+          "filename=\"fallback.txt\"; " +
+            "filename*=UTF-8''na%C3%AFve%20r%C3%A9sum%C3%A9.pdf"
+        ),
+        file("filename*=iso-8859-1'en'caf%E9.txt"),
+        file('filename="../../etc/passwd"'),
+        file('filename="C:\\\\Users\\\\me\\\\photo.png"'),
+        file("filename*=UTF-8''%E0%A4%A; filename=\"bad-ext.txt\"")
+      ),
+      TYPE
+    );
+    assert.deepEqual(
+      parsed.files.map((f) => f.filename),
+      [
+        'my "best"; file.txt',
+        "naïve résumé.pdf",
+        "café.txt",
+        "passwd",
+        "photo.png",
+        "bad-ext.txt",
+      ]
+    );
+  });
+
+  test("collects repeated field names into arrays", () => {
+    const parsed = parseFormData(
+      raw(field("topic", "a"), field("topic", "b"), field("topic", "c")),
+      TYPE
+    );
+    assert.deepEqual(parsed.topic, ["a", "b", "c"]);
+  });
+
+  test("skips empty file inputs and keeps image data URLs as files", () => {
+    const parsed = parseFormData(
+      raw(
+        [['Content-Disposition: form-data; name="doc"; filename=""'], ""],
+        field("photo", `data:image/png;base64,${BINARY.toString("base64")}`)
+      ),
+      TYPE
+    );
+    assert.equal(parsed.files.length, 1);
+    assert.equal(parsed.files[0].filename, "photo.png");
+    assert.ok(parsed.files[0].content.equals(BINARY));
+  });
+
+  test("holds image data URLs to the file rules", () => {
+    const dataUrl = (type, data) => `data:${type};base64,${data}`;
+    const parse = (parts, limits) => parseFormData(raw(...parts), TYPE, limits);
+    const png = dataUrl("image/png", BINARY.toString("base64"));
+
+    const parsed = parse([
+      field("../sig", png),
+      field("logo", dataUrl("image/svg+xml", "PHN2Zy8+")),
+      field("scan", dataUrl("image/x-made.up", "AAAA")),
+      field("text", dataUrl("text/plain", "AAAA")),
+    ]);
+    assert.deepEqual(
+      parsed.files.map((f) => [f.field, f.filename, f.contentType]),
+      [
+        ["../sig", "sig.png", "image/png"],
+        ["logo", "logo.svg", "image/svg+xml"],
+        ["scan", "scan.xmadeup", "image/x-made.up"],
+      ]
+    );
+    assert.equal(parsed.text, dataUrl("text/plain", "AAAA"));
+
+    assert.throws(
+      () => parse([field("sig", png)], { maxFileBytes: 1000 }),
+      (err) =>
+        err instanceof PayloadTooLargeError && /"sig\.png"/.test(err.message)
+    );
+    assert.throws(
+      () => parse([field("sig", dataUrl("image/png", "not*base64"))]),
+      BadRequestError
+    );
+  });
+
+  test("holds image data URLs to the file limit, not the field limit", () => {
+    // 2 MB of image is about 2.7 MB of base64, over the 1 MB field limit
+    const image = Buffer.alloc(2 * 1024 * 1024, 7);
+    const url = `data:image/png;base64,${image.toString("base64")}`;
+    const limits = { maxBodyBytes: 4 << 20 };
+
+    const [file] = parseFormData(raw(field("sig", url)), TYPE, limits).files;
+    assert.ok(file.content.equals(image));
+    const type = "application/x-www-form-urlencoded";
+    const body = `sig=${encodeURIComponent(url)}`;
+    assert.ok(parseFormData(body, type, limits).files[0].content.equals(image));
+
+    assert.throws(
+      () =>
+        parseFormData(raw(field("sig", url)), TYPE, {
+          ...limits,
+          maxFileBytes: 1 << 20,
+        }),
+      (err) =>
+        err instanceof PayloadTooLargeError && /"sig\.png"/.test(err.message)
+    );
+    // Other text is still held to the field limit
+    assert.throws(
+      () =>
+        parseFormData(raw(field("note", "x".repeat(1 << 21))), TYPE, limits),
+      (err) => err instanceof PayloadTooLargeError && /"note"/.test(err.message)
+    );
+  });
+
+  test("rejects bodies over the limits with 413", () => {
+    const body = raw(
+      field("note", "hello"),
+      [['Content-Disposition: form-data; name="f"; filename="f.bin"'], BINARY]
+    );
+    const limits = (overrides) => ({
+      maxBodyBytes: 1 << 20,
+      maxFileBytes: 1 << 20,
+      maxFieldBytes: 1 << 20,
+      maxParts: 10,
+      ...overrides,
+    });
+    for (const overrides of [
+      { maxBodyBytes: 100 },
+      { maxFileBytes: 1000 },
+      { maxFieldBytes: 4 },
+      { maxParts: 1 },
+    ]) {
+      assert.throws(
+        () => parseFormData(body, TYPE, limits(overrides)),
+        (err) => err instanceof PayloadTooLargeError && err.statusCode === 413,
+        JSON.stringify(overrides)
+      );
+    }
+    assert.equal(parseFormData(body, TYPE, limits({})).files.length, 1);
+  });
+
+  test("rejects truncated and malformed bodies with 400", () => {
+    const body = raw(field("a", "1"));
+    assert.throws(
+      () => parseFormData(body.subarray(0, body.length - 10), TYPE),
+      BadRequestError
+    );
+    assert.throws(
+      () =>
+        parseFormData(
+          raw([["Content-Disposition: attachment; name=\"a\""], "1"]),
+          TYPE
+        ),
+      BadRequestError
+    );
+  });
+
+  test("parses urlencoded bodies within the limits", () => {
+    const type = "application/x-www-form-urlencoded; charset=UTF-8";
+    assert.deepEqual(parseFormData("a=1&b=%C3%A9&a=2&c", type), {
+      files: [],
+      a: ["1", "2"],
+      b: "é",
+      c: "",
+    });
+    assert.throws(
+      () => parseFormData("a=1&b=2&c=3", type, { maxParts: 2 }),
+      PayloadTooLargeError
+    );
+    assert.throws(
+      () => parseFormData("a=123456", type, { maxFieldBytes: 4 }),
+      PayloadTooLargeError
+    );
+  });
+
+  test("parses JSON bodies without a multipart Content-Type", () => {
+    assert.deepEqual(parseFormData('{"a":1}', "application/json"), { a: 1 });
+    assert.throws(() => parseFormData("nope", undefined), BadRequestError);
+  });
+});
+
+describe("createMultipartParser", () => {
+  test("finds boundaries split across chunks", () => {
+    const body = raw(
+      field("a", "one"),
+      [['Content-Disposition: form-data; name="f"; filename="f.bin"'], BINARY]
+    );
+    for (const size of [1, 3, 17, 256]) {
+      const parser = createMultipartParser({ boundary: BOUNDARY });
+      for (let i = 0; i < body.length; i += size) {
+        parser.write(body.subarray(i, i + size));
+      }
+      const parts = parser.end();
+      assert.equal(parts[0].content.toString(), "one", `chunk ${size}`);
+      assert.ok(parts[1].content.equals(BINARY), `chunk ${size}`);
+    }
+  });
+});
+
+describe("multipart submits", () => {
+  const path = `/instance/${IDS.publicInstance}`;
+  let world;
+  beforeEach(() => {
+    world = resetWorld();
+  });
+
+  const post = (parts, headers = {}) => {
+    const { body, contentType } = multipartBody(parts);
+    return handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: {
+          "Content-Type": contentType,
+          Accept: "application/json",
+          ...headers,
+        },
+        body,
+        base64: true,
+      })
+    );
+  };
+
+  test("store base64-encoded binary uploads unchanged", async () => {
+    const res = await post([
+      {
+        name: "pic",
+        filename: "pic.png",
+        contentType: "image/png",
+        value: BINARY,
+      },
+    ]);
+    assert.equal(res.statusCode, "200");
+    const stored = world.repositories.blobs.objects.get(
+      `test-bucket/public/clientWebhookInstanceFiles/${IDS.publicInstance}/pic.png`
+    );
+    assert.ok(stored.equals(BINARY));
+  });
+
+  test("answer 413 for an oversized file", async () => {
+    const res = await post([
+      {
+        name: "big",
+        filename: "big.bin",
+        value: Buffer.alloc(4_600_000),
+      },
+    ]);
+    assert.equal(res.statusCode, "413");
+    assert.equal(JSON.parse(res.body).code, "payload_too_large");
+  });
+});
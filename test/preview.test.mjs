@@ -0,0 +1,162 @@
+// test/preview.test.mjs - Signed template preview links
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld, signIdToken } from "./support/world.mjs";
+
+const WEBPAGES =
+  "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const mint = (body, sub = IDS.member) =>
+  handler(
+    httpApiEvent({
+      method: "POST",
+      path: "/templates/preview",
+      headers: {
+        "Content-Type": "application/json",
+        Host: "web.example.com",
+      },
+      cookies: sub ? [`tgl_web=${signIdToken({ sub })}`] : undefined,
+      body: JSON.stringify(body),
+    })
+  );
+
+// Follow a minted link through the handler
+const open = async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return handler(
+    httpApiEvent({
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers: { Accept: "text/html" },
+    })
+  );
+};
+
+describe("preview links", () => {
+  test("minting requires a session for the webhook's client", async () => {
+    const body = { instanceId: IDS.publicInstance, html: "<p>x</p>" };
+    assert.equal((await mint(body, null)).statusCode, "401");
+    assert.equal((await mint(body, IDS.outsider)).statusCode, "403");
+  });
+
+  test("minting refreshes an expiring session and still checks it", async () => {
+    const body = { instanceId: IDS.publicInstance };
+    const mintWith = (sub) =>
+      handler(
+        httpApiEvent({
+          method: "POST",
+          path: "/templates/preview",
+          headers: { "Content-Type": "application/json" },
+          cookies: [
+            `tgl_web=${signIdToken({ sub, ttlSec: 60 })}`,
+            `tgl_web_refresh=refresh-token:${sub}`,
+          ],
+          body: JSON.stringify(body),
+        })
+      );
+
+    const res = await mintWith(IDS.member);
+    assert.equal(res.statusCode, "200");
+    assert.ok(JSON.parse(res.body).url);
+    const [idCookie, refreshCookie] = res.cookies;
+    assert.match(idCookie, /^tgl_web=[\w-]+\.[\w-]+\.[\w-]+; Max-Age=/);
+    assert.match(refreshCookie, /^tgl_web_refresh=refresh-token%3Auser-member;/);
+
+    const outsider = await mintWith(IDS.outsider);
+    assert.equal(outsider.statusCode, "403");
+    assert.equal(outsider.cookies, undefined);
+  });
+
+  test("render a draft sent with the request, without side effects", async () => {
+    const res = await mint({
+      instanceId: IDS.publicInstance,
+      html: "<h2>Draft for {{firstName}}</h2>",
+      css: "h2 { color: blue; }",
+    });
+    assert.equal(res.statusCode, "200");
+    const { url, expiresAt } = JSON.parse(res.body);
+    assert.match(url, /^https:\/\/web\.example\.com\/preview\/inst-public\?token=/);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    const page = await open(url);
+    assert.equal(page.statusCode, "200");
+    assert.equal(page.headers["Cache-Control"], "no-store");
+    assert.equal(page.headers["X-Robots-Tag"], "noindex");
+    assert.match(page.body, /id="tgl-preview-banner"/);
+    assert.match(page.body, /<h2>Draft for Ada<\/h2>/);
+    assert.match(page.body, /h2 \{ color: blue; \}/);
+    assert.match(page.body, /preview: true,/);
+    assert.doesNotMatch(page.body, /Hello Ada/);
+
+    const instance = world.repositories.tables.instances.get(IDS.publicInstance);
+    assert.equal(instance.numberOfVisits, undefined);
+    assert.equal(world.repositories.tables.events.size, 0);
+    assert.equal(world.deliveries.length, 0);
+  });
+
+  test("render webhook forms that cannot post to the live instance", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).form = {
+      schema: { properties: { note: { type: "string" } } },
+    };
+    const { url } = JSON.parse(
+      (await mint({ instanceId: IDS.publicInstance })).body
+    );
+    const page = await open(url);
+    const form = /<form [^>]*>/.exec(page.body)[0];
+    assert.doesNotMatch(form, /method=|action=/);
+    assert.match(
+      page.body,
+      /<button type="submit" class="tgl-form-submit" disabled>/
+    );
+    assert.match(
+      page.body,
+      /<div class="tgl-form-status" role="alert">Submitting is turned off in previews\.<\/div>/
+    );
+  });
+
+  test("render the draft S3 files, falling back to published ones", async () => {
+    world.repositories.blobs.objects.set(
+      `${WEBPAGES}/${IDS.publicWebhook}/draft/index.html`,
+      Buffer.from("<h3>S3 draft {{firstName}}</h3>")
+    );
+    const { url } = JSON.parse(
+      (await mint({ instanceId: IDS.publicInstance })).body
+    );
+    const page = await open(url);
+    assert.match(page.body, /<h3>S3 draft Ada<\/h3>/);
+    assert.match(page.body, /h1 \{ color: red; \}/);
+  });
+
+  test("reject tampered, foreign and revoked tokens", async () => {
+    const { url } = JSON.parse(
+      (await mint({ instanceId: IDS.publicInstance, html: "x" })).body
+    );
+    const tampered = url.replace(/token=.{4}/, "token=AAAA");
+    assert.equal((await open(tampered)).statusCode, "401");
+
+    const foreign = url.replace(IDS.publicInstance, IDS.passwordInstance);
+    assert.equal((await open(foreign)).statusCode, "401");
+
+    world.repositories.tables.instances.get(IDS.publicInstance).tokenVersion = 1;
+    assert.equal((await open(url)).statusCode, "401");
+  });
+
+  test("the live page has no preview banner", async () => {
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "text/html" },
+      })
+    );
+    assert.doesNotMatch(res.body, /tgl-preview-banner|preview: true/);
+  });
+});
@@ -0,0 +1,186 @@
+// test/redirect.test.mjs - Classic form posts and redirect-after-post
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { clearAllCaches } from "../src/utils/cache.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const path = `/instance/${IDS.publicInstance}`;
+const URLENCODED = { "Content-Type": "application/x-www-form-urlencoded" };
+const NAVIGATE = {
+  ...URLENCODED,
+  Accept: "text/html,application/xhtml+xml",
+  "Sec-Fetch-Mode": "navigate",
+};
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const webhook = () => world.repositories.tables.webhooks.get(IDS.publicWebhook);
+
+const submitEvents = () =>
+  [...world.repositories.tables.events.values()].filter(
+    (e) => e.type === "submit"
+  );
+
+const post = (headers, body = "note=hi", at = path) =>
+  handler(httpApiEvent({ method: "POST", path: at, headers, body }));
+
+const view = (cookies, headers = {}) =>
+  handler(
+    httpApiEvent({
+      path,
+      headers: { Accept: "text/html", ...headers },
+      cookies,
+    })
+  );
+
+describe("urlencoded submits", () => {
+  test("are parsed, with repeated names as arrays", async () => {
+    const res = await post(
+      URLENCODED,
+      "name=Ada+Lovelace&topic=a&topic=b&note=50%25+off&empty="
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.headers["Content-Type"], "application/json");
+    const [event] = submitEvents();
+    assert.deepEqual(JSON.parse(res.body), { ok: true, eventId: event.id });
+    assert.deepEqual(JSON.parse(event.body), {
+      files: [],
+      name: "Ada Lovelace",
+      topic: ["a", "b"],
+      note: "50% off",
+      empty: "",
+    });
+  });
+
+  test("go through the webhook's submission rules", async () => {
+    webhook().submissionSchema = {
+      properties: { seats: { type: "integer", maximum: 5 } },
+    };
+    const res = await post(
+      { ...URLENCODED, Accept: "application/json" },
+      "seats=9"
+    );
+    assert.equal(res.statusCode, "422");
+    assert.equal(JSON.parse(res.body).errors[0].code, "maximum");
+  });
+});
+
+describe("browser form posts", () => {
+  test("redirect to the instance with a one-time notice", async () => {
+    const res = await post(NAVIGATE);
+    assert.equal(res.statusCode, "303");
+    assert.equal(res.headers.Location, path);
+    assert.equal(res.body, "");
+    const cookie = res.headers["Set-Cookie"];
+    assert.match(
+      cookie,
+      /^tgl_flash=submitted; Max-Age=60; Path=\/instance\/inst-public;/
+    );
+    assert.match(cookie, /SameSite=Lax/);
+    assert.equal(submitEvents().length, 1);
+
+    const page = await view(["tgl_flash=submitted"]);
+    assert.equal(page.statusCode, "200");
+    assert.match(
+      page.body,
+      /<div id="tgl-flash" role="status"[^>]*>Thank you! Your response has been saved\.<\/div>/
+    );
+    assert.match(page.body, /flash: "Thank you!/);
+    assert.ok(
+      page.cookies.some((c) =>
+        /^tgl_flash=; Max-Age=0; Path=\/instance\/inst-public;/.test(c)
+      )
+    );
+
+    // Without the cookie the notice is gone
+    const again = await view();
+    assert.doesNotMatch(again.body, /tgl-flash/);
+    assert.notEqual(again.headers.ETag, page.headers.ETag);
+  });
+
+  test("translate the notice or use the webhook's message", async () => {
+    const es = await view(["tgl_flash=submitted"], {
+      "Accept-Language": "es-MX,es;q=0.9",
+    });
+    assert.match(es.body, /¡Gracias! Tu respuesta se ha guardado\./);
+
+    webhook().submitMessage = "Got it, <b>thanks</b>";
+    clearAllCaches();
+    const custom = await view(["tgl_flash=submitted"]);
+    assert.match(custom.body, />Got it, &lt;b&gt;thanks&lt;\/b&gt;<\/div>/);
+    assert.match(custom.body, /flash: "Got it, \\u003cb\\u003ethanks\\u003c\/b\\u003e"/);
+  });
+
+  test("go to the submitPage, under the path that was posted to", async () => {
+    webhook().pages = { thanks: { html: "<h2>Thanks</h2>" } };
+    webhook().submitPage = "thanks";
+    const res = await post(NAVIGATE);
+    assert.equal(res.headers.Location, `${path}/p/thanks`);
+
+    const composite = await post(
+      NAVIGATE,
+      "note=hi",
+      `/instance/${IDS.publicWebhook}/ext-1`
+    );
+    assert.equal(
+      composite.headers.Location,
+      "/instance/wh-public/ext-1/p/thanks"
+    );
+    assert.match(
+      composite.headers["Set-Cookie"],
+      /Path=\/instance\/wh-public\/ext-1;/
+    );
+  });
+
+  test("go to a configured thank-you URL without a cookie", async () => {
+    webhook().submitRedirectUrl = "https://example.com/thanks?from=form";
+    const res = await post(NAVIGATE);
+    assert.equal(res.statusCode, "303");
+    assert.equal(res.headers.Location, "https://example.com/thanks?from=form");
+    assert.equal(res.headers["Set-Cookie"], undefined);
+
+    webhook().submitRedirectUrl = "javascript:alert(1)";
+    clearAllCaches();
+    assert.equal((await post(NAVIGATE)).headers.Location, path);
+  });
+
+  test("see their field errors on the error page", async () => {
+    webhook().submissionSchema = {
+      required: ["email"],
+      properties: { email: { type: "string", title: "Email" } },
+    };
+    const res = await post(NAVIGATE);
+    assert.equal(res.statusCode, "422");
+    assert.match(res.headers["Content-Type"], /text\/html/);
+    assert.match(
+      res.body,
+      /<ul class="errors"><li>Email is required<\/li><\/ul>/
+    );
+    assert.equal(submitEvents().length, 0);
+  });
+});
+
+describe("script and API submits", () => {
+  test("get JSON with the event ID", async () => {
+    for (const headers of [
+      { ...URLENCODED, Accept: "text/html", "Sec-Fetch-Mode": "cors" },
+      {
+        ...URLENCODED,
+        Accept: "text/html",
+        "X-Requested-With": "XMLHttpRequest",
+      },
+      { ...URLENCODED, Accept: "*/*" },
+    ]) {
+      const res = await post(headers);
+      assert.equal(res.statusCode, "200", JSON.stringify(headers));
+      assert.equal(typeof JSON.parse(res.body).eventId, "string");
+    }
+  });
+});
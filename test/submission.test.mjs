@@ -0,0 +1,196 @@
+// test/submission.test.mjs - Per-webhook submission rules
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { validateSubmission } from "../src/forms/schema.mjs";
+import { getRecordedMetrics } from "../src/utils/metrics.mjs";
+import { httpApiEvent, multipartBody } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+const RULES = {
+  type: "object",
+  required: ["email", "age"],
+  properties: {
+    email: { type: "string", format: "email", title: "Email" },
+    age: { type: "integer", minimum: 18, maximum: 120, title: "Age" },
+    code: { type: "string", pattern: "^[A-Z]{2}-\\d{3}$" },
+    plan: { type: "string", enum: ["basic", "pro"] },
+    company: { type: "string", title: "Company" },
+    shipping: { type: "boolean" },
+    address: { type: "string", title: "Address" },
+    photos: {
+      type: "array",
+      items: {
+        type: "string",
+        format: "binary",
+        contentMediaType: "image/*",
+      },
+      maxItems: 2,
+      title: "Photos",
+    },
+  },
+  dependentRequired: { shipping: ["address"] },
+  allOf: [
+    {
+      if: { required: ["plan"], properties: { plan: { const: "pro" } } },
+      then: { required: ["company"], properties: { age: { minimum: 21 } } },
+    },
+  ],
+};
+
+const path = `/instance/${IDS.publicInstance}`;
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  Accept: "application/json",
+};
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+  world.repositories.tables.webhooks.get(IDS.publicWebhook).submissionSchema =
+    RULES;
+});
+
+const submitEvents = () =>
+  [...world.repositories.tables.events.values()].filter(
+    (e) => e.type === "submit"
+  );
+
+const post = (body, headers = JSON_HEADERS) =>
+  handler(httpApiEvent({ method: "POST", path, headers, body }));
+
+const codes = (errors) => errors.map(({ field, code }) => `${field}:${code}`);
+
+describe("submission rules", () => {
+  test("reject violations with 422 before storing or notifying", async () => {
+    const res = await post(
+      JSON.stringify({ email: "x", age: "12", code: "ab-1", plan: "gold" })
+    );
+    assert.equal(res.statusCode, "422");
+    const body = JSON.parse(res.body);
+    assert.equal(body.code, "invalid_submission");
+    assert.deepEqual(codes(body.errors), [
+      "email:format",
+      "age:minimum",
+      "code:pattern",
+      "plan:enum",
+    ]);
+    assert.match(body.errors[1].message, /^Age must be at least 18$/);
+    assert.equal(submitEvents().length, 0);
+    assert.equal(world.deliveries.length, 0);
+    assert.ok(getRecordedMetrics().some((m) => m.name === "SubmitRejected"));
+  });
+
+  test("store valid submissions with typed values", async () => {
+    const res = await post(
+      JSON.stringify({ email: "ada@example.com", age: "36", code: "AB-123" })
+    );
+    assert.equal(res.statusCode, "200");
+    const stored = JSON.parse(submitEvents()[0].body);
+    assert.equal(stored.age, 36);
+    assert.equal(stored.shipping, false);
+    assert.equal(world.deliveries.length, 1);
+  });
+
+  test("check file types and counts", async () => {
+    const photo = (filename, contentType) => ({
+      name: "photos",
+      filename,
+      contentType,
+      value: "x",
+    });
+    const { body, contentType } = multipartBody([
+      { name: "email", value: "ada@example.com" },
+      { name: "age", value: "30" },
+      photo("a.png", "image/png"),
+      photo("b.jpg", "image/jpeg"),
+      photo("c.pdf", "application/pdf"),
+    ]);
+    const res = await post(body, {
+      "Content-Type": contentType,
+      Accept: "application/json",
+    });
+    assert.equal(res.statusCode, "422");
+    const { errors } = JSON.parse(res.body);
+    assert.deepEqual(codes(errors), ["photos:maxItems", "photos:fileType"]);
+    assert.match(errors[1].message, /c\.pdf/);
+  });
+
+  test("apply dependentRequired and if/then conditions", async () => {
+    const base = { email: "ada@example.com", age: 19 };
+    const res = await post(
+      JSON.stringify({ ...base, plan: "pro", shipping: "on" })
+    );
+    const { errors } = JSON.parse(res.body);
+    assert.deepEqual(codes(errors), [
+      "address:required",
+      "company:required",
+      "age:minimum",
+    ]);
+    assert.equal(
+      errors[0].message,
+      "Address is required when shipping is given"
+    );
+    assert.equal(errors[2].message, "Age must be at least 21");
+
+    // The condition does not hold for other plans
+    const basic = await post(JSON.stringify({ ...base, plan: "basic" }));
+    assert.equal(basic.statusCode, "200");
+  });
+});
+
+describe("validateSubmission", () => {
+  test("applies the form schema and submissionSchema together", () => {
+    const webhook = {
+      form: {
+        schema: {
+          required: ["email"],
+          properties: { email: { type: "string" }, n: { type: "number" } },
+        },
+      },
+      submissionSchema: {
+        required: ["email", "n"],
+        properties: { n: { type: "number", maximum: 5 } },
+      },
+    };
+    assert.deepEqual(codes(validateSubmission(webhook, {}).errors), [
+      "email:required",
+      "n:required",
+    ]);
+    const checked = validateSubmission(webhook, { email: "a", n: "9" });
+    assert.deepEqual(codes(checked.errors), ["n:maximum"]);
+    assert.equal(checked.data.n, 9);
+  });
+
+  test("reports uploads for fields the schema does not list", () => {
+    const { errors } = validateSubmission(
+      {
+        submissionSchema: {
+          properties: { doc: { type: "string", format: "binary" } },
+          additionalProperties: false,
+        },
+      },
+      { files: [{ field: "other", filename: "a.txt" }] }
+    );
+    assert.deepEqual(codes(errors), ["other:unknown_field"]);
+  });
+
+  test("require names without a property", () => {
+    const { errors } = validateSubmission(
+      { submissionSchema: { required: ["ref"] } },
+      { other: "x" }
+    );
+    assert.deepEqual(errors, [
+      { field: "ref", code: "required", message: "ref is required" },
+    ]);
+  });
+
+  test("no rules means no errors", () => {
+    assert.deepEqual(validateSubmission({}, { a: 1 }), {
+      data: { a: 1 },
+      errors: [],
+    });
+  });
+});
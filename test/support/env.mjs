@@ -0,0 +1,10 @@
+// test/support/env.mjs - Environment for the test run
+// Imported before any src module so config modules read these values.
+
+process.env.STORAGE_DRIVER = "local";
+process.env.COGNITO_USER_POOL_ID = "us-east-2_TestPool1";
+process.env.COGNITO_CLIENT_ID = "test-client-id";
+process.env.S3_BUCKET = "test-bucket";
+process.env.S3_FILE_PREFIX = "public/clientWebhookInstanceFiles";
+process.env.LOG_LEVEL ??= "silent";
+process.env.METRICS_MODE ??= "noop";
@@ -0,0 +1,125 @@
+// test/support/events.mjs - API Gateway event fixture builders
+
+import { randomUUID } from "crypto";
+
+const DEFAULT_SOURCE_IP = "203.0.113.10";
+
+/**
+ * Build an API Gateway HTTP API (payload v2.0) event for the {proxy+} route.
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Raw path, e.g. "/instance/abc"
+ * @param {Object} [options.headers] - Request headers (sent lowercased, as v2 does)
+ * @param {string[]} [options.cookies] - "name=value" cookies (v2 cookies array)
+ * @param {Object} [options.query] - Query string parameters
+ * @param {string|Buffer} [options.body] - Request body
+ * @param {boolean} [options.base64] - Send the body base64-encoded
+ */
+export function httpApiEvent({
+  method = "GET",
+  path,
+  headers = {},
+  cookies,
+  query,
+  body,
+  base64 = false,
+  sourceIp = DEFAULT_SOURCE_IP,
+}) {
+  const lowerHeaders = {};
+  for (const [key, value] of Object.entries(headers)) {
+    lowerHeaders[key.toLowerCase()] = value;
+  }
+
+  return {
+    version: "2.0",
+    routeKey: "ANY /{proxy+}",
+    rawPath: path,
+    rawQueryString: new URLSearchParams(query || {}).toString(),
+    cookies,
+    headers: lowerHeaders,
+    queryStringParameters: query,
+    pathParameters: { proxy: path.replace(/^\//, "") },
+    requestContext: {
+      accountId: "123456789012",
+      apiId: "testapi",
+      domainName: "web.thegraphitelab.com",
+      requestId: randomUUID(),
+      routeKey: "ANY /{proxy+}",
+      stage: "$default",
+      http: {
+        method,
+        path,
+        protocol: "HTTP/1.1",
+        sourceIp,
+        userAgent: headers["User-Agent"] || "node-test",
+      },
+    },
+    body:
+      body === undefined
+        ? undefined
+        : base64
+        ? Buffer.from(body).toString("base64")
+        : String(body),
+    isBase64Encoded: base64,
+  };
+}
+
+/**
+ * Build an API Gateway REST API (payload v1.0) event with the greedy
+ * {instanceID+} path parameter, as V1 integrations send it.
+ */
+export function restApiEvent({
+  method = "GET",
+  path,
+  headers = {},
+  query,
+  body,
+  sourceIp = DEFAULT_SOURCE_IP,
+}) {
+  const greedy = path.replace(/^\/(instance|webhooks\/instances)\//, "");
+  return {
+    resource: "/webhooks/instances/{instanceID+}",
+    path,
+    httpMethod: method,
+    headers,
+    queryStringParameters: query || null,
+    pathParameters: { instanceID: greedy },
+    requestContext: {
+      requestId: randomUUID(),
+      stage: "prod",
+      identity: { sourceIp },
+    },
+    body: body === undefined ? null : String(body),
+    isBase64Encoded: false,
+  };
+}
+
+/**
+ * Build a multipart/form-data body.
+ * @param {Array<{ name: string, value?: string|Buffer, filename?: string, contentType?: string }>} parts
+ * @returns {{ body: string|Buffer, contentType: string }} body is a Buffer
+ *   when any value is
+ */
+export function multipartBody(parts, boundary = "----tglTestBoundary") {
+  const chunks = [];
+  for (const part of parts) {
+    const lines = [`--${boundary}`];
+    if (part.filename) {
+      lines.push(
+        `Content-Disposition: form-data; name="${part.name}"; filename="${part.filename}"`,
+        `Content-Type: ${part.contentType || "application/octet-stream"}`
+      );
+    } else {
+      lines.push(`Content-Disposition: form-data; name="${part.name}"`);
+    }
+    chunks.push(lines.join("\r\n") + "\r\n\r\n", part.value ?? "", "\r\n");
+  }
+  chunks.push(`--${boundary}--\r\n`);
+  const binary = chunks.some(Buffer.isBuffer);
+  return {
+    body: binary
+      ? Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)))
+      : chunks.join(""),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
@@ -0,0 +1,213 @@
+// test/support/world.mjs - Local stand-ins for DynamoDB, S3, Secrets Manager
+// and Cognito, seeded with one client and an instance per auth type.
+
+import { generateKeyPairSync, createSign, randomUUID } from "crypto";
+import axios from "axios";
+import { cognitoClient } from "../../src/config/aws.mjs";
+import { cacheCognitoJwks } from "../../src/auth/cognito.mjs";
+import { createLocalRepositories } from "../../src/repositories/local.mjs";
+import { setRepositories } from "../../src/repositories/index.mjs";
+import { clearRecordedMetrics } from "../../src/utils/metrics.mjs";
+import { clearAllCaches } from "../../src/utils/cache.mjs";
+import {
+  createJwtHs256,
+  deriveCookieSigningKey,
+  deriveSigningKey,
+  makeCompactToken,
+  nowSec,
+} from "../../src/helperToken/token.mjs";
+import { cookieNameFor } from "../../src/auth/cookie.mjs";
+
+export const CLIENT_ID = "client-1";
+export const CLIENT_SECRET = "test-client-secret";
+
+export const IDS = {
+  publicWebhook: "wh-public",
+  passwordWebhook: "wh-password",
+  cognitoWebhook: "wh-cognito",
+  publicInstance: "inst-public",
+  passwordInstance: "inst-password",
+  tokenInstance: "inst-token",
+  cognitoInstance: "inst-cognito",
+  member: "user-member",
+  outsider: "user-outsider",
+};
+
+function seedData() {
+  const webhook = (id, extra = {}) => ({
+    id,
+    ClientID: CLIENT_ID,
+    title: `Title ${id}`,
+    html: "<h1>Hello {{firstName}}</h1><p>{{client.name}}</p><script>var last = {{postEvent}};</script>",
+    style: "h1 { color: red; }",
+    ...extra,
+  });
+  const instance = (id, WebhookID, extra = {}) => ({
+    id,
+    WebhookID,
+    UserID: "owner-1",
+    inputs: JSON.stringify({ firstName: "Ada" }),
+    tokenVersion: 0,
+    ...extra,
+  });
+
+  return {
+    clients: [{ id: CLIENT_ID, name: "Acme Co", primaryColor: "#123456" }],
+    webhooks: [
+      webhook(IDS.publicWebhook),
+      webhook(IDS.passwordWebhook, { passwordProtected: true }),
+      webhook(IDS.cognitoWebhook, { authenticationType: "user" }),
+    ],
+    instances: [
+      instance(IDS.publicInstance, IDS.publicWebhook, { externalID: "ext-1" }),
+      instance(IDS.passwordInstance, IDS.passwordWebhook, {
+        password: "open-sesame",
+      }),
+      instance(IDS.tokenInstance, IDS.passwordWebhook, {
+        password: "open-sesame",
+        authKey: "instance-auth-key",
+      }),
+      instance(IDS.cognitoInstance, IDS.cognitoWebhook),
+    ],
+    users: [
+      { id: IDS.member, ClientID: CLIENT_ID, type: "client" },
+      { id: IDS.outsider, ClientID: "client-2", type: "client" },
+    ],
+    subscriptions: [
+      {
+        id: "sub-1",
+        webhookID: IDS.publicWebhook,
+        type: "submit",
+        url: "https://hooks.example.com/submit",
+      },
+    ],
+    secrets: {
+      [`Client_${CLIENT_ID}_EncodingSecret`]: { value: CLIENT_SECRET },
+    },
+  };
+}
+
+// ── Cognito stand-in: locally signed ID tokens + stubbed SRP exchange
+const { publicKey, privateKey } = generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KID = "test-key";
+cacheCognitoJwks({
+  keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }],
+});
+
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+export function signIdToken({ sub, ttlSec = 3600 }) {
+  const iat = nowSec();
+  const header = b64url({ alg: "RS256", kid: KID, typ: "JWT" });
+  const payload = b64url({
+    sub,
+    aud: process.env.COGNITO_CLIENT_ID,
+    iss: `https://cognito-idp.us-east-2.amazonaws.com/${process.env.COGNITO_USER_POOL_ID}`,
+    token_use: "id",
+    auth_time: iat,
+    iat,
+    exp: iat + ttlSec,
+  });
+  const signature = createSign("RSA-SHA256")
+    .update(`${header}.${payload}`)
+    .sign(privateKey)
+    .toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+// Accepts any username whose password is "correct-horse"
+function stubCognitoSend() {
+  const pending = new Map();
+  cognitoClient.send = async (command) => {
+    const name = command.constructor.name;
+    const input = command.input;
+    if (
+      name === "InitiateAuthCommand" &&
+      input.AuthFlow === "REFRESH_TOKEN_AUTH"
+    ) {
+      // Refresh tokens are "refresh-token:{sub}"
+      const [prefix, sub] = input.AuthParameters.REFRESH_TOKEN.split(":");
+      if (prefix !== "refresh-token" || !sub) {
+        const err = new Error("Invalid Refresh Token");
+        err.name = "NotAuthorizedException";
+        throw err;
+      }
+      return { AuthenticationResult: { IdToken: signIdToken({ sub }) } };
+    }
+    if (name === "InitiateAuthCommand") {
+      const session = randomUUID();
+      pending.set(session, input.AuthParameters.USERNAME);
+      return {
+        ChallengeName: "PASSWORD_VERIFIER",
+        Session: session,
+        ChallengeParameters: {
+          USER_ID_FOR_SRP: input.AuthParameters.USERNAME,
+          SALT: "a1b2c3d4e5f6",
+          SRP_B: "ab".repeat(384),
+          SECRET_BLOCK: Buffer.from("secret-block").toString("base64"),
+        },
+      };
+    }
+    if (name === "RespondToAuthChallengeCommand") {
+      const username = pending.get(input.Session);
+      if (username !== IDS.member) {
+        const err = new Error("Incorrect username or password.");
+        err.name = "NotAuthorizedException";
+        throw err;
+      }
+      return {
+        AuthenticationResult: {
+          IdToken: signIdToken({ sub: username }),
+          RefreshToken: `refresh-token:${username}`,
+        },
+      };
+    }
+    throw new Error(`Unexpected Cognito command ${name}`);
+  };
+}
+
+// ── Token helpers mirroring what real clients hold
+export function passwordSessionCookie(instanceId, { tokenVersion = 0 } = {}) {
+  const key = deriveCookieSigningKey(CLIENT_SECRET, instanceId);
+  const jwt = createJwtHs256({
+    key,
+    payload: { iid: instanceId, tv: tokenVersion },
+    ttlSec: 3600,
+    iss: "tgl",
+    aud: `wi:${instanceId}`,
+  });
+  return `${cookieNameFor(instanceId)}=${encodeURIComponent(jwt)}`;
+}
+
+export function legacyQueryToken(instanceId, authKey) {
+  return makeCompactToken({
+    signingKey: deriveSigningKey(CLIENT_SECRET, authKey),
+    instanceId,
+    tokenVersion: 0,
+    iat: nowSec(),
+    ttlSeconds: 600,
+  });
+}
+
+/**
+ * Reset all stand-ins to freshly seeded state.
+ * @returns {{ repositories: Object, deliveries: Array }} Repositories (with
+ *   raw `tables` and in-memory `blobs.objects`) and captured subscription posts
+ */
+export function resetWorld() {
+  const repositories = createLocalRepositories({ seed: seedData() });
+  setRepositories(repositories);
+  stubCognitoSend();
+  clearRecordedMetrics();
+  clearAllCaches();
+
+  const deliveries = [];
+  axios.post = async (url, data) => {
+    deliveries.push({ url, data });
+    return { status: 200 };
+  };
+
+  return { repositories, deliveries };
+}
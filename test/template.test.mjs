@@ -0,0 +1,580 @@
+// test/template.test.mjs - Template language rendered by replaceHtmlVariables
+
+import "./support/env.mjs";
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { replaceHtmlVariables } from "../src/utils/html.mjs";
+import { parseTemplate } from "../src/template/parse.mjs";
+import { expandPartials } from "../src/template/partials.mjs";
+import { validateTemplate } from "../src/template/validate.mjs";
+import { handler } from "../src/index.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld, signIdToken } from "./support/world.mjs";
+
+const data = {
+  firstName: "Ada",
+  showNote: true,
+  empty: [],
+  items: [
+    { name: "Widget", qty: 2 },
+    { name: "Gadget", qty: 1 },
+  ],
+  totals: { net: 10, tax: 2 },
+  client: { name: "Acme Co", address: { city: "Austin" } },
+};
+data.inputs = { firstName: data.firstName };
+
+describe("variables (existing behavior)", () => {
+  test("substitutes top-level and nested values", () => {
+    assert.equal(
+      replaceHtmlVariables("<p>{{ firstName }} @ {{client.address.city}}</p>", data),
+      "<p>Ada @ Austin</p>"
+    );
+  });
+
+  test("missing values are empty, or quote-empty inside <script>", () => {
+    assert.equal(
+      replaceHtmlVariables(
+        '<p>{{nope}}</p><script>var a = {{nope}}; var b = "{{nope}}";</script>',
+        data
+      ),
+      '<p></p><script>var a = ""; var b = "";</script>'
+    );
+  });
+
+  test("leaves {{postEvent}} for replaceHtmlWithEvent", () => {
+    assert.equal(
+      replaceHtmlVariables("<script>var e = {{postEvent}};</script>", data),
+      "<script>var e = {{postEvent}};</script>"
+    );
+  });
+});
+
+describe("block helpers", () => {
+  test("#if renders the body or the else branch", () => {
+    const tpl = "{{#if inputs.firstName}}Hi {{firstName}}{{else}}Hi there{{/if}}";
+    assert.equal(replaceHtmlVariables(tpl, data), "Hi Ada");
+    assert.equal(replaceHtmlVariables(tpl, { inputs: {} }), "Hi there");
+    assert.equal(
+      replaceHtmlVariables("{{#if empty}}x{{else}}none{{/if}}", data),
+      "none"
+    );
+  });
+
+  test("#each iterates arrays with @index and falls back to outer scope", () => {
+    assert.equal(
+      replaceHtmlVariables(
+        "<ul>{{#each items}}<li>{{@index}}. {{name}} x{{this.qty}} ({{client.name}})</li>{{/each}}</ul>",
+        data
+      ),
+      "<ul><li>0. Widget x2 (Acme Co)</li><li>1. Gadget x1 (Acme Co)</li></ul>"
+    );
+  });
+
+  test("#each iterates objects with @key and renders else when empty", () => {
+    assert.equal(
+      replaceHtmlVariables("{{#each totals}}{{@key}}={{this}};{{/each}}", data),
+      "net=10;tax=2;"
+    );
+    assert.equal(
+      replaceHtmlVariables("{{#each empty}}x{{else}}No items{{/each}}", data),
+      "No items"
+    );
+  });
+
+  test("#with scopes lookups to a nested object", () => {
+    assert.equal(
+      replaceHtmlVariables(
+        "{{#with client}}{{name}}, {{address.city}} for {{firstName}}{{/with}}",
+        data
+      ),
+      "Acme Co, Austin for Ada"
+    );
+  });
+
+  test("blocks nest", () => {
+    assert.equal(
+      replaceHtmlVariables(
+        "{{#each items}}{{#if @first}}[{{/if}}{{name}}{{#if @last}}]{{else}},{{/if}}{{/each}}",
+        data
+      ),
+      "[Widget,Gadget]"
+    );
+  });
+});
+
+describe("malformed templates", () => {
+  test("unbalanced tags still render and are reported", () => {
+    const tpl = "a{{/if}}b{{#if showNote}}c{{else}}d";
+    assert.equal(replaceHtmlVariables(tpl, data), "abc");
+    assert.deepEqual(
+      parseTemplate(tpl).errors.map((e) => e.message),
+      ["Unexpected {{/if}}", "Unclosed {{#if}}"]
+    );
+  });
+
+  test("mismatched closers close the matching block", () => {
+    const { errors } = parseTemplate("{{#each items}}{{#if name}}x{{/each}}");
+    assert.deepEqual(
+      errors.map((e) => e.message),
+      ["{{/each}} closes {{#if}}"]
+    );
+  });
+});
+
+describe("context-aware escaping", () => {
+  const evil = {
+    name: `<img src=x onerror="alert(1)">`,
+    quote: `O'Brien "Bob"`,
+    url: "javascript:alert(1)",
+    site: "https://example.com/a b",
+    query: "a&b=c d",
+    count: 3,
+    tags: ["a", "b"],
+    banner: "<strong>Sale</strong>",
+  };
+  const render = (tpl, options) => replaceHtmlVariables(tpl, evil, options);
+
+  test("HTML-escapes text and quoted attributes", () => {
+    assert.equal(
+      render("<p>{{name}}</p>"),
+      "<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>"
+    );
+    assert.equal(
+      render(`<input value="{{quote}}">`),
+      `<input value="O&#39;Brien &quot;Bob&quot;">`
+    );
+  });
+
+  test("entity-encodes unquoted attribute values", () => {
+    assert.equal(
+      render("<input value={{quote}}>"),
+      "<input value=O&#x27;Brien&#x20;&#x22;Bob&#x22;>"
+    );
+  });
+
+  test("checks whole URLs and encodes URL pieces", () => {
+    assert.equal(render(`<a href="{{url}}">x</a>`), `<a href="#">x</a>`);
+    assert.equal(
+      render(`<img src="{{site}}">`),
+      `<img src="https://example.com/a%20b">`
+    );
+    assert.equal(
+      render(`<a href="/search?q={{query}}">x</a>`),
+      `<a href="/search?q=a%26b%3Dc%20d">x</a>`
+    );
+  });
+
+  test("keeps values inside a tag to attribute name characters", () => {
+    const values = { attrs: "x onmouseover=alert(1)", key: `a"b c` };
+    assert.equal(
+      replaceHtmlVariables(`<div {{attrs}} data-{{key}}="1">x</div>`, values),
+      `<div xonmouseoveralert1 data-abc="1">x</div>`
+    );
+  });
+
+  test("CSS-escapes values in style attributes", () => {
+    assert.equal(
+      replaceHtmlVariables(`<p style="color: {{color}}">x</p>`, {
+        color: "red; background:url(//evil)",
+      }),
+      `<p style="color: red background:url(//evil)">x</p>`
+    );
+    assert.equal(
+      replaceHtmlVariables(`<p style={{color}}>x</p>`, {
+        color: `red;"onclick=alert(1)`,
+      }),
+      `<p style=redonclick&#x3d;alert&#x28;1&#x29;>x</p>`
+    );
+  });
+
+  test("emits JS literals in script code and escapes JS strings", () => {
+    assert.equal(
+      render(
+        `<script>var n = {{count}}; var t = {{tags}}; var s = '{{quote}}'; var h = {{name}};</script>`
+      ),
+      `<script>var n = 3; var t = ["a","b"]; var s = 'O\\u0027Brien \\u0022Bob\\u0022'; ` +
+        `var h = "\\u003cimg src=x onerror=\\"alert(1)\\"\\u003e";</script>`
+    );
+  });
+
+  test("double-quoted script strings are JS-escaped", () => {
+    assert.equal(
+      render(`<script>var a = "{{quote}}"; var b = {{count}};</script>`),
+      `<script>var a = "O\\u0027Brien \\u0022Bob\\u0022"; var b = 3;</script>`
+    );
+  });
+
+  test("triple-stash inserts trusted HTML raw", () => {
+    assert.equal(render("<div>{{{banner}}}</div>"), "<div><strong>Sale</strong></div>");
+  });
+
+  test("legacy mode keeps the raw, unquoted output", () => {
+    assert.equal(
+      render(`<p>{{banner}}</p><script>var n = {{count}}; var m = "{{nope}}";</script>`, {
+        escaping: "legacy",
+      }),
+      `<p><strong>Sale</strong></p><script>var n = 3; var m = "";</script>`
+    );
+  });
+});
+
+describe("rendered instance pages", () => {
+  const renderWith = async (webhookFields) => {
+    const { repositories } = resetWorld();
+    const instance = repositories.tables.instances.get(IDS.publicInstance);
+    instance.inputs = JSON.stringify({ firstName: "<b>Ada</b>" });
+    Object.assign(
+      repositories.tables.webhooks.get(IDS.publicWebhook),
+      webhookFields
+    );
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "text/html" },
+      })
+    );
+    return res.body;
+  };
+
+  test("escape inputs by default", async () => {
+    assert.match(await renderWith({}), /<h1>Hello &lt;b&gt;Ada&lt;\/b&gt;<\/h1>/);
+  });
+
+  test("submitted data cannot end the InstanceMeta script", async () => {
+    resetWorld();
+    const path = `/instance/${IDS.publicInstance}`;
+    const attack = "</script><script>alert(1)</script>";
+    const submit = await handler(
+      httpApiEvent({
+        method: "POST",
+        path,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ note: attack }),
+      })
+    );
+    assert.equal(submit.statusCode, "200");
+
+    const { body } = await handler(
+      httpApiEvent({ path, headers: { Accept: "text/html" } })
+    );
+    assert.ok(!body.includes(attack));
+    assert.match(body, /\\u003c\/script\\u003e\\u003cscript\\u003ealert\(1\)/);
+    // One InstanceMeta script, still closed where it should be
+    const meta = /var InstanceMeta = ([\s\S]*?);\n/.exec(body)[1];
+    assert.doesNotMatch(meta, /<\/script/i);
+  });
+
+  test("webhook.templateEscaping = legacy keeps raw output", async () => {
+    assert.match(
+      await renderWith({ templateEscaping: "legacy" }),
+      /<h1>Hello <b>Ada<\/b><\/h1>/
+    );
+  });
+});
+
+describe("filters", () => {
+  const values = {
+    amount: 1234.5,
+    dueDate: "2024-03-05T15:04:00Z",
+    name: "ada",
+    note: "",
+    phone: "555.123.4567",
+    text: "line 1\n<line 2>",
+    currency: "EUR",
+  };
+  const render = (tpl, options) => replaceHtmlVariables(tpl, values, options);
+
+  test("format currency, dates, case, defaults and phone numbers", () => {
+    assert.equal(render(`{{amount | currency:"USD"}}`), "$1,234.50");
+    assert.equal(render(`{{amount | currency:currency}}`), "€1,234.50");
+    assert.equal(render(`{{dueDate | date:"MMM d, yyyy"}}`), "Mar 5, 2024");
+    assert.equal(
+      render(`{{dueDate | date:"EEEE 'at' h:mm a"}}`),
+      "Tuesday at 3:04 PM"
+    );
+    assert.equal(render("{{name | upper}}"), "ADA");
+    assert.equal(render(`{{note | default:"N/A"}}`), "N/A");
+    assert.equal(render(`{{missing | default:"N/A" | upper}}`), "N/A");
+    assert.equal(render("{{phone | phone}}"), "(555) 123-4567");
+  });
+
+  test("use the locale and time zone from options", () => {
+    const options = { locale: "de-DE", timeZone: "America/Chicago" };
+    assert.equal(
+      render(`{{amount | currency:"EUR"}}`, options),
+      "1.234,50 €"
+    );
+    assert.equal(render(`{{dueDate | date:"d. MMMM yyyy HH:mm"}}`, options), "5. März 2024 09:04");
+  });
+
+  test("nl2br escapes the text and keeps its line breaks", () => {
+    assert.equal(render("<p>{{text | nl2br}}</p>"), "<p>line 1<br>&lt;line 2&gt;</p>");
+  });
+
+  test("filtered values are still escaped for their context", () => {
+    assert.equal(
+      render(`<script>var due = {{dueDate | date:"MMM d"}};</script>`),
+      `<script>var due = "Mar 5";</script>`
+    );
+  });
+
+  test("unknown or failing filters leave a visible marker", () => {
+    assert.equal(render("<p>{{name | shout}}</p>"), "<p>[unknown filter: shout]</p>");
+    assert.equal(
+      render(`<p>{{amount | currency:"NOPE!"}}</p>`),
+      "<p>[filter error: currency]</p>"
+    );
+  });
+});
+
+describe("rendered filters", () => {
+  test("fall back to the client's locale", async () => {
+    const { repositories } = resetWorld();
+    Object.assign(repositories.tables.clients.get("client-1"), {
+      locale: "de-DE",
+    });
+    Object.assign(repositories.tables.webhooks.get(IDS.publicWebhook), {
+      html: `<p>{{total | currency:"EUR"}}</p>`,
+    });
+    repositories.tables.instances.get(IDS.publicInstance).inputs =
+      JSON.stringify({ total: 1234.5 });
+
+    const res = await handler(
+      httpApiEvent({
+        path: `/instance/${IDS.publicInstance}`,
+        headers: { Accept: "text/html" },
+      })
+    );
+    assert.match(res.body, /<p>1\.234,50\s€<\/p>/);
+  });
+});
+
+describe("partials and layouts", () => {
+  const library = {
+    header: "<header>{{client.name}}</header>",
+    footer: "<footer>{{> legal}}</footer>",
+    legal: "&copy; {{client.name}}",
+    "client-default":
+      "<div class=\"layout\">{{> header}}<main>{{> @content}}</main>{{> footer}}</div>",
+    loop: "{{> loop}}",
+    a: "{{> b}}",
+    b: "{{> a}}",
+  };
+  const load = async (name) => library[name] ?? null;
+
+  test("includes nested partials", async () => {
+    assert.equal(
+      await expandPartials("{{> header}}<p>x</p>{{> footer}}", load),
+      "<header>{{client.name}}</header><p>x</p><footer>&copy; {{client.name}}</footer>"
+    );
+  });
+
+  test("wraps the page in a layout", async () => {
+    const html = await expandPartials(
+      `<!-- page -->{{#layout "client-default"}}<h1>{{title}}</h1>{{/layout}}`,
+      load
+    );
+    assert.equal(
+      replaceHtmlVariables(html, { title: "Hi", client: { name: "Acme" } }),
+      `<!-- page --><div class="layout"><header>Acme</header><main><h1>Hi</h1></main>` +
+        `<footer>&copy; Acme</footer></div>`
+    );
+  });
+
+  test("cycles, missing and invalid partials leave comments", async () => {
+    assert.equal(
+      await expandPartials("{{> loop}}|{{> a}}|{{> nope}}|{{> ../x}}", load),
+      `<!-- partial "loop" includes itself -->|<!-- partial "a" includes itself -->|` +
+        `<!-- partial "nope" not found -->|<!-- invalid partial name -->`
+    );
+  });
+
+  test("stops at the depth limit", async () => {
+    const deep = async (name) => `{{> ${name}x}}`;
+    const html = await expandPartials("{{> p}}", deep);
+    assert.match(html, /nested too deeply/);
+  });
+
+  test("pages pull client partials from S3 next to their webpages", async () => {
+    const { repositories } = resetWorld();
+    const base =
+      "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34";
+    repositories.blobs.objects.set(
+      `${base}/partials/client-default.html`,
+      Buffer.from("<div class=\"shell\">{{> @content}}</div>")
+    );
+    Object.assign(repositories.tables.webhooks.get(IDS.publicWebhook), {
+      html: `{{#layout "client-default"}}<h1>Hello {{firstName}}</h1>{{/layout}}`,
+    });
+
+    const get = () =>
+      handler(
+        httpApiEvent({
+          path: `/instance/${IDS.publicInstance}`,
+          headers: { Accept: "text/html" },
+        })
+      );
+    assert.match((await get()).body, /<div class="shell"><h1>Hello Ada<\/h1><\/div>/);
+
+    // Served from the warm cache until it expires
+    repositories.blobs.objects.delete(`${base}/partials/client-default.html`);
+    assert.match((await get()).body, /<div class="shell">/);
+  });
+});
+
+describe("template validation", () => {
+  const codes = (result) => result.issues.map((i) => i.code);
+
+  test("reports unbalanced blocks and unclosed tags with positions", () => {
+    const result = validateTemplate("<p>\n{{#if a}}x{{/each}}\n{{name</p>");
+    assert.equal(result.ok, false);
+    assert.deepEqual(codes(result), [
+      "unbalanced_block",
+      "unbalanced_block",
+      "unclosed_tag",
+    ]);
+    assert.deepEqual(
+      { line: result.issues[2].line, column: result.issues[2].column },
+      { line: 3, column: 1 }
+    );
+  });
+
+  test("reports unclosed and stray script tags", () => {
+    assert.deepEqual(codes(validateTemplate("</script><script>x")), [
+      "stray_script_close",
+      "unclosed_script",
+    ]);
+  });
+
+  test("reports variables missing from some samples", () => {
+    const result = validateTemplate(
+      "{{firstName}} {{lastName}} {{nick | default:\"-\"}}{{#if vip}}{{vip}}{{/if}}",
+      {
+        samples: [
+          { label: "a", inputs: { firstName: "Ada", lastName: "L" } },
+          { label: "b", inputs: { firstName: "Bob" } },
+        ],
+      }
+    );
+    assert.deepEqual(result.issues, [
+      {
+        severity: "warning",
+        code: "unknown_variable",
+        message: 'Unknown variable "lastName"',
+        line: 1,
+        column: 15,
+        path: "lastName",
+        samples: ["b"],
+      },
+    ]);
+    assert.equal(result.ok, true);
+  });
+
+  test("reports unused inputs, unknown filters and idle postEvent", () => {
+    const result = validateTemplate(
+      "{{name | shout}}{{postEvent}}<script>{{postEvent}};data.extra</script>",
+      { samples: [{ label: "s", inputs: { name: "x", extra: 1, spare: 2 } }] }
+    );
+    assert.deepEqual(codes(result), [
+      "postevent_not_consumed",
+      "postevent_not_consumed",
+      "unknown_filter",
+      "unused_input",
+    ]);
+    assert.equal(result.issues.at(-1).path, "spare");
+  });
+
+  test("the seeded template is clean", () => {
+    const html =
+      "<h1>Hello {{firstName}}</h1><script>var last = {{postEvent}};</script>";
+    assert.deepEqual(
+      validateTemplate(html, { samples: [{ label: "s", inputs: { firstName: "A" } }] }),
+      { ok: true, issues: [] }
+    );
+  });
+});
+
+describe("POST /templates/validate", () => {
+  const validate = (body, cookies) =>
+    handler(
+      httpApiEvent({
+        method: "POST",
+        path: "/templates/validate",
+        headers: { "Content-Type": "application/json" },
+        cookies,
+        body: JSON.stringify(body),
+      })
+    );
+  const sessionFor = (sub) => [`tgl_web=${signIdToken({ sub })}`];
+
+  test("requires a Cognito session", async () => {
+    resetWorld();
+    const res = await validate({ webhookId: IDS.publicWebhook });
+    assert.equal(res.statusCode, "401");
+    // Before the lookup: missing webhooks cannot be told from existing ones
+    const missing = await validate({ webhookId: "no-such-webhook" });
+    assert.equal(missing.statusCode, "401");
+  });
+
+  test("rejects users of other clients", async () => {
+    resetWorld();
+    const res = await validate(
+      { webhookId: IDS.publicWebhook },
+      sessionFor(IDS.outsider)
+    );
+    assert.equal(res.statusCode, "403");
+  });
+
+  test("checks a draft against instances and samples", async () => {
+    resetWorld();
+    const res = await validate(
+      {
+        webhookId: IDS.publicWebhook,
+        html: "{{#if x}}<h1>{{firstName}} {{title}}</h1>{{> nope}}",
+        instanceIds: [IDS.publicInstance],
+        samples: [{ firstName: "Bo", title: "Dr" }],
+      },
+      sessionFor(IDS.member)
+    );
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.headers["Cache-Control"], "no-store");
+    const body = JSON.parse(res.body);
+    assert.equal(body.ok, false);
+    assert.deepEqual(
+      body.issues.map((i) => i.code),
+      ["partial_error", "unbalanced_block"]
+    );
+    assert.deepEqual(body.checked.samples, [IDS.publicInstance, "sample 1"]);
+
+    const stored = await validate(
+      {
+        webhookId: IDS.publicWebhook,
+        html: "<p>{{title}}</p>",
+        instanceIds: [IDS.publicInstance],
+        samples: [{ title: "Dr" }],
+      },
+      sessionFor(IDS.member)
+    );
+    const issues = JSON.parse(stored.body).issues;
+    assert.deepEqual(
+      issues.map((i) => [i.code, i.path, i.samples]),
+      [
+        ["unknown_variable", "title", [IDS.publicInstance]],
+        ["unused_input", "firstName", [IDS.publicInstance]],
+      ]
+    );
+  });
+
+  test("rejects instances of other webhooks", async () => {
+    resetWorld();
+    const res = await validate(
+      { webhookId: IDS.publicWebhook, instanceIds: [IDS.cognitoInstance] },
+      sessionFor(IDS.member)
+    );
+    assert.equal(res.statusCode, "400");
+  });
+});
@@ -0,0 +1,100 @@
+// test/theme.test.mjs - Client theme CSS variables on pages and gate pages
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import {
+  parseColor,
+  contrastText,
+  buildThemeCss,
+} from "../src/utils/theme.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld } from "./support/world.mjs";
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+});
+
+const themeVars = (css) =>
+  Object.fromEntries(
+    [...css.matchAll(/(--tgl-[\w-]+): ([^;]+);/g)].map((m) => [m[1], m[2]])
+  );
+
+describe("theme variables", () => {
+  test("parse hex and rgb colors", () => {
+    assert.deepEqual(parseColor("#0af"), [0, 170, 255]);
+    assert.deepEqual(parseColor(" #123456 "), [18, 52, 86]);
+    assert.deepEqual(parseColor("rgb(1, 2, 3)"), [1, 2, 3]);
+    assert.equal(parseColor("rgb(300, 0, 0)"), null);
+    assert.equal(parseColor("red; } body { x"), null);
+  });
+
+  test("pick readable text for each color", () => {
+    assert.equal(contrastText([255, 181, 0]), "#14181c");
+    assert.equal(contrastText([18, 52, 86]), "#ffffff");
+  });
+
+  test("derive text, hover and ring from the client colors", () => {
+    const vars = themeVars(
+      buildThemeCss({ primaryColor: "#123456", secondaryColor: "#FFFFFF" })
+    );
+    assert.deepEqual(vars, {
+      "--tgl-primary": "#123456",
+      "--tgl-primary-text": "#ffffff",
+      "--tgl-primary-hover": "#3d5974",
+      "--tgl-primary-ring": "rgba(18, 52, 86, 0.25)",
+      "--tgl-secondary": "#ffffff",
+      "--tgl-secondary-text": "#14181c",
+      "--tgl-secondary-hover": "#e0e0e0",
+      "--tgl-logo-url": "none",
+      "--tgl-logo-display": "none",
+    });
+  });
+
+  test("fall back to Toolbox colors and escape the logo URL", () => {
+    const vars = themeVars(
+      buildThemeCss({
+        primaryColor: "not a color",
+        logoUrl: 'https://s3.example.com/logo.png?a=1&b="</style>',
+      })
+    );
+    assert.equal(vars["--tgl-primary"], "#ffb500");
+    assert.equal(vars["--tgl-secondary"], "#2f3a46");
+    assert.equal(
+      vars["--tgl-logo-url"],
+      'url("https://s3.example.com/logo.png?a=1&b=\\22 \\3c /style\\3e ")'
+    );
+    assert.equal(vars["--tgl-logo-display"], "block");
+  });
+});
+
+describe("themed pages", () => {
+  const get = (id) =>
+    handler(
+      httpApiEvent({ path: `/instance/${id}`, headers: { Accept: "text/html" } })
+    );
+
+  test("instance pages get the theme ahead of the webhook CSS", async () => {
+    const { body } = await get(IDS.publicInstance);
+    const theme = body.indexOf('id="tgl-theme">:root { --tgl-primary: #123456;');
+    assert.ok(theme > 0);
+    assert.ok(theme < body.indexOf("h1 { color: red; }"));
+  });
+
+  test("gate pages are branded for the client", async () => {
+    for (const id of [IDS.passwordInstance, IDS.cognitoInstance]) {
+      const { body } = await get(id);
+      assert.match(body, /<style id="tgl-theme">:root \{ --tgl-primary: #123456;/);
+      assert.ok(body.indexOf("tgl-theme") < body.indexOf("--accent:"));
+      assert.match(body, /--accent: var\(--tgl-primary, #ffb500\)/i);
+    }
+  });
+
+  test("gate pages keep Toolbox colors without a client", async () => {
+    world.repositories.tables.clients.clear();
+    const { body } = await get(IDS.passwordInstance);
+    assert.match(body, /--tgl-primary: #ffb500;/);
+  });
+});
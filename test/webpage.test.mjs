@@ -0,0 +1,205 @@
+// test/webpage.test.mjs - Versioned S3 pages, publishing and static assets
+
+import "./support/env.mjs";
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { handler } from "../src/index.mjs";
+import { getRecordedMetrics } from "../src/utils/metrics.mjs";
+import { clearAllCaches } from "../src/utils/cache.mjs";
+import { renderTemplate } from "../src/template/render.mjs";
+import { httpApiEvent } from "./support/events.mjs";
+import { IDS, resetWorld, signIdToken } from "./support/world.mjs";
+
+const WEBPAGES =
+  "tgltoolboxuserfiles210135-staging/public/clients/client-1/tooldata/e8ff58cb-9d86-45d6-b564-6ca938b5ad34/webpages";
+const BASE = `${WEBPAGES}/${IDS.publicWebhook}`;
+
+let world;
+beforeEach(() => {
+  world = resetWorld();
+  world.repositories.tables.webhooks.get(IDS.publicWebhook).usesS3 = true;
+});
+
+const putFile = (key, content) =>
+  world.repositories.blobs.objects.set(key, Buffer.from(content));
+
+const get = (path, headers = {}) =>
+  handler(httpApiEvent({ path, headers: { Accept: "text/html", ...headers } }));
+
+const publish = (body, sub = IDS.member) =>
+  handler(
+    httpApiEvent({
+      method: "POST",
+      path: "/templates/publish",
+      headers: { "Content-Type": "application/json" },
+      cookies: sub ? [`tgl_web=${signIdToken({ sub })}`] : undefined,
+      body: JSON.stringify({ webhookId: IDS.publicWebhook, ...body }),
+    })
+  );
+
+const page = () => get(`/instance/${IDS.publicInstance}`);
+
+const counted = (name) =>
+  getRecordedMetrics().filter((m) => m.name === name).length;
+
+describe("versioned pages", () => {
+  beforeEach(() => {
+    putFile(`${BASE}/v1/index.html`, `<h2>one</h2>`);
+    putFile(`${BASE}/v1/styles.css`, "h2 { color: green; }");
+    putFile(
+      `${BASE}/v2/index.html`,
+      `<h2>two</h2><script src="{{asset "app.js"}}"></script>`
+    );
+  });
+
+  test("serve the version published.json points at", async () => {
+    putFile(`${BASE}/published.json`, JSON.stringify({ version: 1 }));
+    const res = await page();
+    assert.match(res.body, /<h2>one<\/h2>/);
+    assert.match(res.body, /h2 \{ color: green; \}/);
+  });
+
+  test("publish and roll back immediately", async () => {
+    assert.equal((await publish({ version: 1 })).statusCode, "200");
+    assert.match((await page()).body, /<h2>one<\/h2>/);
+
+    const res = await publish({ version: 2 });
+    assert.equal(res.statusCode, "200");
+    const pointer = JSON.parse(res.body);
+    assert.equal(pointer.version, 2);
+    assert.equal(pointer.previousVersion, 1);
+    assert.equal(pointer.publishedBy, IDS.member);
+    // Other containers pick it up once their cached pointer expires
+    assert.ok(
+      Date.parse(pointer.liveEverywhereBy) >= Date.parse(pointer.publishedAt)
+    );
+    const two = await page();
+    assert.match(two.body, /<h2>two<\/h2>/);
+    assert.match(
+      two.body,
+      /<script nonce="[^"]+" src="\/assets\/wh-public\/v2\/app\.js">/
+    );
+
+    assert.equal((await publish({ rollback: true })).statusCode, "200");
+    assert.match((await page()).body, /<h2>one<\/h2>/);
+    assert.equal(counted("TemplateRollback"), 1);
+    const stored = JSON.parse(
+      world.repositories.blobs.objects.get(`${BASE}/published.json`)
+    );
+    assert.deepEqual([stored.version, stored.previousVersion], [1, 2]);
+  });
+
+  test("reject unknown versions and unauthorized users", async () => {
+    assert.equal((await publish({ version: 3 })).statusCode, "400");
+    assert.equal((await publish({ version: "2" })).statusCode, "400");
+    assert.equal((await publish({ rollback: true })).statusCode, "400");
+    assert.equal((await publish({ version: 1 }, null)).statusCode, "401");
+    assert.equal(
+      (await publish({ version: 1 }, IDS.outsider)).statusCode,
+      "403"
+    );
+  });
+
+  test("read pages from the webhook's templateSource tool", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).templateSource = {
+      bucket: "pages-prod",
+      toolId: "tool-2",
+    };
+    const folder = `public/clients/client-1/tooldata/tool-2/webpages/${IDS.publicWebhook}`;
+    putFile(`pages-prod/${folder}/index.html`, "<h2>elsewhere</h2>");
+    putFile(
+      `tgltoolboxuserfiles210135-staging/${folder}/index.html`,
+      "<h2>tool 2</h2>"
+    );
+    // Only the configured bucket is read; the role cannot read others
+    assert.match((await page()).body, /<h2>tool 2<\/h2>/);
+  });
+});
+
+describe("missing S3 pages", () => {
+  test("fall back to DynamoDB, counted", async () => {
+    const res = await page();
+    assert.equal(res.statusCode, "200");
+    assert.match(res.body, /<h1>Hello Ada<\/h1>/);
+    assert.equal(counted("TemplateFallback"), 1);
+  });
+
+  test("fail with 502 when there is nothing to fall back to", async () => {
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).html = "";
+    assert.equal((await page()).statusCode, "502");
+  });
+});
+
+describe("static assets", () => {
+  test("serve versioned assets with their content type", async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    world.repositories.blobs.objects.set(`${BASE}/v2/assets/img/logo.png`, png);
+
+    const res = await get(`/assets/${IDS.publicWebhook}/v2/img/logo.png`);
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.headers["Content-Type"], "image/png");
+    assert.equal(
+      res.headers["Cache-Control"],
+      "public, max-age=31536000, immutable"
+    );
+    assert.equal(res.headers["X-Content-Type-Options"], "nosniff");
+    assert.equal(res.isBase64Encoded, true);
+    assert.deepEqual(Buffer.from(res.body, "base64"), png);
+  });
+
+  test("serve unversioned assets briefly cached", async () => {
+    putFile(`${BASE}/assets/app.js`, "console.log(1)");
+    const res = await get(`/assets/${IDS.publicWebhook}/live/app.js`);
+    assert.equal(res.headers["Content-Type"], "text/javascript; charset=utf-8");
+    assert.equal(res.headers["Cache-Control"], "public, max-age=300");
+  });
+
+  test("sandbox assets opened directly, SVG included", async () => {
+    putFile(
+      `${BASE}/assets/logo.svg`,
+      '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'
+    );
+    const res = await get(`/assets/${IDS.publicWebhook}/live/logo.svg`);
+    assert.equal(res.statusCode, "200");
+    assert.equal(res.headers["Content-Type"], "image/svg+xml");
+    assert.equal(
+      res.headers["Content-Security-Policy"],
+      "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+    );
+    assert.equal(res.headers["Content-Disposition"], "attachment");
+  });
+
+  test("refuse other types, traversal and non-S3 webhooks", async () => {
+    putFile(`${BASE}/assets/page.html`, "<script>x</script>");
+    putFile(`${BASE}/v1/index.html`, "<h2>one</h2>");
+    putFile(`${BASE}/assets/app.js`, "1");
+    const paths = [
+      "live/page.html",
+      "live/../v1/index.html",
+      "live/%2E%2E/v1/index.html",
+      "v0/app.js",
+      "latest/app.js",
+    ];
+    for (const path of paths) {
+      const res = await get(`/assets/${IDS.publicWebhook}/${path}`);
+      assert.equal(res.statusCode, "404", path);
+    }
+
+    world.repositories.tables.webhooks.get(IDS.publicWebhook).usesS3 = false;
+    clearAllCaches();
+    const res = await get(`/assets/${IDS.publicWebhook}/live/app.js`);
+    assert.equal(res.statusCode, "404");
+  });
+});
+
+describe("{{asset}}", () => {
+  test("encode the path under assetBase", () => {
+    assert.equal(
+      renderTemplate(`<img src="{{asset "img/a b.png"}}">`, {}, {
+        assetBase: "/assets/wh/v3",
+      }),
+      `<img src="/assets/wh/v3/img/a%20b.png">`
+    );
+    assert.equal(renderTemplate(`{{asset "x.css"}}`, {}), "x.css");
+  });
+});